@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+
+/**
+ * Multiplayer reference server
+ *
+ * A small WebSocket server for racing friends on the same country. It runs
+ * entirely on localhost: start it with `npm run multiplayer`, start the game
+ * with `npm run dev` and join the same room from several browser tabs.
+ *
+ * The server keeps the rooms and the leaderboard:
+ * 1. The first player in a room is its host and picks each round's country
+ * 2. The country is broadcast to everyone in the room
+ * 3. Guesses (already checked by each player's GameState) are checked again
+ *    against neighbors.json and counted
+ * 4. Finished rounds are scored with standard scoring (src/scoring.js)
+ * 5. The leaderboard is broadcast after every change
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { WebSocketServer } from 'ws';
+import { NeighborGraph } from '../src/graph.js';
+import { scoreRound } from '../src/scoring.js';
+import { DEFAULT_PORT, MAX_ROOM_PLAYERS, cleanRoomCode } from '../src/multiplayer.js';
+import { filterToLevel } from '../src/entities.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.resolve(__dirname, '..');
+
+const DATA_DIR = path.join(rootDir, 'public', 'data');
+const MAX_NAME_LENGTH = 20;
+
+// Rooms play UN member states only (players join at that inclusion level)
+const { countries, neighbors } = filterToLevel(
+    JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'countries.json'), 'utf-8')),
+    JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'neighbors.json'), 'utf-8')),
+    'UN'
+);
+const graph = new NeighborGraph(neighbors);
+
+// Room code -> { code, players: Map(id -> player), hostId, round, target }
+const rooms = new Map();
+let nextPlayerId = 1;
+
+/**
+ * Handle a new connection: the first message has to be a join
+ */
+function handleConnection(socket) {
+    let room = null;
+    let player = null;
+
+    socket.on('message', (raw) => {
+        // A bad message must not take down the rooms of everyone else
+        try {
+            let message;
+            try {
+                message = JSON.parse(raw);
+            } catch (error) {
+                send(socket, { type: 'error', message: 'Messages must be JSON' });
+                return;
+            }
+            if (!message || typeof message !== 'object' || Array.isArray(message)) {
+                send(socket, { type: 'error', message: 'Messages must be JSON objects' });
+                return;
+            }
+
+            if (message.type === 'join') {
+                if (room) {
+                    send(socket, { type: 'error', message: 'Already in a room' });
+                    return;
+                }
+                ({ room, player } = joinRoom(socket, message) || {});
+                return;
+            }
+
+            if (!room) {
+                send(socket, { type: 'error', message: 'Join a room first' });
+                return;
+            }
+
+            switch (message.type) {
+                case 'start':
+                    startRound(room, player, message.target);
+                    break;
+                case 'guess':
+                    recordGuess(room, player, message.code);
+                    break;
+                case 'submit':
+                    finishRound(room, player);
+                    broadcastLeaderboard(room);
+                    break;
+                default:
+                    send(socket, { type: 'error', message: `Unknown message type: ${message.type}` });
+            }
+        } catch (error) {
+            console.error('Could not handle a message:', error);
+            send(socket, { type: 'error', message: 'The server could not handle that message' });
+        }
+    });
+
+    socket.on('close', () => {
+        if (room) {
+            leaveRoom(room, player);
+        }
+    });
+}
+
+/**
+ * Add a player to a room, creating the room if needed
+ * @returns {Object|null} { room, player }, or null if the player could not join
+ */
+function joinRoom(socket, message) {
+    const code = cleanRoomCode(message.room);
+    const name = typeof message.name === 'string' ? message.name.trim().slice(0, MAX_NAME_LENGTH) : '';
+    if (!code || !name) {
+        send(socket, { type: 'error', message: 'Enter a name and a room code' });
+        return null;
+    }
+
+    let room = rooms.get(code);
+    if (!room) {
+        room = { code, players: new Map(), hostId: null, round: 0, target: null };
+        rooms.set(code, room);
+    }
+
+    const names = [...room.players.values()].map(other => other.name.toLowerCase());
+    if (names.includes(name.toLowerCase())) {
+        send(socket, { type: 'error', message: `Someone in room ${code} is already called ${name}` });
+        return null;
+    }
+    if (room.players.size >= MAX_ROOM_PLAYERS) {
+        send(socket, { type: 'error', message: `Room ${code} is full` });
+        return null;
+    }
+
+    const player = {
+        id: String(nextPlayerId++),
+        name,
+        socket,
+        score: 0,
+        found: new Set(),
+        wrong: new Set(),
+        done: true // Nothing to play until the next round starts
+    };
+    room.players.set(player.id, player);
+    if (!room.hostId) {
+        room.hostId = player.id;
+    }
+
+    console.log(`[${code}] ${name} joined (${room.players.size} players)`);
+    send(socket, { type: 'joined', room: code, playerId: player.id });
+
+    // Late joiners play the running round too
+    if (room.target) {
+        player.done = false;
+        send(socket, { type: 'round', round: room.round, target: room.target });
+    }
+    broadcastLeaderboard(room);
+
+    return { room, player };
+}
+
+/**
+ * Remove a player; the next player becomes host, and an empty room is closed
+ */
+function leaveRoom(room, player) {
+    room.players.delete(player.id);
+    console.log(`[${room.code}] ${player.name} left (${room.players.size} players)`);
+
+    if (room.players.size === 0) {
+        rooms.delete(room.code);
+        return;
+    }
+    if (room.hostId === player.id) {
+        room.hostId = room.players.keys().next().value;
+    }
+    broadcastLeaderboard(room);
+}
+
+/**
+ * Start a new round on the country the host picked. Players still playing
+ * the previous round are scored with what they have.
+ */
+function startRound(room, player, target) {
+    if (player.id !== room.hostId) {
+        send(player.socket, { type: 'error', message: 'Only the host can start a round' });
+        return;
+    }
+    if (typeof target !== 'string' || !Object.hasOwn(countries, target) || graph.getDegree(target) === 0) {
+        send(player.socket, { type: 'error', message: `Not a country with land borders: ${target}` });
+        return;
+    }
+
+    room.players.forEach(other => finishRound(room, other));
+
+    room.round++;
+    room.target = target;
+    room.players.forEach(other => {
+        other.found = new Set();
+        other.wrong = new Set();
+        other.done = false;
+    });
+
+    console.log(`[${room.code}] Round ${room.round}: ${countries[target].name}`);
+    broadcast(room, { type: 'round', round: room.round, target });
+    broadcastLeaderboard(room);
+}
+
+/**
+ * Count a guess for the live leaderboard
+ */
+function recordGuess(room, player, code) {
+    if (!room.target || player.done || typeof code !== 'string' || !Object.hasOwn(countries, code)) return;
+    if (player.found.has(code) || player.wrong.has(code)) return;
+
+    if (graph.getNeighbors(room.target).includes(code)) {
+        player.found.add(code);
+    } else {
+        player.wrong.add(code);
+    }
+    broadcastLeaderboard(room);
+}
+
+/**
+ * Score a player's round (once)
+ */
+function finishRound(room, player) {
+    if (!room.target || player.done) return;
+
+    const neighborCount = graph.getDegree(room.target);
+    const scored = scoreRound('STANDARD', {
+        mode: 'CLASSIC',
+        found: player.found.size,
+        wrong: player.wrong.size,
+        missed: neighborCount - player.found.size,
+        neighborCount
+    });
+
+    player.score += scored.total;
+    player.done = true;
+}
+
+function broadcastLeaderboard(room) {
+    const total = room.target ? graph.getDegree(room.target) : 0;
+    const players = [...room.players.values()]
+        .map(player => ({
+            id: player.id,
+            name: player.name,
+            score: player.score,
+            found: player.found.size,
+            total,
+            done: player.done
+        }))
+        .sort((a, b) => b.score - a.score || b.found - a.found);
+
+    broadcast(room, { type: 'leaderboard', hostId: room.hostId, round: room.round, players });
+}
+
+function broadcast(room, message) {
+    room.players.forEach(player => send(player.socket, message));
+}
+
+function send(socket, message) {
+    if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Main execution
+ */
+function main() {
+    const port = Number(process.env.PORT) || DEFAULT_PORT;
+    const server = new WebSocketServer({ host: 'localhost', port });
+
+    server.on('connection', handleConnection);
+    server.on('listening', () => {
+        console.log(`Multiplayer server listening on ws://localhost:${port}`);
+        console.log('Open the game in several tabs and join the same room under Settings → Online Room.\n');
+    });
+    server.on('error', (error) => {
+        console.error('\n✗ Error:', error.message);
+        process.exit(1);
+    });
+}
+
+// Run main function
+main();
@@ -4,20 +4,38 @@
  * Data preparation script
  *
  * This script:
- * 1. Downloads Natural Earth country boundaries (or reads from data/raw/)
- * 2. Filters to UN member states only
- * 3. Converts to TopoJSON and simplifies
- * 4. Computes land-border neighbors
- * 5. Generates countries.json with aliases
- * 6. Outputs to public/data/
+ * 1. Downloads Natural Earth country boundaries (or reads from data/raw/ or --source)
+ * 2. Keeps UN member states, observer states, states with limited recognition
+ *    and dependent territories, tagged with their type (see src/entities.js)
+ * 3. Computes land-border neighbors on the full-resolution geometry, applies
+ *    the overrides in data/neighbor-overrides.json and checks the result
+ *    against data/reference-borders.json (UN member states; stops on any difference)
+ * 4. Converts to TopoJSON and simplifies, once per map detail level
+ * 5. Measures each shared border (length and line geometry) for borders.json
+ *    and finds neighbors across the sea for maritime-neighbors.json (stops if
+ *    islands near other coasts, such as Iceland, end up without any)
+ * 6. Generates countries.json with aliases, continent/subregion and the names
+ *    in every language of the game (Natural Earth NAME_DE, NAME_ES...)
+ * 7. Outputs to public/data/
+ *
+ * Usage:
+ *   npm run prepare-data                                  # Natural Earth 110m
+ *   npm run prepare-data -- --resolution 10m              # Natural Earth 10m
+ *   npm run prepare-data -- --resolution 50m --source path/to/countries.geojson
+ *   npm run prepare-data -- --sea-distance 300            # Sea neighbors: coasts within 300 km
+ *   npm run prepare-data -- --eez path/to/eez_boundaries.geojson
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
 import * as topojson from 'topojson-server';
 import * as toposimplify from 'topojson-simplify';
+import { mesh } from 'topojson-client';
 import * as turf from '@turf/turf';
+import { NeighborGraph } from '../src/graph.js';
+import { getAllLanguages } from '../src/i18n.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -25,6 +43,35 @@ const rootDir = path.resolve(__dirname, '..');
 
 const DATA_RAW_DIR = path.join(rootDir, 'data', 'raw');
 const DATA_OUTPUT_DIR = path.join(rootDir, 'public', 'data');
+const NEIGHBOR_OVERRIDES_FILE = path.join(rootDir, 'data', 'neighbor-overrides.json');
+const REFERENCE_BORDERS_FILE = path.join(rootDir, 'data', 'reference-borders.json');
+
+// Natural Earth scales. 110m drops most countries under ~1000 km² (Andorra,
+// Liechtenstein, San Marino, Monaco, Singapore...) and the borders around them.
+const RESOLUTIONS = ['110m', '50m', '10m'];
+
+// Map detail levels, coarsest first. The first one is world.topo.json, which
+// the game loads at start; the map swaps in the others as you zoom in to
+// minZoom. minWeight is the topojson-simplify threshold (planar area in
+// square degrees): smaller keeps more detail. Finer levels are only written
+// for 50m and 10m sources, 110m has no more detail to show.
+const DETAIL_LEVELS = [
+    { file: 'world.topo.json', minZoom: 1, minWeight: 0.5 },
+    { file: 'world-medium.topo.json', minZoom: 3, minWeight: 0.05 },
+    { file: 'world-high.topo.json', minZoom: 6, minWeight: 0.002 }
+];
+const DETAIL_LEVELS_FILE = 'world.lods.json';
+
+// Without an EEZ boundary file, countries whose coastlines come this close are
+// neighbors across the sea. Economic zones reach 370 km out, so coasts up to
+// ~740 km apart can share a boundary; 500 km links Madagascar and Mozambique
+// without making every Mediterranean country a neighbor of every other.
+const DEFAULT_SEA_DISTANCE_KM = 500;
+
+// Islands with another coast a few hundred km away (Iceland: Greenland, ~300 km).
+// Each has to end up with a neighbor across the sea, or the measure is off.
+const SEA_NEIGHBOR_CHECKS = ['ISL', 'JPN', 'MDG', 'LKA', 'CUB'];
+const KM_PER_DEGREE = 111.2; // Of latitude
 
 // UN Member States (193 countries) - ISO 3166-1 alpha-3 codes
 const UN_MEMBER_STATES = new Set([
@@ -50,6 +97,25 @@ const UN_MEMBER_STATES = new Set([
     'YEM', 'ZMB', 'ZWE'
 ]);
 
+// UN General Assembly observer states
+const UN_OBSERVER_STATES = new Set(['PSE', 'VAT']);
+
+// States with limited recognition that Natural Earth draws as countries of their own
+const DISPUTED_STATES = new Set(['XKX', 'TWN', 'ESH', 'SOL', 'CYN']);
+
+// Natural Earth types of the other places kept, as dependent territories
+// (Indeterminate areas such as Antarctica or the Siachen Glacier are dropped)
+const DEPENDENCY_TYPES = new Set(['Dependency', 'Country', 'Lease']);
+
+// Natural Earth codes that differ from the ISO 3166-1 alpha-3 code (XKX is the
+// code commonly used for Kosovo; Somaliland and Northern Cyprus have none)
+const NATURAL_EARTH_CODES = {
+    'SDS': 'SSD', // South Sudan
+    'PSX': 'PSE', // Palestine
+    'SAH': 'ESH', // Western Sahara
+    'KOS': 'XKX' // Kosovo
+};
+
 // Country name aliases and alternative names
 const COUNTRY_ALIASES = {
     'USA': ['United States', 'United States of America', 'America', 'US', 'U.S.A.', 'U.S.'],
@@ -72,7 +138,57 @@ const COUNTRY_ALIASES = {
     'BRN': ['Brunei', 'Brunei Darussalam'],
     'FSM': ['Micronesia', 'Federated States of Micronesia'],
     'MDA': ['Moldova', 'Republic of Moldova'],
-    'PSE': ['Palestine', 'State of Palestine'], // Note: Not UN member but often referenced
+    'PSE': ['Palestine', 'State of Palestine'],
+    'VAT': ['Vatican City', 'Vatican', 'Holy See'],
+    'XKX': ['Kosovo'],
+    'TWN': ['Taiwan', 'Republic of China', 'ROC'],
+    'ESH': ['Western Sahara', 'Sahrawi Arab Democratic Republic', 'SADR'],
+    'CYN': ['Northern Cyprus', 'Turkish Republic of Northern Cyprus', 'TRNC'],
+    'HKG': ['Hong Kong'],
+    'MAC': ['Macau', 'Macao'],
+    'GRL': ['Greenland'],
+    'FLK': ['Falkland Islands', 'Falklands', 'Malvinas'],
+};
+
+// Alternative names in the other languages of the game (language -> code -> aliases).
+// The Natural Earth name in that language is the canonical one.
+const LOCALIZED_ALIASES = {
+    de: {
+        'USA': ['USA', 'Vereinigte Staaten von Amerika', 'Amerika'],
+        'GBR': ['Vereinigtes Königreich', 'Großbritannien', 'England'],
+        'RUS': ['Russische Föderation'],
+        'PRK': ['Nordkorea', 'Demokratische Volksrepublik Korea'],
+        'KOR': ['Südkorea', 'Republik Korea'],
+        'COD': ['Demokratische Republik Kongo', 'DR Kongo', 'Kongo-Kinshasa'],
+        'COG': ['Republik Kongo', 'Kongo', 'Kongo-Brazzaville'],
+        'CIV': ['Elfenbeinküste', 'Côte d\'Ivoire'],
+        'MKD': ['Nordmazedonien', 'Mazedonien'],
+        'CZE': ['Tschechien', 'Tschechische Republik'],
+        'BLR': ['Belarus', 'Weißrussland'],
+        'MMR': ['Myanmar', 'Birma', 'Burma'],
+        'SWZ': ['Eswatini', 'Swasiland'],
+        'TLS': ['Osttimor', 'Timor-Leste'],
+        'NLD': ['Niederlande', 'Holland'],
+        'CAF': ['Zentralafrikanische Republik', 'ZAR']
+    },
+    es: {
+        'USA': ['EE. UU.', 'EEUU', 'Estados Unidos de América'],
+        'GBR': ['Reino Unido', 'Gran Bretaña', 'Inglaterra'],
+        'RUS': ['Federación de Rusia'],
+        'PRK': ['Corea del Norte', 'República Popular Democrática de Corea'],
+        'KOR': ['Corea del Sur', 'República de Corea'],
+        'COD': ['República Democrática del Congo', 'RD Congo', 'Congo-Kinsasa'],
+        'COG': ['República del Congo', 'Congo', 'Congo-Brazzaville'],
+        'CIV': ['Costa de Marfil', 'Côte d\'Ivoire'],
+        'MKD': ['Macedonia del Norte', 'Macedonia'],
+        'CZE': ['Chequia', 'República Checa'],
+        'BLR': ['Bielorrusia', 'Belarús'],
+        'MMR': ['Myanmar', 'Birmania'],
+        'SWZ': ['Esuatini', 'Suazilandia'],
+        'TLS': ['Timor Oriental', 'Timor-Leste'],
+        'NLD': ['Países Bajos', 'Holanda'],
+        'CAF': ['República Centroafricana']
+    }
 };
 
 /**
@@ -87,12 +203,56 @@ function ensureDirectories() {
     }
 }
 
+/**
+ * Read the command line options
+ * @returns {Object} { resolution, source, eez, seaDistance } (source and eez are file paths or null)
+ */
+function readOptions() {
+    const { values } = parseArgs({
+        options: {
+            resolution: { type: 'string', default: '110m' },
+            source: { type: 'string' },
+            eez: { type: 'string' },
+            'sea-distance': { type: 'string', default: String(DEFAULT_SEA_DISTANCE_KM) }
+        }
+    });
+
+    if (!RESOLUTIONS.includes(values.resolution)) {
+        throw new Error(`Unknown resolution "${values.resolution}" (use ${RESOLUTIONS.join(', ')})`);
+    }
+
+    const seaDistance = Number(values['sea-distance']);
+    if (!(seaDistance > 0)) {
+        throw new Error(`The sea distance must be a number of kilometers, not "${values['sea-distance']}"`);
+    }
+
+    const eez = values.eez ? path.resolve(values.eez) : null;
+    if (eez && !fs.existsSync(eez)) {
+        throw new Error(`EEZ boundary file not found: ${eez}`);
+    }
+
+    return {
+        resolution: values.resolution,
+        source: values.source ? path.resolve(values.source) : null,
+        eez,
+        seaDistance
+    };
+}
+
+/**
+ * Name of a Natural Earth countries file, as published and as cached in data/raw/
+ */
+function naturalEarthFileName(resolution) {
+    return `ne_${resolution}_admin_0_countries.geojson`;
+}
+
 /**
  * Download Natural Earth data
  */
-async function downloadNaturalEarth() {
-    const url = 'https://raw.githubusercontent.com/nvkelso/natural-earth-vector/master/geojson/ne_110m_admin_0_countries.geojson';
-    const outputPath = path.join(DATA_RAW_DIR, 'countries.geojson');
+async function downloadNaturalEarth(resolution) {
+    const fileName = naturalEarthFileName(resolution);
+    const url = `https://raw.githubusercontent.com/nvkelso/natural-earth-vector/master/geojson/${fileName}`;
+    const outputPath = path.join(DATA_RAW_DIR, fileName);
 
     console.log('Downloading Natural Earth country boundaries...');
     console.log(`URL: ${url}`);
@@ -111,76 +271,119 @@ async function downloadNaturalEarth() {
     } catch (error) {
         console.error('Error downloading Natural Earth data:', error.message);
         console.log('\nAlternatively, you can manually download from:');
-        console.log('https://www.naturalearthdata.com/downloads/110m-cultural-vectors/');
-        console.log('And place the GeoJSON file at: data/raw/countries.geojson\n');
+        console.log(`https://www.naturalearthdata.com/downloads/${resolution}-cultural-vectors/`);
+        console.log(`And place the GeoJSON file at: data/raw/${fileName}`);
+        console.log('(or pass any local GeoJSON file with --source)\n');
         throw error;
     }
 }
 
 /**
- * Load source data
+ * Load source data: the --source file, a cached download, or a new download
  */
-async function loadSourceData() {
-    const filePath = path.join(DATA_RAW_DIR, 'countries.geojson');
+async function loadSourceData({ resolution, source }) {
+    if (source) {
+        if (!fs.existsSync(source)) {
+            throw new Error(`Source file not found: ${source}`);
+        }
+        console.log(`Loading ${source} (${resolution})...`);
+        return JSON.parse(fs.readFileSync(source, 'utf-8'));
+    }
+
+    const filePath = path.join(DATA_RAW_DIR, naturalEarthFileName(resolution));
 
     if (fs.existsSync(filePath)) {
-        console.log('Loading existing GeoJSON data...');
+        console.log(`Loading existing GeoJSON data (${resolution})...`);
         const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
         return data;
     } else {
-        return await downloadNaturalEarth();
+        return await downloadNaturalEarth(resolution);
     }
 }
 
 /**
- * Filter to UN member states
+ * Keep the places the game can use (see UN_MEMBER_STATES and the lists after it),
+ * tagged with their type
  */
-function filterToUNMembers(geojson) {
-    console.log('Filtering to UN member states...');
-
-    const filtered = {
-        type: 'FeatureCollection',
-        features: geojson.features.filter(feature => {
-            // Use ADM0_A3 as primary (more reliable than ISO_A3 in Natural Earth data)
-            const iso3 = feature.properties.ADM0_A3 || feature.properties.ISO_A3;
-            return iso3 && UN_MEMBER_STATES.has(iso3);
-        })
-    };
+function filterEntities(geojson) {
+    console.log('Filtering to countries and territories...');
 
     // Normalize properties
-    filtered.features = filtered.features.map(feature => {
+    const features = geojson.features.map(feature => {
         // Use ADM0_A3 as primary, fallback to ISO_A3 (Natural Earth has some -99 values for ISO_A3)
-        const iso3 = feature.properties.ADM0_A3 || feature.properties.ISO_A3;
+        const naturalEarthCode = feature.properties.ADM0_A3 || feature.properties.ISO_A3;
+        const iso3 = NATURAL_EARTH_CODES[naturalEarthCode] || naturalEarthCode;
         return {
             ...feature,
             id: iso3,
             properties: {
                 iso_a3: iso3,
+                type: entityType(iso3, feature.properties.TYPE),
                 name: feature.properties.NAME || feature.properties.ADMIN,
                 name_long: feature.properties.NAME_LONG || feature.properties.ADMIN,
+                // Natural Earth (UN geoscheme) grouping, used by the rule-based regions
+                continent: feature.properties.CONTINENT,
+                subregion: feature.properties.SUBREGION,
+                names: localizedNames(feature.properties)
             }
         };
     });
 
-    console.log(`✓ Filtered to ${filtered.features.length} countries`);
+    const filtered = {
+        type: 'FeatureCollection',
+        features: features.filter(feature => feature.id && feature.properties.type)
+    };
+
+    const counts = {};
+    filtered.features.forEach(feature => {
+        counts[feature.properties.type] = (counts[feature.properties.type] || 0) + 1;
+    });
+    const described = Object.entries(counts).map(([type, count]) => `${count} ${type}`).join(', ');
+    console.log(`✓ Filtered to ${filtered.features.length} countries and territories (${described})`);
     return filtered;
 }
 
 /**
- * Convert to TopoJSON and simplify
+ * Get the names of a Natural Earth feature in the languages of the game besides
+ * English (NAME_DE, NAME_ES...; lowercase in some exports)
+ * @returns {Object} Language -> name, for the languages the feature has a name in
  */
-function convertToTopoJSON(geojson) {
+function localizedNames(properties) {
+    const names = {};
+    getAllLanguages()
+        .filter(language => language.id !== 'en')
+        .forEach(language => {
+            const field = `NAME_${language.id.toUpperCase()}`;
+            const name = properties[field] || properties[field.toLowerCase()];
+            if (name) {
+                names[language.id] = name;
+            }
+        });
+    return names;
+}
+
+/**
+ * Convert to TopoJSON and simplify, once per detail level
+ * @returns {Array} { level, topology } for each level to write
+ */
+function convertToTopoJSON(geojson, resolution) {
     console.log('Converting to TopoJSON and simplifying...');
 
-    // Convert to TopoJSON
-    const topology = topojson.topology({ countries: geojson });
+    // Convert to TopoJSON (the game takes names in other languages from countries.json)
+    const features = geojson.features.map(({ properties: { names, ...properties }, ...feature }) =>
+        ({ ...feature, properties }));
+    const topology = topojson.topology({ countries: { ...geojson, features } });
 
     // Simplify (reduce file size while maintaining shape)
-    const simplified = toposimplify.presimplify(topology);
-    const result = toposimplify.simplify(simplified, 0.5); // Adjust for quality vs size
-
-    console.log('✓ Converted and simplified');
-    return result;
+    const presimplified = toposimplify.presimplify(topology);
+    const levels = resolution === '110m' ? DETAIL_LEVELS.slice(0, 1) : DETAIL_LEVELS;
+    const results = levels.map(level => ({
+        level,
+        topology: toposimplify.simplify(presimplified, level.minWeight)
+    }));
+
+    console.log(`✓ Converted and simplified (${results.length} detail level${results.length === 1 ? '' : 's'})`);
+    return results;
 }
 
 /**
@@ -198,6 +401,10 @@ function computeNeighbors(geojson) {
         neighbors[code] = [];
     });
 
+    // Bounding boxes let us skip the (slow, at 10m) intersection test for
+    // countries that are nowhere near each other
+    const boxes = features.map(feature => turf.bbox(feature));
+
     // Check all pairs of countries
     for (let i = 0; i < features.length; i++) {
         const feature1 = features[i];
@@ -207,9 +414,11 @@ function computeNeighbors(geojson) {
             const feature2 = features[j];
             const code2 = feature2.id || feature2.properties.iso_a3;
 
+            if (!boxesOverlap(boxes[i], boxes[j])) continue;
+
             try {
-                // Check if geometries intersect (share a border)
-                // We use a small buffer to catch borders that are very close
+                // Countries whose geometries touch share a border. Gaps and slivers in
+                // the source are fixed by the overrides and caught by validateNeighbors.
                 const intersects = turf.booleanIntersects(feature1, feature2);
 
                 if (intersects) {
@@ -233,10 +442,197 @@ function computeNeighbors(geojson) {
     return neighbors;
 }
 
+/**
+ * Measure the border of each pair of neighbors. Lengths come from the source
+ * geometry; the line geometry comes from the simplified map topology so that
+ * it lines up with the countries drawn from world.topo.json.
+ * @returns {Object} Map of "AAA-BBB" (codes sorted) to { countries, length, geometry },
+ *   with a null length and geometry for pairs that share no line (added by an override)
+ */
+function computeBorders(sourceTopo, neighbors, displayTopo) {
+    console.log('Measuring shared borders...');
+
+    const sharedLine = (topology, code1, code2) => mesh(topology, topology.objects.countries, (a, b) =>
+        (a.id === code1 && b.id === code2) || (a.id === code2 && b.id === code1));
+
+    const borders = {};
+    Object.entries(neighbors).forEach(([code1, list]) => {
+        list.filter(code2 => code1 < code2).forEach(code2 => {
+            const line = sharedLine(sourceTopo, code1, code2);
+            const displayLine = sharedLine(displayTopo, code1, code2);
+            const measured = line.coordinates.length > 0;
+
+            borders[`${code1}-${code2}`] = {
+                countries: [code1, code2],
+                length: measured ? Math.round(turf.length(turf.feature(line), { units: 'kilometers' })) : null,
+                geometry: displayLine.coordinates.length > 0 ? displayLine : null
+            };
+        });
+    });
+
+    const unmeasured = Object.values(borders).filter(border => border.length === null);
+    console.log(`✓ Measured ${Object.keys(borders).length - unmeasured.length} borders`);
+    if (unmeasured.length > 0) {
+        console.log(`  No shared line (length unknown): ${unmeasured.map(border => border.countries.join('-')).join(', ')}`);
+    }
+    return borders;
+}
+
+/**
+ * Find the neighbors across the sea: countries that share a maritime boundary
+ * in an EEZ boundary file or, without one, whose coastlines come within
+ * seaDistance km of each other. Land neighbors are left out.
+ * @returns {Object} Map of country code to an array of sea neighbor codes (like neighbors.json)
+ */
+function computeSeaNeighbors(sourceTopo, neighbors, { eez, seaDistance }) {
+    const seaNeighbors = Object.fromEntries(Object.keys(neighbors).map(code => [code, []]));
+    const addPair = (code1, code2) => {
+        if (code1 === code2 || !seaNeighbors[code1] || !seaNeighbors[code2]) return;
+        if (neighbors[code1].includes(code2) || seaNeighbors[code1].includes(code2)) return;
+        seaNeighbors[code1].push(code2);
+        seaNeighbors[code2].push(code1);
+    };
+
+    if (eez) {
+        console.log(`Finding sea neighbors in ${eez}...`);
+
+        // Marine Regions EEZ boundaries name the territory and the sovereign on
+        // each side; the territory is used when it is a place of its own here
+        const boundaries = JSON.parse(fs.readFileSync(eez, 'utf-8'));
+        boundaries.features.forEach(({ properties }) => {
+            const side1 = [properties.ISO_TER1, properties.ISO_SOV1].find(code => seaNeighbors[code]);
+            const side2 = [properties.ISO_TER2, properties.ISO_SOV2].find(code => seaNeighbors[code]);
+            if (side1 && side2) {
+                addPair(side1, side2);
+            }
+        });
+    } else {
+        console.log(`Finding coastlines within ${seaDistance} km of each other...`);
+
+        // Arcs that belong to a single country are its coastline
+        const coasts = Object.keys(neighbors)
+            .map(code => {
+                const line = mesh(sourceTopo, sourceTopo.objects.countries, (a, b) => a === b && a.id === code);
+                const points = line.coordinates.flat();
+                const segments = line.coordinates.flatMap(part => part.slice(1).map((point, i) => [part[i], point]));
+                return { code, points, segments, box: pointsBox(points) };
+            })
+            .filter(coast => coast.points.length > 0);
+
+        for (let i = 0; i < coasts.length; i++) {
+            for (let j = i + 1; j < coasts.length; j++) {
+                if (coastsWithin(coasts[i], coasts[j], seaDistance)) {
+                    addPair(coasts[i].code, coasts[j].code);
+                }
+            }
+        }
+    }
+
+    const pairs = Object.values(seaNeighbors).reduce((sum, list) => sum + list.length, 0) / 2;
+    console.log(`✓ Found ${pairs} pairs of sea neighbors`);
+    return seaNeighbors;
+}
+
+/**
+ * Apply the curated additions and removals in data/neighbor-overrides.json
+ * @returns {Object} Map of place code to the pairs added "unless" that place is played
+ */
+function applyNeighborOverrides(neighbors) {
+    console.log('Applying neighbor overrides...');
+
+    const overrides = JSON.parse(fs.readFileSync(NEIGHBOR_OVERRIDES_FILE, 'utf-8'));
+    const separated = {};
+    let applied = 0;
+
+    ['add', 'remove'].forEach(action => {
+        (overrides[action] || []).forEach(override => {
+            const { countries, reason } = override;
+            if (!Array.isArray(countries) || countries.length !== 2 || !reason) {
+                throw new Error(`Neighbor overrides need two countries and a reason: ${JSON.stringify(override)}`);
+            }
+
+            const [code1, code2] = countries;
+            if (!neighbors[code1] || !neighbors[code2]) {
+                console.log(`  Skipped ${action} ${code1}-${code2} (not in the source data)`);
+                return;
+            }
+
+            // Finer source data may already get it right
+            const bordering = neighbors[code1].includes(code2);
+            if (bordering === (action === 'add')) {
+                console.log(`  Not needed: ${action} ${code1}-${code2}`);
+                return;
+            }
+
+            if (action === 'add') {
+                neighbors[code1].push(code2);
+                neighbors[code2].push(code1);
+                // Inclusion levels that play the place in between drop the pair again (see src/entities.js)
+                if (override.unless && neighbors[override.unless]) {
+                    separated[override.unless] = [...(separated[override.unless] || []), [code1, code2]];
+                }
+            } else {
+                neighbors[code1] = neighbors[code1].filter(code => code !== code2);
+                neighbors[code2] = neighbors[code2].filter(code => code !== code1);
+            }
+            applied++;
+        });
+    });
+
+    console.log(`✓ Applied ${applied} overrides`);
+    return separated;
+}
+
+/**
+ * Compare neighbors with the reference border list in data/reference-borders.json.
+ * Only borders between UN member states are checked, and only those of members
+ * in the source data.
+ * @param {Set} memberCodes - Codes of the UN member states in the source data
+ * @returns {Array} Descriptions of the differences (empty if there are none)
+ */
+function validateNeighbors(neighbors, memberCodes) {
+    console.log('Validating neighbors against the reference border list...');
+
+    const { borders } = JSON.parse(fs.readFileSync(REFERENCE_BORDERS_FILE, 'utf-8'));
+    const pairKey = (code1, code2) => [code1, code2].sort().join('-');
+
+    const checked = borders.filter(([code1, code2]) => memberCodes.has(code1) && memberCodes.has(code2));
+    const reference = new Set(checked.map(([code1, code2]) => pairKey(code1, code2)));
+
+    const computed = new Set();
+    Object.entries(neighbors)
+        .filter(([code]) => memberCodes.has(code))
+        .forEach(([code, list]) => {
+            list.filter(neighbor => memberCodes.has(neighbor))
+                .forEach(neighbor => computed.add(pairKey(code, neighbor)));
+        });
+
+    const differences = [
+        ...[...reference].filter(pair => !computed.has(pair)).map(pair => `missing border ${pair}`),
+        ...[...computed].filter(pair => !reference.has(pair)).map(pair => `unexpected border ${pair}`)
+    ];
+
+    const skipped = borders.length - checked.length;
+    console.log(`✓ Checked ${checked.length} borders (${skipped} skipped, countries not in the source data)`);
+    return differences;
+}
+
+/**
+ * Check that the islands in SEA_NEIGHBOR_CHECKS got neighbors across the sea
+ * (islands missing from the source data are skipped)
+ * @returns {Array} Descriptions of the problems (empty if there are none)
+ */
+function validateSeaNeighbors(seaNeighbors) {
+    return SEA_NEIGHBOR_CHECKS
+        .filter(code => seaNeighbors[code] && seaNeighbors[code].length === 0)
+        .map(code => `no sea neighbors for ${code}`);
+}
+
 /**
  * Generate countries metadata
+ * @param {Object} separated - From applyNeighborOverrides: place code to the pairs it separates
  */
-function generateCountriesMetadata(geojson) {
+function generateCountriesMetadata(geojson, separated) {
     console.log('Generating countries metadata...');
 
     const countries = {};
@@ -248,8 +644,19 @@ function generateCountriesMetadata(geojson) {
         countries[code] = {
             code,
             name,
-            aliases: COUNTRY_ALIASES[code] || []
+            type: feature.properties.type,
+            continent: feature.properties.continent,
+            subregion: feature.properties.subregion,
+            aliases: COUNTRY_ALIASES[code] || [],
+            translations: Object.fromEntries(Object.entries(feature.properties.names)
+                .map(([language, localName]) => [language, {
+                    name: localName,
+                    aliases: ((LOCALIZED_ALIASES[language] || {})[code] || []).filter(alias => alias !== localName)
+                }]))
         };
+        if (separated[code]) {
+            countries[code].separates = separated[code];
+        }
     });
 
     console.log(`✓ Generated metadata for ${Object.keys(countries).length} countries`);
@@ -259,12 +666,27 @@ function generateCountriesMetadata(geojson) {
 /**
  * Write output files
  */
-function writeOutputFiles(worldTopo, neighbors, countries) {
+function writeOutputFiles(detailLevels, neighbors, seaNeighbors, borders, countries) {
     console.log('Writing output files...');
 
+    // Levels the map can load while zooming, for src/data.js
+    const levelsIndex = detailLevels.map(({ level }) => ({ file: level.file, minZoom: level.minZoom }));
+
+    // Finer levels left over from an earlier high-resolution run would no longer match
+    DETAIL_LEVELS.forEach(level => {
+        const filePath = path.join(DATA_OUTPUT_DIR, level.file);
+        if (!levelsIndex.some(written => written.file === level.file) && fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+            console.log(`✓ Removed ${filePath}`);
+        }
+    });
+
     const files = [
-        { name: 'world.topo.json', data: worldTopo },
+        ...detailLevels.map(({ level, topology }) => ({ name: level.file, data: topology })),
+        { name: DETAIL_LEVELS_FILE, data: levelsIndex },
         { name: 'neighbors.json', data: neighbors },
+        { name: 'maritime-neighbors.json', data: seaNeighbors },
+        { name: 'borders.json', data: borders },
         { name: 'countries.json', data: countries }
     ];
 
@@ -278,7 +700,7 @@ function writeOutputFiles(worldTopo, neighbors, countries) {
 /**
  * Print summary statistics
  */
-function printSummary(countries, neighbors) {
+function printSummary(countries, neighbors, seaNeighbors, borders) {
     console.log('\n' + '='.repeat(60));
     console.log('Summary:');
     console.log('='.repeat(60));
@@ -292,15 +714,27 @@ function printSummary(countries, neighbors) {
     console.log(`Countries with land neighbors: ${countriesWithNeighbors}`);
     console.log(`Countries without land neighbors: ${totalCountries - countriesWithNeighbors}`);
 
-    // Find country with most neighbors
-    const mostNeighbors = Object.entries(neighbors)
-        .reduce((max, [code, n]) => {
-            return n.length > max.count ? { code, count: n.length } : max;
-        }, { code: null, count: 0 });
+    const graph = new NeighborGraph(neighbors);
+    const names = codes => codes.map(code => countries[code].name).join(', ');
 
-    if (mostNeighbors.code) {
-        const countryName = countries[mostNeighbors.code].name;
-        console.log(`\nMost neighbors: ${countryName} (${mostNeighbors.count})`);
+    // Countries with the most neighbors (ties included)
+    const maxDegree = graph.getMaxDegree();
+    if (maxDegree > 0) {
+        console.log(`\nMost neighbors: ${names(graph.getCountriesWithDegree(maxDegree))} (${maxDegree})`);
+    }
+    console.log(`Countries with a single neighbor: ${graph.getCountriesWithDegree(1).length}`);
+
+    // Landmasses connected by land borders (islands without borders left out)
+    const landmasses = graph.getConnectedComponents().filter(component => component.length > 1);
+    console.log(`Landmasses: ${landmasses.length} (largest has ${landmasses[0] ? landmasses[0].length : 0} countries)`);
+
+    const measured = Object.values(borders)
+        .filter(border => border.length !== null)
+        .sort((a, b) => b.length - a.length);
+    if (measured.length > 0) {
+        const describe = border => `${names(border.countries).replace(', ', '–')} (${border.length} km)`;
+        console.log(`Longest border: ${describe(measured[0])}`);
+        console.log(`Shortest border: ${describe(measured[measured.length - 1])}`);
     }
 
     console.log('\nExample neighbors:');
@@ -315,9 +749,104 @@ function printSummary(countries, neighbors) {
         }
     });
 
+    console.log('\nExample neighbors across the sea:');
+    ['JPN', 'ISL', 'MDG', 'GBR'].forEach(code => {
+        if (seaNeighbors[code]) {
+            console.log(`  ${countries[code].name}: ${names(seaNeighbors[code]) || '(none)'}`);
+        }
+    });
+
     console.log('='.repeat(60) + '\n');
 }
 
+/**
+ * Tag a place as sovereign (UN member), observer, disputed or dependency
+ * @param {string} code - ISO 3166-1 alpha-3 code
+ * @param {string} naturalEarthType - Natural Earth TYPE property
+ * @returns {string|null} The type, or null for places the game leaves out
+ */
+function entityType(code, naturalEarthType) {
+    if (UN_MEMBER_STATES.has(code)) return 'sovereign';
+    if (UN_OBSERVER_STATES.has(code)) return 'observer';
+    if (DISPUTED_STATES.has(code)) return 'disputed';
+    if (DEPENDENCY_TYPES.has(naturalEarthType)) return 'dependency';
+    return null;
+}
+
+/**
+ * Check whether two coastlines come within a distance (km) of each other.
+ * Distances are measured to the coastline between the points as well: at
+ * 110m the points of a coast can lie hundreds of km apart.
+ * @param {Object} coast1 - { points, segments, box } with [lon, lat] points
+ * @param {Object} coast2 - The same for the other country
+ */
+function coastsWithin(coast1, coast2, distance) {
+    // Only points and segments near the other coast can be close enough
+    const near = (coast, other) => {
+        const box = growBox(other.box, distance);
+        return {
+            points: coast.points.filter(point => pointInBox(point, box)),
+            segments: coast.segments.filter(segment => boxesOverlap(pointsBox(segment), box))
+        };
+    };
+    const near1 = near(coast1, coast2);
+    if (near1.segments.length === 0) return false;
+    const near2 = near(coast2, coast1);
+
+    // Two segments come closest at an end of one of them
+    const within = (points, segments) => points.some(point =>
+        segments.some(segment => segmentDistanceKm(point, segment) <= distance));
+    return within(near1.points, near2.segments) || within(near2.points, near1.segments);
+}
+
+/**
+ * Bounding box [minX, minY, maxX, maxY] of [lon, lat] points
+ */
+function pointsBox(points) {
+    const lons = points.map(point => point[0]);
+    const lats = points.map(point => point[1]);
+    return [Math.min(...lons), Math.min(...lats), Math.max(...lons), Math.max(...lats)];
+}
+
+/**
+ * Grow a bounding box by a distance in km (generously near the poles)
+ */
+function growBox(box, distance) {
+    const latMargin = distance / KM_PER_DEGREE;
+    const maxLat = Math.min(80, Math.max(Math.abs(box[1]), Math.abs(box[3])) + latMargin);
+    const lonMargin = latMargin / Math.cos(maxLat * Math.PI / 180);
+    return [box[0] - lonMargin, box[1] - latMargin, box[2] + lonMargin, box[3] + latMargin];
+}
+
+function pointInBox(point, box) {
+    return point[0] >= box[0] && point[0] <= box[2] && point[1] >= box[1] && point[1] <= box[3];
+}
+
+/**
+ * Distance in km from a [lon, lat] point to a segment between two others,
+ * on a flat map centered on the point (close enough within a few hundred km)
+ */
+function segmentDistanceKm(point, [start, end]) {
+    const lonScale = Math.cos(point[1] * Math.PI / 180);
+    const project = ([lon, lat]) => [(lon - point[0]) * lonScale * KM_PER_DEGREE, (lat - point[1]) * KM_PER_DEGREE];
+    const [x1, y1] = project(start);
+    const [x2, y2] = project(end);
+
+    // Closest spot on the segment, as a fraction of the way from start to end
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSquared = dx * dx + dy * dy;
+    const fraction = lengthSquared > 0 ? Math.min(1, Math.max(0, -(x1 * dx + y1 * dy) / lengthSquared)) : 0;
+    return Math.hypot(x1 + fraction * dx, y1 + fraction * dy);
+}
+
+/**
+ * Check whether two [minX, minY, maxX, maxY] boxes touch or overlap
+ */
+function boxesOverlap(a, b) {
+    return a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+}
+
 /**
  * Main execution
  */
@@ -327,29 +856,58 @@ async function main() {
     console.log('='.repeat(60) + '\n');
 
     try {
+        const options = readOptions();
+
         // Step 1: Ensure directories exist
         ensureDirectories();
 
         // Step 2: Load source data
-        const sourceData = await loadSourceData();
+        const sourceData = await loadSourceData(options);
 
-        // Step 3: Filter to UN member states
-        const filtered = filterToUNMembers(sourceData);
+        // Step 3: Keep countries and territories, tagged with their type
+        const filtered = filterEntities(sourceData);
 
         // Step 4: Compute neighbors (before simplification for accuracy)
         const neighbors = computeNeighbors(filtered);
 
-        // Step 5: Convert to TopoJSON and simplify
-        const worldTopo = convertToTopoJSON(filtered);
+        // Step 5: Correct and validate neighbors; nothing is written if they are off
+        const separated = applyNeighborOverrides(neighbors);
+        const memberCodes = new Set(filtered.features
+            .filter(feature => feature.properties.type === 'sovereign')
+            .map(feature => feature.id));
+        const differences = validateNeighbors(neighbors, memberCodes);
+        if (differences.length > 0) {
+            differences.forEach(difference => console.error(`  ✗ ${difference}`));
+            throw new Error(
+                `Neighbors differ from data/reference-borders.json in ${differences.length} place(s). ` +
+                'Add an override to data/neighbor-overrides.json, or fix the reference list if it is wrong.'
+            );
+        }
+
+        // Step 6: Convert to TopoJSON and simplify
+        const detailLevels = convertToTopoJSON(filtered, options.resolution);
+
+        // Step 7: Measure shared borders and find neighbors across the sea
+        const sourceTopo = topojson.topology({ countries: filtered });
+        const borders = computeBorders(sourceTopo, neighbors, detailLevels[0].topology);
+        const seaNeighbors = computeSeaNeighbors(sourceTopo, neighbors, options);
+        const seaProblems = validateSeaNeighbors(seaNeighbors);
+        if (seaProblems.length > 0) {
+            seaProblems.forEach(problem => console.error(`  ✗ ${problem}`));
+            throw new Error(
+                `Islands that lie near other coasts have no sea neighbors (${seaProblems.length}). ` +
+                'Check the sea distance or the EEZ boundary file.'
+            );
+        }
 
-        // Step 6: Generate countries metadata
-        const countries = generateCountriesMetadata(filtered);
+        // Step 8: Generate countries metadata
+        const countries = generateCountriesMetadata(filtered, separated);
 
-        // Step 7: Write output files
-        writeOutputFiles(worldTopo, neighbors, countries);
+        // Step 9: Write output files
+        writeOutputFiles(detailLevels, neighbors, seaNeighbors, borders, countries);
 
-        // Step 8: Print summary
-        printSummary(countries, neighbors);
+        // Step 10: Print summary
+        printSummary(countries, neighbors, seaNeighbors, borders);
 
         console.log('✓ Data preparation complete!\n');
         console.log('You can now run: npm run dev\n');
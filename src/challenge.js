@@ -0,0 +1,144 @@
+/**
+ * Daily challenge and shareable seeded games
+ *
+ * A challenge is a seeded game: the same seed, region and mode always give
+ * the same country sequence, so it can be shared as a link and replayed.
+ */
+
+import { createSeed } from './random.js';
+import { getRegion } from './regions.js';
+import { getMode } from './modes.js';
+import { t } from './i18n.js';
+
+export const DAILY_ROUNDS = 5;
+
+const DAILY_SEED_PREFIX = 'daily-';
+
+/**
+ * Format a date as YYYY-MM-DD in the player's local time zone
+ */
+export function getLocalDateString(date = new Date()) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Create the daily challenge: the date fixes the sequence of countries
+ */
+export function createDailyChallenge(date = new Date()) {
+    return createChallenge(`${DAILY_SEED_PREFIX}${getLocalDateString(date)}`, 'ALL', 'CLASSIC', DAILY_ROUNDS);
+}
+
+/**
+ * Create an open-ended shareable game with a fresh seed
+ */
+export function createShareableGame(regionId, modeId) {
+    return createChallenge(createSeed(), regionId, modeId, null);
+}
+
+/**
+ * Create a challenge description
+ * @param {string} seed - Seed of the country sequence
+ * @param {string} regionId - Region filter
+ * @param {string} modeId - Game mode
+ * @param {number|null} totalRounds - Number of rounds, or null for an open-ended game
+ */
+export function createChallenge(seed, regionId, modeId, totalRounds) {
+    const isDaily = seed.startsWith(DAILY_SEED_PREFIX);
+
+    let label = t('challenge.shared');
+    if (isDaily) {
+        label = t('challenge.daily', { date: seed.slice(DAILY_SEED_PREFIX.length) });
+    } else if (totalRounds) {
+        label = t('challenge.custom');
+    }
+
+    return {
+        seed,
+        region: getRegion(regionId).id,
+        mode: getMode(modeId).id,
+        totalRounds,
+        label
+    };
+}
+
+/**
+ * Read a challenge from URL parameters (?seed=...&region=...&mode=...&rounds=...)
+ * @returns {Object|null} The challenge, or null if the URL has no seed
+ */
+export function readChallengeFromUrl(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const seed = params.get('seed');
+    if (!seed) return null;
+
+    const rounds = parseInt(params.get('rounds'), 10);
+    return createChallenge(
+        seed,
+        params.get('region') || 'ALL',
+        params.get('mode') || 'CLASSIC',
+        Number.isInteger(rounds) && rounds > 0 ? rounds : null
+    );
+}
+
+/**
+ * Whether two challenges play the same countries (same seed, region, mode and length)
+ */
+export function isSameChallenge(a, b) {
+    return Boolean(a && b) &&
+        a.seed === b.seed &&
+        a.region === b.region &&
+        a.mode === b.mode &&
+        (a.totalRounds || null) === (b.totalRounds || null);
+}
+
+/**
+ * Build a link that replays a challenge
+ */
+export function buildChallengeUrl(challenge, location = window.location) {
+    const params = new URLSearchParams({
+        seed: challenge.seed,
+        region: challenge.region,
+        mode: challenge.mode
+    });
+    if (challenge.totalRounds) {
+        params.set('rounds', challenge.totalRounds);
+    }
+
+    return `${location.origin}${location.pathname}?${params}`;
+}
+
+/**
+ * Put the current challenge in the address bar (or remove it) without reloading
+ * @param {Object|null} challenge - The running challenge, or null for a normal game
+ */
+export function writeChallengeToUrl(challenge) {
+    const url = challenge
+        ? buildChallengeUrl(challenge)
+        : `${window.location.origin}${window.location.pathname}`;
+    window.history.replaceState(null, '', url);
+}
+
+/**
+ * Build a spoiler-free result to share: one row of squares per round
+ * (🟩 found, 🟨 missed, 🟥 wrong guess), no country names
+ * @param {Object} challenge - The finished challenge
+ * @param {Array} results - Per-round { found, missed, wrong } counts
+ * @param {number} score - Final score
+ */
+export function buildShareText(challenge, results, score) {
+    const rows = results.map(result =>
+        '🟩'.repeat(result.found) +
+        '🟨'.repeat(result.missed) +
+        '🟥'.repeat(result.wrong) +
+        ` ${result.found}/${result.found + result.missed}`
+    );
+
+    return [
+        `${t('app.title')} ${challenge.label}`,
+        ...rows,
+        t('challenge.score', { score }),
+        buildChallengeUrl(challenge)
+    ].join('\n');
+}
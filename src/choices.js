@@ -0,0 +1,109 @@
+/**
+ * Multiple choice: the grid of countries a "Pick the Neighbors" round shows
+ *
+ * The grid mixes the real neighbors with distractors that could plausibly
+ * border the target. From closest to farthest, these are countries two border
+ * crossings away, countries in its subregion and other countries on its continent
+ * (matched with region rules, see regions.js). The difficulty sets how many
+ * distractors there are and how many of them are picked closest first.
+ */
+
+import { getCountries } from './data.js';
+import { matchesRule } from './regions.js';
+import { shuffle } from './selection.js';
+
+export const CHOICE_DIFFICULTIES = {
+    EASY: {
+        id: 'EASY',
+        name: 'Easy',
+        description: 'A few extra countries, from elsewhere on the continent',
+        distractors: 4,
+        closeShare: 0 // Share of the distractors picked closest first; the rest farthest first
+    },
+
+    MEDIUM: {
+        id: 'MEDIUM',
+        name: 'Medium',
+        description: 'More extra countries, half of them close by',
+        distractors: 6,
+        closeShare: 0.5
+    },
+
+    HARD: {
+        id: 'HARD',
+        name: 'Hard',
+        description: 'Many extra countries, as close to the target as they come',
+        distractors: 10,
+        closeShare: 1
+    }
+};
+
+/**
+ * Get choice difficulty by ID
+ */
+export function getChoiceDifficulty(difficultyId) {
+    return CHOICE_DIFFICULTIES[difficultyId] || CHOICE_DIFFICULTIES.MEDIUM;
+}
+
+/**
+ * Get all available choice difficulties as an array
+ */
+export function getAllChoiceDifficulties() {
+    return Object.values(CHOICE_DIFFICULTIES);
+}
+
+/**
+ * Deal the choices of a round: the neighbors and the distractors, in random order
+ * @param {string} targetCode - Country of the round
+ * @param {Array} neighbors - Codes of its neighbors (all of them are in the grid)
+ * @param {string} difficultyId - Choice difficulty
+ * @returns {Array} Country codes
+ */
+export function dealChoices(targetCode, neighbors, difficultyId) {
+    const difficulty = getChoiceDifficulty(difficultyId);
+    const countries = getCountries() || {};
+    const target = countries[targetCode];
+    if (!target) return shuffle(neighbors);
+
+    // Sort every other country into the closest tier it matches
+    const rules = getDistractorRules(targetCode, target);
+    const tiers = rules.map(() => []);
+    const taken = new Set([targetCode, ...neighbors]);
+    Object.keys(countries)
+        .filter(code => !taken.has(code))
+        .forEach(code => {
+            const tier = rules.findIndex(rule => matchesRule(rule, code));
+            if (tier >= 0) tiers[tier].push(code);
+        });
+
+    const shuffledTiers = tiers.map(shuffle);
+    const closeCount = Math.round(difficulty.distractors * difficulty.closeShare);
+    const close = takeFrom(shuffledTiers, closeCount);
+    const far = takeFrom([...shuffledTiers].reverse(), difficulty.distractors - close.length);
+
+    return shuffle([...neighbors, ...close, ...far]);
+}
+
+/**
+ * Region rules for the distractor tiers of a country, closest first
+ */
+function getDistractorRules(targetCode, target) {
+    return [
+        // On the same continent: France's overseas land makes Brazil two crossings from Germany
+        { near: { of: targetCode, hops: 2 }, continents: [target.continent] },
+        { subregions: [target.subregion] },
+        { continents: [target.continent] }
+    ];
+}
+
+/**
+ * Take up to count codes out of the tiers, emptying them in order
+ */
+function takeFrom(tiers, count) {
+    const taken = [];
+    for (const tier of tiers) {
+        if (taken.length >= count) break;
+        taken.push(...tier.splice(0, count - taken.length));
+    }
+    return taken;
+}
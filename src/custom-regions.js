@@ -0,0 +1,219 @@
+/**
+ * User-defined regions (localStorage), with JSON export and import
+ *
+ * A custom region is a named list of country codes. The store keeps them in
+ * localStorage and registers them with regions.js, so they filter countries
+ * exactly like the built-in regions.
+ */
+
+import { getAllCountries, getNeighbors } from './data.js';
+import { setCustomRegions } from './regions.js';
+import { t } from './i18n.js';
+import { getStorage } from './profile.js';
+
+const STORAGE_KEY = 'neighbor-countries:regions';
+const EXPORT_FORMAT = 'neighbor-countries-regions';
+const EXPORT_VERSION = 1;
+const ID_PREFIX = 'CUSTOM_';
+const MAX_NAME_LENGTH = 40;
+
+export class CustomRegionStore {
+    constructor(storage = getStorage()) {
+        this.storage = storage;
+        this.regions = [];
+        this.load();
+    }
+
+    /**
+     * Load the regions from storage (skips any that no longer validate)
+     */
+    load() {
+        if (this.storage) {
+            try {
+                const raw = this.storage.getItem(STORAGE_KEY);
+                const parsed = raw ? JSON.parse(raw) : [];
+                if (Array.isArray(parsed)) {
+                    this.regions = parsed
+                        .map(region => ({ id: region.id, ...cleanRegion(region) }))
+                        .filter(region => region.id && !validateRegion(region));
+                }
+            } catch (error) {
+                console.warn('[REGIONS] Could not read custom regions:', error);
+            }
+        }
+
+        setCustomRegions(this.regions);
+    }
+
+    /**
+     * Write the regions to storage and register them for play
+     */
+    save() {
+        setCustomRegions(this.regions);
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.regions));
+        } catch (error) {
+            console.warn('[REGIONS] Could not save custom regions:', error);
+        }
+    }
+
+    /**
+     * Get all custom regions
+     */
+    getAll() {
+        return this.regions;
+    }
+
+    /**
+     * Get a custom region by ID (or null)
+     */
+    get(regionId) {
+        return this.regions.find(region => region.id === regionId) || null;
+    }
+
+    /**
+     * Create or update a region
+     * @param {Object} region - { id } of an existing region to update (optional), { name, countries }
+     * @returns {Object} { success, region } or { success: false, error }
+     */
+    saveRegion(region) {
+        const cleaned = cleanRegion(region);
+        const error = validateRegion(cleaned);
+        if (error) {
+            return { success: false, error };
+        }
+
+        const existing = this.get(region.id) || this.findByName(cleaned.name);
+        if (existing) {
+            Object.assign(existing, cleaned);
+            this.save();
+            return { success: true, region: existing };
+        }
+
+        const created = { id: this.createId(cleaned.name), ...cleaned };
+        this.regions.push(created);
+        this.save();
+        return { success: true, region: created };
+    }
+
+    /**
+     * Delete a region
+     * @returns {boolean} Whether a region was deleted
+     */
+    deleteRegion(regionId) {
+        const index = this.regions.findIndex(region => region.id === regionId);
+        if (index === -1) return false;
+
+        this.regions.splice(index, 1);
+        this.save();
+        return true;
+    }
+
+    /**
+     * Export regions as a JSON document that importJson() (on any device) reads back
+     * @param {Array} regionIds - Regions to export (defaults to all)
+     */
+    exportJson(regionIds = this.regions.map(region => region.id)) {
+        const regions = this.regions
+            .filter(region => regionIds.includes(region.id))
+            .map(({ name, countries }) => ({ name, countries }));
+
+        return JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, regions }, null, 2);
+    }
+
+    /**
+     * Import regions exported by exportJson(). A region with the same name as
+     * an existing one replaces its countries; unknown country codes are dropped.
+     * @param {string} json - Exported document
+     * @returns {Object} { success, imported, skipped } or { success: false, error }
+     */
+    importJson(json) {
+        let parsed;
+        try {
+            parsed = JSON.parse(json);
+        } catch (error) {
+            return { success: false, error: t('regions.errors.invalidJson') };
+        }
+
+        if (!parsed || parsed.format !== EXPORT_FORMAT || !Array.isArray(parsed.regions)) {
+            return { success: false, error: t('regions.errors.noRegions') };
+        }
+        if (parsed.version !== EXPORT_VERSION) {
+            return { success: false, error: t('regions.errors.version', { version: parsed.version }) };
+        }
+
+        let imported = 0;
+        let skipped = 0;
+        parsed.regions.forEach(region => {
+            if (!region || typeof region !== 'object' || Array.isArray(region)) {
+                console.warn('[REGIONS] Skipped imported region that is not an object:', region);
+                skipped++;
+                return;
+            }
+
+            const result = this.saveRegion({ name: region.name, countries: region.countries });
+            if (result.success) {
+                imported++;
+            } else {
+                console.warn('[REGIONS] Skipped imported region:', region.name, '-', result.error);
+                skipped++;
+            }
+        });
+
+        return { success: true, imported, skipped };
+    }
+
+    findByName(name) {
+        const key = name.toLowerCase();
+        return this.regions.find(region => region.name.toLowerCase() === key) || null;
+    }
+
+    /**
+     * Create a readable, unused ID from a region name
+     */
+    createId(name) {
+        const base = ID_PREFIX + (name.toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_|_$/g, '') || 'REGION');
+
+        let id = base;
+        for (let n = 2; this.get(id); n++) {
+            id = `${base}_${n}`;
+        }
+        return id;
+    }
+}
+
+/**
+ * Check a region before it is saved
+ * @returns {string|null} What is wrong with it, or null if it is fine
+ */
+export function validateRegion(region) {
+    if (!region.name) {
+        return t('regions.errors.name');
+    }
+    if (region.countries.length === 0) {
+        return t('regions.errors.empty');
+    }
+    if (!region.countries.some(code => getNeighbors(code).length > 0)) {
+        return t('regions.errors.noNeighbors');
+    }
+    return null;
+}
+
+/**
+ * Normalize untrusted region input: trimmed name, known and unique country codes
+ */
+function cleanRegion(region) {
+    const countries = getAllCountries() || {}; // Territories count once the inclusion level has them
+    const name = typeof region.name === 'string' ? region.name.trim().slice(0, MAX_NAME_LENGTH) : '';
+    const codes = Array.isArray(region.countries) ? region.countries : [];
+    const known = [...new Set(codes)].filter(code => typeof code === 'string' && Object.hasOwn(countries, code));
+
+    return {
+        name,
+        description: 'Custom region',
+        countries: known,
+        custom: true
+    };
+}
@@ -3,11 +3,27 @@
  */
 
 import { filterCountriesByRegion, isCountryInRegion } from './regions.js';
-
-let countriesData = null;
+import { getStrategy, pickRandom } from './selection.js';
+import { NeighborGraph } from './graph.js';
+import { getEntityLevel, getAllEntityLevels, getEntityType, filterToLevel } from './entities.js';
+import { getCurrentLanguage, acceptsEnglishNames, t } from './i18n.js';
+import { CountrySearchIndex, normalizeName } from './search.js';
+
+let allCountriesData = null; // Every place in countries.json, whatever its type
+let allNeighborsData = null;
+let countriesData = null; // The places of the current inclusion level (see entities.js), with names in the current language
 let neighborsData = null;
+let neighborGraph = null;
+let searchIndex = null; // Names and aliases of countriesData, for the autocomplete
+let allSeaNeighborsData = {}; // Neighbors across the sea from maritime-neighbors.json
+let seaNeighborsData = {};
+let landAndSeaGraph = null; // Land and sea neighbors together, for the Land & Sea mode
 let worldTopoData = null;
+let detailLevels = []; // Finer map topologies from world.lods.json, loaded while zooming
+let bordersData = {}; // Shared borders from borders.json, keyed "AAA-BBB" (codes sorted)
+const detailTopoCache = new Map(); // File name -> Promise of its topology
 let currentRegion = 'ALL'; // Default region
+let currentEntityLevel = 'UN';
 
 /**
  * Load all game data
@@ -32,14 +48,26 @@ export async function loadGameData() {
             }
         });
 
-        countriesData = countries;
-        neighborsData = neighbors;
+        allCountriesData = countries;
+        allNeighborsData = neighbors;
+        applyEntityLevel();
         worldTopoData = worldTopo;
 
-        return { countries, neighbors, worldTopo };
+        // Files of newer data pipelines; data prepared without them still plays
+        const [levels, borders, seaNeighbors] = await Promise.all([
+            fetchOptionalJson('data/world.lods.json', []),
+            fetchOptionalJson('data/borders.json', {}),
+            fetchOptionalJson('data/maritime-neighbors.json', {})
+        ]);
+        detailLevels = levels.filter(level => level.file !== 'world.topo.json');
+        bordersData = borders;
+        allSeaNeighborsData = seaNeighbors;
+        applyEntityLevel();
+
+        return { countries: countriesData, neighbors: neighborsData, worldTopo };
     } catch (error) {
         console.error('[DATA] Error loading game data:', error);
-        throw new Error('Failed to load game data. Please ensure data files are generated.');
+        throw new Error(t('errors.loadData'));
     }
 }
 
@@ -50,11 +78,63 @@ export function getCountries() {
     return countriesData;
 }
 
+/**
+ * Get every place in the data, including those the inclusion level leaves out
+ */
+export function getAllCountries() {
+    return allCountriesData;
+}
+
 /**
  * Get neighbors for a specific country
+ * @param {boolean} withSea - Also include its neighbors across the sea
+ */
+export function getNeighbors(countryCode, withSea = false) {
+    const land = neighborsData[countryCode] || [];
+    return withSea ? [...land, ...getSeaNeighbors(countryCode)] : land;
+}
+
+/**
+ * Get the neighbors of a country across the sea (none without maritime-neighbors.json)
  */
-export function getNeighbors(countryCode) {
-    return neighborsData[countryCode] || [];
+export function getSeaNeighbors(countryCode) {
+    return seaNeighborsData[countryCode] || [];
+}
+
+/**
+ * Whether the data has neighbors across the sea
+ */
+export function hasMaritimeData() {
+    return Object.values(seaNeighborsData).some(list => list.length > 0);
+}
+
+/**
+ * Get the neighbor graph (degrees, shortest paths, landmasses... see graph.js)
+ * @param {boolean} withSea - Link neighbors across the sea as well
+ */
+export function getNeighborGraph(withSea = false) {
+    return withSea ? landAndSeaGraph : neighborGraph;
+}
+
+/**
+ * Get the border two neighbors share
+ * @returns {Object|null} { countries, length (km), geometry (MultiLineString) }, or null
+ *   if they aren't neighbors or there is no borders.json. Length and geometry are
+ *   null for borders the map data doesn't draw (added by a neighbor override).
+ */
+export function getBorder(codeA, codeB) {
+    return bordersData[[codeA, codeB].sort().join('-')] || null;
+}
+
+/**
+ * Get the measured borders of a country, longest first
+ * @returns {Array} { code (of the neighbor), length } per border of known length
+ */
+export function getBorderLengths(countryCode) {
+    return getNeighbors(countryCode)
+        .map(code => ({ code, length: (getBorder(countryCode, code) || {}).length ?? null }))
+        .filter(border => border.length !== null)
+        .sort((a, b) => b.length - a.length);
 }
 
 /**
@@ -64,15 +144,41 @@ export function getWorldTopo() {
     return worldTopoData;
 }
 
+/**
+ * Get the topology to draw at a map zoom level: world.topo.json, or a finer
+ * level once the zoom reaches its minZoom (see scripts/prepare-data.js)
+ * @param {number} zoom - Map zoom factor (1 = not zoomed)
+ * @returns {Promise<Object>} The topology (falls back to world.topo.json if a level fails to load)
+ */
+export async function getWorldTopoForZoom(zoom) {
+    const level = detailLevels
+        .filter(candidate => zoom >= candidate.minZoom)
+        .pop();
+    if (!level) return worldTopoData;
+
+    if (!detailTopoCache.has(level.file)) {
+        const request = fetch(`data/${level.file}`)
+            .then(r => r.json())
+            .catch(error => {
+                console.warn('[DATA] Could not load map detail level', level.file, error);
+                detailTopoCache.delete(level.file);
+                return worldTopoData;
+            });
+        detailTopoCache.set(level.file, request);
+    }
+    return detailTopoCache.get(level.file);
+}
+
 /**
  * Find a country by name or alias (case-insensitive, diacritic-insensitive)
+ * @param {Object} options - tolerateTypos: also accept a name a few typos away, if only one country is that close
  */
-export function findCountryByName(name, countries = countriesData) {
-    if (!countries) return null;
+export function findCountryByName(name, { tolerateTypos = false } = {}) {
+    if (!countriesData) return null;
 
     const normalized = normalizeName(name);
 
-    for (const country of Object.values(countries)) {
+    for (const country of Object.values(countriesData)) {
         // Check canonical name
         if (normalizeName(country.name) === normalized) {
             return country;
@@ -88,7 +194,7 @@ export function findCountryByName(name, countries = countriesData) {
         }
     }
 
-    return null;
+    return tolerateTypos && searchIndex ? searchIndex.findClosest(name) : null;
 }
 
 /**
@@ -99,6 +205,13 @@ export function setCurrentRegion(regionId) {
     console.log('[DATA] Region changed to:', regionId);
 }
 
+/**
+ * Rename the countries for the current language (see i18n.js); call after changing it
+ */
+export function applyLanguage() {
+    applyEntityLevel();
+}
+
 /**
  * Get current region filter
  */
@@ -106,93 +219,147 @@ export function getCurrentRegion() {
     return currentRegion;
 }
 
+/**
+ * Set which places count as countries (see entities.js)
+ */
+export function setEntityLevel(levelId) {
+    currentEntityLevel = getEntityLevel(levelId).id;
+    applyEntityLevel();
+    console.log('[DATA] Inclusion level changed to:', currentEntityLevel);
+}
+
+/**
+ * Get the current inclusion level
+ */
+export function getCurrentEntityLevel() {
+    return currentEntityLevel;
+}
+
+/**
+ * Get the inclusion levels that make a difference with the loaded data:
+ * UN members, plus each level that adds places the data has
+ */
+export function getAvailableEntityLevels() {
+    if (!allCountriesData) return [];
+
+    const types = new Set(Object.values(allCountriesData).map(getEntityType));
+    let previousTypes = [];
+
+    return getAllEntityLevels().filter(level => {
+        const adds = level.types.filter(type => !previousTypes.includes(type));
+        previousTypes = level.types;
+        return level.id === 'UN' || adds.some(type => types.has(type));
+    });
+}
+
 /**
  * Get all countries that have at least one land neighbor
  * Filtered by current region
+ * @param {number} minNeighbors - Minimum number of neighbors a country needs
+ * @param {boolean} withSea - Count neighbors across the sea as well
  */
-export function getCountriesWithNeighbors() {
-    if (!neighborsData || !countriesData) return [];
+export function getCountriesWithNeighbors(minNeighbors = 1, withSea = false) {
+    const graph = getNeighborGraph(withSea);
+    if (!graph || !countriesData) return [];
 
-    return Object.entries(neighborsData)
-        .filter(([code, neighbors]) => {
-            // Must have neighbors
-            if (neighbors.length === 0) return false;
+    return graph.getCodes()
+        .filter(code => {
+            // Must have (enough) neighbors
+            if (graph.getDegree(code) < Math.max(1, minNeighbors)) return false;
 
             // Must be in current region
             if (!isCountryInRegion(code, currentRegion)) return false;
 
             return true;
         })
-        .map(([code]) => countriesData[code])
+        .map(code => countriesData[code])
         .filter(Boolean);
 }
 
 /**
- * Search countries by partial name (for autocomplete)
+ * Search countries by name for the autocomplete: partial names, aliases and typos
+ * (see search.js for the ranking)
+ * @param {string} query - What the player typed
+ * @param {Array} excludeCodes - Countries to leave out
+ * @returns {Array} Matching countries, best first, with match details for highlighting
  */
 export function searchCountries(query, excludeCodes = []) {
-    if (!countriesData || !query) return [];
-
-    const normalized = normalizeName(query);
-    const results = [];
-
-    for (const [code, country] of Object.entries(countriesData)) {
-        if (excludeCodes.includes(code)) continue;
+    if (!searchIndex || !query) return [];
+    return searchIndex.search(query, excludeCodes);
+}
 
-        // Check if canonical name matches
-        if (normalizeName(country.name).includes(normalized)) {
-            results.push({ ...country, code, matchType: 'name' });
-            continue;
-        }
+/**
+ * Get a random country with neighbors
+ * @param {number} minNeighbors - Minimum number of neighbors the country needs
+ */
+export function getRandomCountryWithNeighbors(minNeighbors = 1) {
+    return pickRandom(getCountriesWithNeighbors(minNeighbors));
+}
 
-        // Check aliases
-        if (country.aliases) {
-            for (const alias of country.aliases) {
-                if (normalizeName(alias).includes(normalized)) {
-                    results.push({ ...country, code, matchType: 'alias' });
-                    break;
-                }
-            }
-        }
+/**
+ * Pick a country with neighbors using a selection strategy
+ * @param {string} strategyId - Selection strategy ID (see selection.js)
+ * @param {Array} history - Round summaries of the player, oldest first
+ * @param {number} minNeighbors - Minimum number of neighbors the country needs
+ * @param {Function|null} accept - Optional extra condition on the country code
+ * @param {boolean} withSea - Count neighbors across the sea as well
+ */
+export function selectCountryWithNeighbors(strategyId, history = [], minNeighbors = 1, accept = null, withSea = false) {
+    let candidates = getCountriesWithNeighbors(minNeighbors, withSea);
+    if (accept) {
+        candidates = candidates.filter(country => accept(country.code));
     }
+    if (candidates.length === 0) return null;
 
-    // Sort by match quality: exact matches first, then by length
-    results.sort((a, b) => {
-        const aName = normalizeName(a.name);
-        const bName = normalizeName(b.name);
-
-        const aExact = aName === normalized;
-        const bExact = bName === normalized;
-
-        if (aExact && !bExact) return -1;
-        if (!aExact && bExact) return 1;
-
-        return aName.length - bName.length;
-    });
-
-    return results;
+    return getStrategy(strategyId).pick(candidates, history);
 }
 
 /**
- * Normalize a string for comparison (lowercase, remove diacritics, remove punctuation)
+ * Load a data file that may not exist
+ * @returns {Promise} Its contents, or the fallback if it is missing or not JSON
  */
-function normalizeName(str) {
-    return str
-        .toLowerCase()
-        .normalize('NFD')
-        .replace(/[\u0300-\u036f]/g, '') // Remove diacritics
-        .replace(/[^\w\s]/g, '') // Remove punctuation
-        .replace(/\s+/g, ' ') // Normalize whitespace
-        .trim();
+async function fetchOptionalJson(url, fallback) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) return fallback;
+        return await response.json();
+    } catch (error) {
+        return fallback;
+    }
 }
 
 /**
- * Get a random country with neighbors
+ * Narrow the loaded data down to the current inclusion level
  */
-export function getRandomCountryWithNeighbors() {
-    const candidates = getCountriesWithNeighbors();
-    if (candidates.length === 0) return null;
+function applyEntityLevel() {
+    if (!allCountriesData) return;
+
+    const { countries, neighbors } = filterToLevel(allCountriesData, allNeighborsData, currentEntityLevel);
+    countriesData = Object.fromEntries(Object.entries(countries)
+        .map(([code, country]) => [code, localizeCountry(country)]));
+    searchIndex = new CountrySearchIndex(countriesData);
+    neighborsData = neighbors;
+    neighborGraph = new NeighborGraph(neighbors);
+
+    seaNeighborsData = filterToLevel(allCountriesData, allSeaNeighborsData, currentEntityLevel).neighbors;
+    landAndSeaGraph = new NeighborGraph(Object.fromEntries(Object.keys(neighbors)
+        .map(code => [code, getNeighbors(code, true)])));
+}
 
-    const randomIndex = Math.floor(Math.random() * candidates.length);
-    return candidates[randomIndex];
+/**
+ * Give a country its name and aliases in the current language, from the
+ * translations prepare-data.js writes into countries.json. The English name
+ * stays as englishName and, if the player accepts it, as an alias.
+ */
+function localizeCountry(country) {
+    const translation = (country.translations || {})[getCurrentLanguage()];
+    if (!translation || !translation.name) return country;
+
+    const englishNames = acceptsEnglishNames() ? [country.name, ...(country.aliases || [])] : [];
+    return {
+        ...country,
+        name: translation.name,
+        aliases: [...(translation.aliases || []), ...englishNames],
+        englishName: country.name
+    };
 }
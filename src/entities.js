@@ -0,0 +1,87 @@
+/**
+ * Which places count as countries
+ *
+ * The data pipeline tags every place with a type. An inclusion level picks
+ * the types that are played: they are the round targets and the valid
+ * answers, and neighbor lists only link places of the level. A place can
+ * also separate two others that border each other where it is left out
+ * (Somaliland, between Djibouti and Somalia).
+ */
+
+export const ENTITY_TYPES = {
+    sovereign: 'UN member state',
+    observer: 'UN observer state',
+    disputed: 'State with limited recognition',
+    dependency: 'Dependent territory'
+};
+
+export const ENTITY_LEVELS = {
+    UN: {
+        id: 'UN',
+        name: 'UN Members',
+        description: 'The 193 member states of the United Nations',
+        types: ['sovereign']
+    },
+
+    STATES: {
+        id: 'STATES',
+        name: 'All States',
+        description: 'Also observer states (Palestine, Vatican City) and states with limited recognition (Kosovo, Taiwan, Western Sahara...)',
+        types: ['sovereign', 'observer', 'disputed']
+    },
+
+    TERRITORIES: {
+        id: 'TERRITORIES',
+        name: 'States & Territories',
+        description: 'Also dependent territories (Greenland, Hong Kong, Gibraltar...)',
+        types: ['sovereign', 'observer', 'disputed', 'dependency']
+    }
+};
+
+/**
+ * Get inclusion level by ID
+ */
+export function getEntityLevel(levelId) {
+    return ENTITY_LEVELS[levelId] || ENTITY_LEVELS.UN;
+}
+
+/**
+ * Get all inclusion levels as an array
+ */
+export function getAllEntityLevels() {
+    return Object.values(ENTITY_LEVELS);
+}
+
+/**
+ * Get the type of a country entry (data prepared before types existed only has UN members)
+ */
+export function getEntityType(country) {
+    return country.type || 'sovereign';
+}
+
+/**
+ * Keep the places of an inclusion level, with neighbor lists that only link them
+ * @param {Object} countries - countries.json
+ * @param {Object} neighbors - neighbors.json
+ * @returns {Object} { countries, neighbors } in the same shapes
+ */
+export function filterToLevel(countries, neighbors, levelId) {
+    const { types } = getEntityLevel(levelId);
+
+    const kept = Object.fromEntries(Object.entries(countries)
+        .filter(([, country]) => types.includes(getEntityType(country))));
+
+    const linked = Object.fromEntries(Object.entries(neighbors)
+        .filter(([code]) => kept[code])
+        .map(([code, list]) => [code, list.filter(neighbor => kept[neighbor])]));
+
+    // Pairs added by an "unless" neighbor override only border while the place between them is left out
+    Object.values(kept).forEach(country => {
+        (country.separates || []).forEach(([code1, code2]) => {
+            if (linked[code1]) linked[code1] = linked[code1].filter(code => code !== code2);
+            if (linked[code2]) linked[code2] = linked[code2].filter(code => code !== code1);
+        });
+    });
+
+    return { countries: kept, neighbors: linked };
+}
@@ -1,15 +1,55 @@
 /**
  * Game state management
+ *
+ * A round is kept as a log of events: 'round-started' (the country and how the
+ * round is set up), then 'guess-added', 'guess-removed', 'step-rejected' (path
+ * mode), 'answer-unrecognized' (typed from memory), 'hint-used', 'clue-revealed'
+ * (reverse mode), 'submitted' and 'revealed'. The guesses, hints, clues shown and
+ * results of the round are derived from it by applying the events in order (see
+ * applyEvent), which gives undo/redo before submitting, replays and an exact record
+ * of the round (see getEventLog) that a saved session keeps (see getSnapshot).
+ * Scores and hot-seat turns belong to the whole game and are updated by the
+ * actions themselves.
  */
 
-import { getNeighbors, getCountries, getRandomCountryWithNeighbors, findCountryByName, setCurrentRegion, getCurrentRegion } from './data.js';
+import { getNeighbors, getSeaNeighbors, getCountries, selectCountryWithNeighbors, findCountryByName, setCurrentRegion, getCurrentRegion, getNeighborGraph, setEntityLevel, getCurrentEntityLevel } from './data.js';
+import { isCountryInRegion, hasRegion } from './regions.js';
+import { getMode } from './modes.js';
+import { getStrategy, pickRandom, shuffle } from './selection.js';
+import { seedRandom, unseedRandom } from './random.js';
+import { getTimerMode } from './timer.js';
+import { getInputMode } from './input-modes.js';
+import { dealChoices, getChoiceDifficulty } from './choices.js';
+import { getScoringPreset, scoreRound } from './scoring.js';
+import { getHint, getAllHints, describeHint } from './hints.js';
+import { getHotSeatFormat, cleanPlayerNames, validatePlayerNames } from './hotseat.js';
+import { createChallenge } from './challenge.js';
+import { t } from './i18n.js';
+
+const SNAPSHOT_VERSION = 1;
+const EVENT_TYPES = ['round-started', 'guess-added', 'guess-removed', 'step-rejected', 'answer-unrecognized',
+    'hint-used', 'clue-revealed', 'submitted', 'revealed'];
 
 export class GameState {
     constructor() {
+        this.mode = 'CLASSIC'; // Survives reset(), like the region filter
+        this.selectionStrategy = 'RANDOM';
+        this.historySource = () => []; // Past round summaries for adaptive selection
+        this.challenge = null; // Seeded game (daily challenge or shared link), if any
+        this.hotSeat = null; // Local multiplayer game, if any (see startHotSeat)
+        this.room = null; // Online room, if any: { code, playerId, hostId, players } (see joinRoom)
+        this.timerMode = 'OFF';
+        this.scoringPreset = 'STANDARD';
+        this.inputMode = 'SUGGESTIONS';
+        this.choiceDifficulty = 'MEDIUM';
         this.reset();
     }
 
     reset() {
+        this.events = []; // The current round: events in the order they happened (see record)
+        this.undone = []; // Events taken back with undo, the latest last (see redo)
+
+        // Derived from the events of the round (see applyEvent)
         this.targetCountry = null;
         this.targetCountryCode = null;
         this.neighbors = []; // Array of country codes
@@ -20,32 +60,288 @@ export class GameState {
         this.incorrectGuesses = new Set(); // Set of incorrect country codes
         this.submitted = false;
         this.revealed = false;
+        this.clues = []; // Reverse mode: neighbor codes in the order they are revealed
+        this.cluesShown = 0; // Reverse mode: how many clues the player can see
+        this.choices = []; // Multiple choice: country codes in the grid, neighbors and distractors
+        this.hints = []; // Hints bought this round: { id, cost, code, text }
+        this.spelling = createSpellingTally(); // Answers typed from memory this round
+        this.pathEnd = null; // Path mode: country to travel to (the target is the start)
+        this.pathEndCode = null;
+        this.optimalPath = []; // Path mode: a shortest route, start and end included
+        this.rejectedSteps = []; // Path mode: guesses that didn't border the route so far
+        this.pathComplete = false;
+        this.roundStartedAt = null; // Timestamps (ms) of the current round
+        this.roundFinishedAt = null;
+
         this.score = 0;
         this.lastRoundGains = 0; // Points gained in last round
         this.lastRoundLosses = 0; // Points lost in last round
         this.round = 1;
+        this.lastRoundBreakdown = []; // Scoring lines of last round: { label, points }
+        this.streak = 0; // Perfect rounds in a row
+        this.sessionStats = { rounds: 0, found: 0 }; // Since the last reset (blitz summary)
+    }
+
+    /**
+     * Resume the running score, round and streak of a saved session
+     * @param {Object|null} session - A snapshot (see getSnapshot), or a legacy { score, round }
+     */
+    restoreSession(session) {
+        if (!session) return;
+
+        if (Number.isFinite(session.score)) this.score = session.score;
+        if (Number.isInteger(session.round) && session.round > 0) this.round = session.round;
+        if (Number.isInteger(session.streak) && session.streak >= 0) this.streak = session.streak;
     }
 
     /**
      * Start a new round with a random country
      */
     startNewRound() {
-        const country = getRandomCountryWithNeighbors();
+        // Seed every round separately, so a challenge replays the same countries
+        // no matter how much randomness earlier rounds used
+        if (this.challenge) {
+            seedRandom(`${this.challenge.seed}:${this.round}`);
+        } else {
+            unseedRandom();
+        }
+
+        const country = this.pickCountry();
         if (!country) {
-            throw new Error('No countries with neighbors available');
+            throw new Error(t('errors.noCountries'));
         }
 
-        this.targetCountry = country;
-        this.targetCountryCode = country.code;
-        this.neighbors = getNeighbors(country.code);
+        this.beginRound(country);
+    }
+
+    /**
+     * Pick a country for the next round with the current region, mode and selection strategy
+     * @returns {Object|null} Country, or null if there is none to pick
+     */
+    pickCountry() {
+        const mode = getMode(this.mode);
+
+        // Spaced repetition depends on the player's own history, which would
+        // make a challenge differ between players
+        const strategy = this.challenge ? 'RANDOM' : this.selectionStrategy;
+        const accept = this.mode === 'PATH' ? (code) => findPathEnds(code, mode).length > 0 : null;
+        // Each mode asks something else about a country (a route or a reverse
+        // question says little about its neighbors), so it is spaced on its own rounds
+        const history = this.historySource().filter(round => round.mode === this.mode);
+        return selectCountryWithNeighbors(strategy, history, mode.minNeighbors, accept, Boolean(mode.withSea));
+    }
 
+    /**
+     * Start a round on a given country (online rooms, where the host picks it)
+     * @param {string} countryCode - Country of the round
+     * @param {number} round - Round number
+     * @returns {boolean} Whether the country is known
+     */
+    startRoundFor(countryCode, round) {
+        const country = getCountries()[countryCode];
+        if (!country) return false;
+
+        unseedRandom();
+        this.round = round;
+        this.beginRound({ ...country, code: countryCode });
+        return true;
+    }
+
+    /**
+     * Set up a round on a country
+     */
+    beginRound(country) {
+        const mode = getMode(this.mode);
+        const neighbors = getNeighbors(country.code, Boolean(mode.withSea));
+
+        // Hot seat: a different player starts every country
+        if (this.hotSeat) {
+            this.hotSeat.turn = (this.round - 1) % this.hotSeat.players.length;
+            this.hotSeat.turnsPlayed = 0;
+            this.hotSeat.out = [];
+            this.hotSeat.roundPoints = this.hotSeat.players.map(() => 0);
+        }
+
+        // Reverse mode shows the neighbors as clues, in random order
+        const clues = this.mode === 'REVERSE' ? shuffle(neighbors) : [];
+
+        // Path mode travels from the target to a country a few borders away,
+        // preferably one in the same region
+        let pathEnd = null;
+        let optimalPath = [];
+        if (this.mode === 'PATH') {
+            const ends = findPathEnds(country.code, mode);
+            const endsInRegion = ends.filter(code => isCountryInRegion(code, getCurrentRegion()));
+            pathEnd = pickRandom(endsInRegion.length > 0 ? endsInRegion : ends);
+            optimalPath = getNeighborGraph().getShortestPath(country.code, pathEnd);
+        }
+
+        // Multiple choice mixes the neighbors with distractors. Like the selection
+        // strategy, the difficulty is fixed in challenges so everyone gets the same grid.
+        const choices = mode.choices
+            ? dealChoices(country.code, neighbors, this.challenge ? 'MEDIUM' : this.choiceDifficulty)
+            : [];
+
+        this.startLog({
+            type: 'round-started',
+            mode: this.mode,
+            target: country.code,
+            neighbors,
+            clues,
+            cluesShown: Math.min(mode.initialClues || 0, clues.length),
+            pathEnd,
+            optimalPath,
+            choices
+        });
+    }
+
+    /**
+     * Start the log of a round with its 'round-started' event (the round starts now)
+     */
+    startLog(setup) {
+        this.events = [];
+        this.resetRoundState();
+        this.record(setup);
+    }
+
+    /**
+     * Add an event to the round and apply it. Anything new makes the undone
+     * events unreachable, so they are dropped.
+     * @param {Object} event - { type, ... }; the time is added here
+     * @returns {Object} The recorded event
+     */
+    record(event) {
+        const recorded = { ...event, at: Date.now() };
+        this.events.push(recorded);
+        this.undone = [];
+        this.applyEvent(recorded);
+        return recorded;
+    }
+
+    /**
+     * Derive the round from its events again, from the start
+     */
+    replay() {
+        this.resetRoundState();
+        this.events.forEach(event => this.applyEvent(event));
+    }
+
+    /**
+     * Update the round for one event. Only follows what the event says happened
+     * (actions check whether it may happen before recording it), so a log replays exactly.
+     */
+    applyEvent(event) {
+        switch (event.type) {
+            case 'round-started':
+                this.applyRoundStarted(event);
+                break;
+            case 'guess-added':
+                this.applyGuessAdded(event);
+                break;
+            case 'guess-removed':
+                this.applyGuessRemoved(event);
+                break;
+            case 'step-rejected':
+                this.rejectedSteps.push(event.code);
+                this.tallySpelling(event);
+                break;
+            case 'answer-unrecognized':
+                this.tallySpelling(event);
+                break;
+            case 'hint-used':
+                this.hints.push({
+                    id: event.id,
+                    cost: getHint(event.id).cost,
+                    code: event.code,
+                    text: describeHint(event.id, this.targetCountryCode, event.code)
+                });
+                break;
+            case 'clue-revealed':
+                this.cluesShown = Math.min(this.cluesShown + 1, this.clues.length);
+                break;
+            case 'submitted':
+                this.roundFinishedAt = event.at;
+                this.markSubmitted();
+                break;
+            case 'revealed':
+                this.revealNeighbors();
+                break;
+            default:
+                console.warn('[GAME] Unknown event type:', event.type);
+        }
+    }
+
+    /**
+     * Set up the round from its first event
+     */
+    applyRoundStarted(event) {
         const countries = getCountries();
+
+        this.targetCountry = { ...countries[event.target], code: event.target };
+        this.targetCountryCode = event.target;
+        this.neighbors = [...event.neighbors];
         this.neighborCountries = this.neighbors.map(code => ({
             ...countries[code],
             code
         }));
+        this.clues = [...event.clues];
+        this.cluesShown = event.cluesShown;
+        this.choices = [...event.choices];
+        this.pathEndCode = event.pathEnd;
+        this.pathEnd = event.pathEnd ? { ...countries[event.pathEnd], code: event.pathEnd } : null;
+        this.optimalPath = [...event.optimalPath];
+        this.roundStartedAt = event.at;
+    }
 
-        // Reset round-specific state
+    /**
+     * Take a guess back. A route is complete again only if its new last step borders the end.
+     */
+    applyGuessRemoved(event) {
+        this.guesses = this.guesses.filter(g => g.code !== event.code);
+
+        if (this.mode === 'PATH') {
+            const route = this.getRoute();
+            this.pathComplete = route.length > 0 && getNeighbors(route[route.length - 1]).includes(this.pathEndCode);
+        }
+    }
+
+    /**
+     * Add a guess to the round, marked by the rules of the mode
+     */
+    applyGuessAdded(event) {
+        const country = getCountries()[event.code];
+        const guess = { code: event.code, name: country ? country.name : event.code };
+
+        if (this.mode === 'PATH') {
+            // Only steps that border the route get this far (see addRouteStep).
+            // The route is complete as soon as it reaches a neighbor of the end.
+            guess.correct = true;
+            this.pathComplete = getNeighbors(event.code).includes(this.pathEndCode);
+        } else if (this.mode === 'REVERSE') {
+            guess.correct = this.bordersAllShownClues(event.code);
+        } else {
+            guess.correct = this.neighbors.includes(event.code);
+        }
+
+        // Players taking turns: every guess counts right away
+        if (event.player !== undefined) {
+            guess.player = event.player;
+            if (guess.correct) {
+                this.correctGuesses.add(event.code);
+                this.userCorrectGuesses.add(event.code);
+            } else {
+                this.incorrectGuesses.add(event.code);
+            }
+        }
+
+        this.guesses.push(guess);
+        this.tallySpelling(event);
+    }
+
+    /**
+     * Clear everything derived from the events of the round (see replay)
+     */
+    resetRoundState() {
         this.guesses = [];
         this.correctGuesses = new Set();
         this.userCorrectGuesses = new Set();
@@ -54,86 +350,541 @@ export class GameState {
         this.revealed = false;
         this.lastRoundGains = 0;
         this.lastRoundLosses = 0;
+        this.lastRoundBreakdown = [];
+        this.hints = [];
+        this.spelling = createSpellingTally();
+        this.rejectedSteps = [];
+        this.pathComplete = false;
+        this.roundFinishedAt = null;
+    }
+
+    /**
+     * Take the country names of the round and its hints from the data again,
+     * after the language changed (see applyLanguage in data.js)
+     */
+    relabelCountries() {
+        if (this.events.length === 0) return;
+        this.replay();
+    }
+
+    /**
+     * Take back the last guess, or the last removal of one, before the round is submitted.
+     * Hints and clues can't be unseen, so they (and anything before them) stay.
+     * @returns {boolean} Whether something was undone
+     */
+    undo() {
+        if (!this.canUndo()) return false;
+
+        const [event] = this.events.splice(findLastUndoable(this.events), 1);
+        this.undone.push(event);
+        this.replay();
+        return true;
+    }
+
+    /**
+     * Do the last undone guess (or removal) again
+     * @returns {boolean} Whether something was redone
+     */
+    redo() {
+        if (!this.canRedo()) return false;
+
+        const event = this.undone.pop();
+        this.events.push(event);
+        this.applyEvent(event);
+        return true;
+    }
+
+    /**
+     * Whether there is a guess to take back
+     */
+    canUndo() {
+        return this.canRewrite() && findLastUndoable(this.events) >= 0;
+    }
+
+    /**
+     * Whether there is an undone guess to do again
+     */
+    canRedo() {
+        return this.canRewrite() && this.undone.length > 0;
+    }
+
+    /**
+     * Whether the guesses of the round may still be rewritten: not once it is submitted,
+     * nor when they already counted elsewhere (players taking turns, the server of a room)
+     */
+    canRewrite() {
+        return !this.submitted && !this.room && !this.isTakingTurns();
+    }
+
+    /**
+     * Get a copy of the events of the current round, oldest first (plain data, fit for JSON)
+     */
+    getEventLog() {
+        return JSON.parse(JSON.stringify(this.events));
+    }
+
+    /**
+     * Make a logged round the current one, e.g. to resume or replay it. The mode
+     * switches to the round's mode; scores and the round number are left alone.
+     * @param {Array} events - Events as returned by getEventLog
+     * @returns {boolean} Whether the log starts a round on a known country (and every event can be applied)
+     */
+    loadEventLog(events) {
+        if (!Array.isArray(events)) return false;
+
+        const countries = getCountries();
+        const [first] = events;
+        if (!first || first.type !== 'round-started' || !countries[first.target] ||
+            !events.every(event => isApplicableEvent(event, countries))) {
+            return false;
+        }
+
+        this.mode = getMode(first.mode).id;
+        this.events = JSON.parse(JSON.stringify(events));
+        this.undone = [];
+        this.replay();
+        return true;
+    }
+
+    /**
+     * Get everything needed to pick the game up again after a reload or on another
+     * device: the settings, the running score and the events of the current round
+     * (plain data, fit for JSON). Hot-seat and room games aren't part of it.
+     */
+    getSnapshot() {
+        const { challenge } = this;
+        return {
+            version: SNAPSHOT_VERSION,
+            mode: this.mode,
+            region: getCurrentRegion(),
+            entityLevel: getCurrentEntityLevel(),
+            timerMode: this.timerMode,
+            scoringPreset: this.scoringPreset,
+            inputMode: this.inputMode,
+            choiceDifficulty: this.choiceDifficulty,
+            selectionStrategy: this.selectionStrategy,
+            challenge: challenge
+                ? { seed: challenge.seed, region: challenge.region, mode: challenge.mode, totalRounds: challenge.totalRounds, results: challenge.results }
+                : null,
+            score: this.score,
+            round: this.round,
+            streak: this.streak,
+            lastRound: { gains: this.lastRoundGains, losses: this.lastRoundLosses, breakdown: this.lastRoundBreakdown },
+            events: this.getEventLog()
+        };
+    }
+
+    /**
+     * Pick up a game from a snapshot (see getSnapshot), leaving any hot-seat game or room.
+     * The settings and score are taken even if the round can't be (e.g. its country
+     * isn't in the data), so a new round can start with them.
+     * @param {Object} snapshot - As returned by getSnapshot, possibly from another device
+     * @returns {boolean} Whether the round was resumed
+     */
+    loadSnapshot(snapshot) {
+        if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) return false;
+
+        this.hotSeat = null;
+        this.room = null;
+        this.timerMode = getTimerMode(snapshot.timerMode).id;
+        this.scoringPreset = getScoringPreset(snapshot.scoringPreset).id;
+        this.setInputMode(snapshot.inputMode);
+        this.setChoiceDifficulty(snapshot.choiceDifficulty);
+        this.setSelectionStrategy(snapshot.selectionStrategy);
+        setEntityLevel(snapshot.entityLevel);
+        // Custom regions live on the device they were made on
+        setCurrentRegion(hasRegion(snapshot.region) ? snapshot.region : 'ALL');
+        this.challenge = readSnapshotChallenge(snapshot.challenge);
+        this.mode = getMode(snapshot.mode).id;
+
+        this.reset();
+        this.restoreSession(snapshot);
+        if (!this.loadEventLog(snapshot.events)) return false;
+
+        // Scored when the round was submitted, so not part of its events
+        const lastRound = snapshot.lastRound || {};
+        this.lastRoundGains = Number(lastRound.gains) || 0;
+        this.lastRoundLosses = Number(lastRound.losses) || 0;
+        // The snapshot may come from a link, so only keep well-formed scoring lines
+        this.lastRoundBreakdown = (Array.isArray(lastRound.breakdown) ? lastRound.breakdown : [])
+            .filter(line => line && typeof line.label === 'string' && Number.isFinite(line.points))
+            .map(({ label, points }) => ({ label, points }));
+        return true;
+    }
+
+    /**
+     * Whether rounds in the current mode ask for the neighbors of the target
+     */
+    asksNeighbors() {
+        return this.mode !== 'REVERSE' && this.mode !== 'PATH';
+    }
+
+    /**
+     * Get the player's route so far (path mode): the countries between start and end, in order
+     */
+    getRoute() {
+        return this.guesses.filter(g => !g.revealed).map(g => g.code);
     }
 
     /**
-     * Add a guess
+     * Get the country the next step of the route has to border (path mode)
+     */
+    getRouteEnd() {
+        const route = this.getRoute();
+        return route.length > 0 ? route[route.length - 1] : this.targetCountryCode;
+    }
+
+    /**
+     * Get the number of countries between start and end on a shortest route (path mode)
+     */
+    getOptimalLength() {
+        return Math.max(0, this.optimalPath.length - 2);
+    }
+
+    /**
+     * Reveal one more clue (reverse mode only)
+     * @returns {boolean} Whether a clue was revealed
+     */
+    revealClue() {
+        if (this.mode !== 'REVERSE' || this.submitted) return false;
+        if (this.cluesShown >= this.clues.length) return false;
+
+        this.record({ type: 'clue-revealed' });
+        return true;
+    }
+
+    /**
+     * Get the clue codes currently visible to the player (reverse mode only)
+     */
+    getShownClues() {
+        return this.clues.slice(0, this.cluesShown);
+    }
+
+    /**
+     * Points a correct answer is worth with the clues shown so far (reverse mode only).
+     * Every clue left hidden adds a point on top of the base point.
+     */
+    getCluePoints() {
+        return this.clues.length - this.cluesShown + 1;
+    }
+
+    /**
+     * Check whether a country borders every clue shown so far (reverse mode only).
+     * Clue sets can be shared by several countries, so any of them is accepted.
+     */
+    bordersAllShownClues(countryCode) {
+        const countryNeighbors = getNeighbors(countryCode);
+        return this.getShownClues().every(code => countryNeighbors.includes(code));
+    }
+
+    /**
+     * Get the countries a hint could still be bought for this round
+     * (missing neighbors not yet hinted this way, or the target for a silhouette)
+     */
+    getHintCandidates(hintId) {
+        const hint = getHint(hintId);
+        if (!hint || !this.asksNeighbors() || this.submitted) return [];
+
+        const used = this.hints.filter(h => h.id === hint.id).map(h => h.code);
+        // A neighbor hint points at a neighbor that is still missing from the guesses
+        const codes = hint.perNeighbor
+            ? this.getRemainingNeighbors().filter(code => !this.hasGuess(code))
+            : [this.targetCountryCode];
+        return codes.filter(code => !used.includes(code));
+    }
+
+    /**
+     * Buy a hint; its cost is taken off the score when the round is submitted
+     * @returns {Object} { success, hint } or { success: false, error }
+     */
+    useHint(hintId) {
+        const candidates = this.getHintCandidates(hintId);
+        if (candidates.length === 0) {
+            return { success: false, error: t('errors.hintUnavailable') };
+        }
+
+        this.record({ type: 'hint-used', id: getHint(hintId).id, code: pickRandom(candidates) });
+        return { success: true, hint: this.hints[this.hints.length - 1] };
+    }
+
+    /**
+     * Add a guess. Answers typed from memory may have a few typos, which are
+     * forgiven (and tallied for the spelling stat) when only one country is that close.
+     * @returns {Object} { success, country, isCorrect, spellingCorrected, ... } or { success: false, error }
      */
     addGuess(countryName) {
         // Find the country
-        const country = findCountryByName(countryName);
+        const fromMemory = this.isAnsweringFromMemory();
+        const exact = findCountryByName(countryName);
+        const country = exact || (fromMemory ? findCountryByName(countryName, { tolerateTypos: true }) : null);
+
         if (!country) {
-            return { success: false, error: 'Country not found' };
+            if (fromMemory) {
+                this.record({ type: 'answer-unrecognized', typed: countryName });
+            }
+            return { success: false, error: t(fromMemory ? 'errors.notRecognized' : 'errors.countryNotFound') };
+        }
+
+        // What was typed from memory goes in the log too, for the spelling stat
+        const typing = fromMemory ? { typed: countryName, corrected: !exact } : {};
+        const result = this.placeGuess(country, typing);
+        return result.success && !exact ? { ...result, spellingCorrected: true } : result;
+    }
+
+    /**
+     * Add a guess for a country that was recognized
+     * @param {Object} typing - { typed, corrected } if the name was typed from memory
+     */
+    placeGuess(country, typing = {}) {
+        // Reverse mode takes a single answer per round
+        if (this.mode === 'REVERSE' && this.guesses.length > 0) {
+            return { success: false, error: t('errors.oneAnswer') };
         }
 
         // Check for duplicates
         const existing = this.guesses.find(g => g.code === country.code);
         if (existing) {
-            return { success: false, error: 'Already guessed' };
+            return { success: false, error: t('errors.alreadyGuessed') };
         }
 
-        // Check if it's a valid neighbor
-        const isCorrect = this.neighbors.includes(country.code);
+        if (this.mode === 'PATH') {
+            return this.addRouteStep(country, typing);
+        }
 
-        this.guesses.push({
-            code: country.code,
-            name: country.name,
-            correct: isCorrect
-        });
+        if (this.isTakingTurns()) {
+            return this.addTurnGuess(country, typing);
+        }
 
-        return { success: true, country, isCorrect };
+        // Marked as a valid neighbor (or, in reverse mode, a valid answer) or not
+        this.record({ type: 'guess-added', code: country.code, ...typing });
+        return { success: true, country, isCorrect: this.getLastGuess().correct };
     }
 
     /**
-     * Remove a guess
+     * Extend the route by a country (path mode). A country that doesn't border
+     * the end of the route so far is rejected and counts as a wrong guess.
      */
-    removeGuess(countryCode) {
-        const index = this.guesses.findIndex(g => g.code === countryCode);
-        if (index !== -1) {
-            this.guesses.splice(index, 1);
+    addRouteStep(country, typing = {}) {
+        if (this.submitted) {
+            return { success: false, error: t('errors.roundOver') };
+        }
+        if (country.code === this.targetCountryCode) {
+            return { success: false, error: t('errors.routeStart') };
+        }
+
+        const from = this.getRouteEnd();
+        if (!getNeighbors(from).includes(country.code)) {
+            this.record({ type: 'step-rejected', code: country.code, ...typing });
+            const fromName = getCountries()[from].name;
+            return { success: false, isCorrect: false, error: t('errors.notBordering', { country: country.name, from: fromName }) };
+        }
+
+        this.record({ type: 'guess-added', code: country.code, ...typing });
+        return { success: true, country, isCorrect: true, routeComplete: this.pathComplete };
+    }
+
+    /**
+     * Score a guess right away for the player whose turn it is (hot seat, taking turns).
+     * A wrong guess puts the player out of the round; the round ends when every
+     * neighbor is found or every player is out.
+     */
+    addTurnGuess(country, typing = {}) {
+        if (this.submitted) {
+            return { success: false, error: t('errors.roundOver') };
+        }
+
+        const preset = getScoringPreset(this.scoringPreset);
+        const turn = this.hotSeat.turn;
+        this.record({ type: 'guess-added', code: country.code, player: turn, ...typing });
+        const isCorrect = this.getLastGuess().correct;
+
+        if (isCorrect) {
+            this.awardTurnPoints(turn, preset.correct);
+        } else {
+            this.awardTurnPoints(turn, preset.wrong);
+            this.hotSeat.out.push(turn);
+        }
+
+        const roundOver = this.advanceTurn();
+        return { success: true, country, isCorrect, roundOver };
+    }
+
+    /**
+     * Pass instead of guessing (hot seat, taking turns): the player is out of the round
+     * @returns {Object} { success, roundOver }
+     */
+    passTurn() {
+        if (!this.isTakingTurns() || this.submitted) {
+            return { success: false, error: t('errors.nothingToPass') };
+        }
+
+        this.hotSeat.out.push(this.hotSeat.turn);
+        return { success: true, roundOver: this.advanceTurn() };
+    }
+
+    awardTurnPoints(turn, points) {
+        this.hotSeat.players[turn].score += points;
+        this.hotSeat.roundPoints[turn] += points;
+    }
+
+    /**
+     * Hand the turn to the next player still in the round, or end the round
+     * @returns {boolean} Whether the round is over
+     */
+    advanceTurn() {
+        const { players, out } = this.hotSeat;
+        const allFound = this.neighbors.every(code => this.correctGuesses.has(code));
+
+        if (allFound || out.length >= players.length) {
+            this.finishTurnsRound();
             return true;
         }
+
+        do {
+            this.hotSeat.turn = (this.hotSeat.turn + 1) % players.length;
+        } while (out.includes(this.hotSeat.turn));
         return false;
     }
 
+    /**
+     * End a round played in turns: reveal the missed neighbors and list what each player scored
+     */
+    finishTurnsRound() {
+        this.record({ type: 'submitted' });
+
+        const { players, roundPoints } = this.hotSeat;
+        this.lastRoundBreakdown = players.map((player, index) => ({ label: player.name, points: roundPoints[index] }));
+        this.lastRoundGains = roundPoints.reduce((sum, points) => sum + Math.max(0, points), 0);
+        this.lastRoundLosses = roundPoints.reduce((sum, points) => sum - Math.min(0, points), 0);
+
+        this.sessionStats.rounds++;
+        this.sessionStats.found += this.userCorrectGuesses.size;
+    }
+
+    /**
+     * Remove a guess (in path mode only the last step, so the route stays connected;
+     * never when players take turns, as every guess counts right away, nor in a room,
+     * whose server has counted it already)
+     */
+    removeGuess(countryCode) {
+        if (this.mode === 'PATH' && (this.submitted || countryCode !== this.getRouteEnd())) {
+            return false;
+        }
+        if (this.isTakingTurns() || this.room) {
+            return false;
+        }
+
+        if (!this.hasGuess(countryCode)) return false;
+
+        this.record({ type: 'guess-removed', code: countryCode });
+        return true;
+    }
+
     /**
      * Submit current guesses for validation
+     * @param {Object} options - Timer state: { secondsLeft, timedOut }.
+     *   A timed-out round may be submitted without any guesses.
+     */
+    submit({ secondsLeft = null, timedOut = false } = {}) {
+        // Path mode can be given up without a single step
+        if (this.guesses.length === 0 && !timedOut && this.mode !== 'PATH') {
+            return { success: false, error: t('errors.noGuesses') };
+        }
+
+        const cluePoints = this.getCluePoints(); // Before submitting reveals every clue
+        this.record({ type: 'submitted', secondsLeft, timedOut });
+
+        // Score the round with the active scoring rules.
+        // Challenges and online rooms always use standard scoring so results compare.
+        // In a hot-seat game the points go to the player whose turn it is.
+        const summary = this.getRoundSummary();
+        const isReverse = this.mode === 'REVERSE';
+        const player = this.hotSeat ? this.getCurrentPlayer() : null;
+        const scored = scoreRound(this.challenge || this.room ? 'STANDARD' : this.scoringPreset, {
+            mode: this.mode,
+            found: summary.found.length,
+            wrong: summary.wrong.length,
+            // A wrong answer in a reverse round already costs its point
+            missed: isReverse && summary.wrong.length > 0 ? 0 : summary.missed.length,
+            neighborCount: this.neighbors.length,
+            cluePoints,
+            routeLength: this.getRoute().length,
+            optimalLength: this.getOptimalLength(),
+            hintCount: this.hints.length,
+            hintCost: this.hints.reduce((sum, hint) => sum + hint.cost, 0),
+            timed: Boolean(getTimerMode(this.timerMode).perRound),
+            secondsLeft,
+            timedOut
+        }, player ? player.streak : this.streak);
+
+        if (player) {
+            player.score += scored.total;
+            player.streak = scored.streak;
+        } else {
+            this.score += scored.total;
+            this.streak = scored.streak;
+        }
+        this.lastRoundGains = scored.gains;
+        this.lastRoundLosses = scored.losses;
+        this.lastRoundBreakdown = scored.lines;
+
+        this.sessionStats.rounds++;
+        this.sessionStats.found += summary.found.length;
+
+        if (this.challenge) {
+            this.challenge.results.push({
+                found: summary.found.length,
+                missed: summary.missed.length,
+                wrong: summary.wrong.length
+            });
+        }
+
+        return {
+            success: true,
+            gains: scored.gains,
+            losses: scored.losses,
+            total: scored.total,
+            breakdown: scored.lines,
+            totalCorrect: this.correctGuesses.size,
+            totalNeighbors: this.neighbors.length,
+            isComplete: true
+        };
+    }
+
+    /**
+     * Mark the guesses of a submitted round by the rules of the mode
      */
-    submit() {
-        if (this.guesses.length === 0) {
-            return { success: false, error: 'No guesses to submit' };
+    markSubmitted() {
+        if (this.mode === 'REVERSE') {
+            this.submitReverse();
+        } else if (this.mode === 'PATH') {
+            this.submitPath();
+        } else {
+            this.submitNeighbors();
         }
+    }
 
+    /**
+     * Mark the guesses of a round that asks for neighbors and reveal the missed ones
+     */
+    submitNeighbors() {
         this.submitted = true;
         this.revealed = true; // Mark as revealed after submission
 
-        let gains = 0; // Points gained this round
-        let losses = 0; // Points lost this round (incorrect + missed)
-
         // Process current guesses
         this.guesses.forEach(guess => {
             if (guess.correct) {
-                if (!this.correctGuesses.has(guess.code)) {
-                    this.correctGuesses.add(guess.code);
-                    this.userCorrectGuesses.add(guess.code);
-                    gains++;
-                }
+                this.correctGuesses.add(guess.code);
+                this.userCorrectGuesses.add(guess.code);
             } else {
-                // Incorrect guess
-                if (!this.incorrectGuesses.has(guess.code)) {
-                    this.incorrectGuesses.add(guess.code);
-                    losses++;
-                }
+                this.incorrectGuesses.add(guess.code);
             }
         });
 
-        // Auto-reveal missing neighbors and count as losses
+        // Auto-reveal missing neighbors
         const countries = getCountries();
         this.neighbors.forEach(code => {
             if (!this.guesses.find(g => g.code === code)) {
-                // Missed this neighbor - count as loss
-                losses++;
-
                 // Add to guesses list as correct but revealed (not guessed by user)
                 const country = countries[code];
                 if (country) {
@@ -147,19 +898,131 @@ export class GameState {
                 this.correctGuesses.add(code);
             }
         });
+    }
 
-        // Update score and store round delta
-        this.score += (gains - losses);
-        this.lastRoundGains = gains;
-        this.lastRoundLosses = losses;
+    /**
+     * Mark the answer of a reverse round, revealing the intended country if it was wrong
+     */
+    submitReverse() {
+        this.submitted = true;
+        this.revealed = true;
+
+        // Clues may have been revealed after the answer was picked, so check again.
+        // There is no answer at all if the countdown ran out first.
+        const guess = this.guesses[0];
+        const correct = Boolean(guess) && this.bordersAllShownClues(guess.code);
+        if (guess) {
+            guess.correct = correct;
+        }
+
+        if (correct) {
+            this.correctGuesses.add(guess.code);
+            this.userCorrectGuesses.add(guess.code);
+        } else {
+            if (guess) {
+                this.incorrectGuesses.add(guess.code);
+            }
+            this.guesses.push({
+                code: this.targetCountryCode,
+                name: this.targetCountry.name,
+                correct: true,
+                revealed: true
+            });
+        }
+
+        // Show every clue once the round is over
+        this.cluesShown = this.clues.length;
+    }
+
+    /**
+     * Finish a path round, showing a shortest route unless the player found one
+     */
+    submitPath() {
+        this.submitted = true;
+        this.revealed = true;
+
+        const route = this.getRoute();
+        route.forEach(code => {
+            this.correctGuesses.add(code);
+            this.userCorrectGuesses.add(code);
+        });
+
+        if (this.pathComplete && route.length <= this.getOptimalLength()) return;
+
+        const countries = getCountries();
+        this.optimalPath.slice(1, -1)
+            .filter(code => !route.includes(code))
+            .forEach(code => {
+                this.guesses.push({
+                    code,
+                    name: countries[code].name,
+                    correct: true,
+                    revealed: true
+                });
+            });
+    }
+
+    /**
+     * Count an answer typed from memory towards the round's spelling stat
+     * @param {Object} event - Event of the answer: { typed, corrected, code } (no code if unrecognized)
+     */
+    tallySpelling(event) {
+        if (event.typed === undefined) return;
+
+        this.spelling.typed++;
+        if (!event.code) {
+            this.spelling.unrecognized++;
+        } else if (event.corrected) {
+            this.spelling.misspelled.push({ typed: event.typed, code: event.code });
+        } else {
+            this.spelling.exact++;
+        }
+    }
+
+    /**
+     * Summarize the submitted round for the player profile
+     */
+    getRoundSummary() {
+        const isReverse = this.mode === 'REVERSE';
+        const userGuesses = this.guesses.filter(g => !g.revealed);
+
+        let found;
+        let missed;
+        if (isReverse) {
+            // The "neighbor" to find in a reverse round is the target itself
+            const answered = userGuesses.some(g => g.correct);
+            found = answered ? [this.targetCountryCode] : [];
+            missed = answered ? [] : [this.targetCountryCode];
+        } else if (this.mode === 'PATH') {
+            // A path round is about reaching the end country
+            found = this.pathComplete ? [this.pathEndCode] : [];
+            missed = this.pathComplete ? [] : [this.pathEndCode];
+        } else {
+            found = this.neighbors.filter(code => this.userCorrectGuesses.has(code));
+            missed = this.neighbors.filter(code => !this.userCorrectGuesses.has(code));
+        }
 
         return {
-            success: true,
-            gains,
-            losses,
-            totalCorrect: this.correctGuesses.size,
-            totalNeighbors: this.neighbors.length,
-            isComplete: true
+            target: this.targetCountryCode,
+            mode: this.mode,
+            region: getCurrentRegion(),
+            round: this.round,
+            guesses: userGuesses.map(g => g.code),
+            found,
+            missed,
+            wrong: this.mode === 'PATH'
+                ? [...this.rejectedSteps]
+                : userGuesses.filter(g => !g.correct).map(g => g.code),
+            hints: this.hints.map(h => h.id),
+            spelling: this.spelling.typed > 0
+                ? { ...this.spelling, misspelled: [...this.spelling.misspelled] }
+                : null,
+            asksNeighbors: this.asksNeighbors(),
+            startedAt: this.roundStartedAt,
+            finishedAt: this.roundFinishedAt,
+            durationMs: this.roundFinishedAt - this.roundStartedAt,
+            gains: this.lastRoundGains,
+            losses: this.lastRoundLosses
         };
     }
 
@@ -167,9 +1030,20 @@ export class GameState {
      * Reveal all remaining neighbors
      */
     reveal() {
+        this.record({ type: 'revealed' });
+
+        return {
+            totalNeighbors: this.neighbors.length,
+            revealed: this.neighbors.length - (this.correctGuesses.size - this.neighbors.length + this.correctGuesses.size)
+        };
+    }
+
+    /**
+     * Add every neighbor to the guesses (correct ones only)
+     */
+    revealNeighbors() {
         this.revealed = true;
 
-        // Add all neighbors as guesses (correct ones only)
         this.neighbors.forEach(code => {
             if (!this.guesses.find(g => g.code === code)) {
                 const countries = getCountries();
@@ -184,22 +1058,22 @@ export class GameState {
             }
             this.correctGuesses.add(code);
         });
-
-        return {
-            totalNeighbors: this.neighbors.length,
-            revealed: this.neighbors.length - (this.correctGuesses.size - this.neighbors.length + this.correctGuesses.size)
-        };
     }
 
     /**
      * Get current game state for UI
      */
     getState() {
+        const countries = getCountries();
+        const isReverse = this.mode === 'REVERSE';
+
         return {
+            mode: this.mode,
             targetCountry: this.targetCountry,
             targetCountryCode: this.targetCountryCode,
             neighbors: this.neighborCountries,
             neighborCount: this.neighbors.length,
+            seaNeighborCodes: getMode(this.mode).withSea ? getSeaNeighbors(this.targetCountryCode) : [],
             guesses: this.guesses,
             correctCount: this.correctGuesses.size,
             submitted: this.submitted,
@@ -207,11 +1081,61 @@ export class GameState {
             score: this.score,
             lastRoundGains: this.lastRoundGains,
             lastRoundLosses: this.lastRoundLosses,
+            lastRoundBreakdown: this.lastRoundBreakdown,
+            streak: this.streak,
+            timerMode: this.timerMode,
+            scoringPreset: this.scoringPreset,
             round: this.round,
-            canSubmit: this.guesses.length > 0 && !this.revealed,
+            canSubmit: (this.guesses.length > 0 || this.mode === 'PATH') && !this.revealed && !this.isTakingTurns(),
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo(),
+            clues: this.getShownClues().map(code => ({ ...countries[code], code })),
+            choices: this.choices.map(code => ({ ...countries[code], code })),
+            cluesShown: this.cluesShown,
+            totalClues: this.clues.length,
+            cluePoints: this.getCluePoints(),
+            canRevealClue: isReverse && !this.submitted && this.cluesShown < this.clues.length,
+            hints: this.hints,
+            availableHints: !this.asksNeighbors() ? [] : getAllHints().map(hint => ({
+                ...hint,
+                available: this.getHintCandidates(hint.id).length > 0
+            })),
+            pathEnd: this.pathEnd,
+            route: this.getRoute(),
+            routeEnd: this.getRouteEnd(),
+            optimalPath: this.optimalPath,
+            optimalLength: this.getOptimalLength(),
+            pathComplete: this.pathComplete,
+            rejectedSteps: this.rejectedSteps.length,
+            hotSeat: this.hotSeat ? {
+                format: this.hotSeat.format,
+                takingTurns: this.isTakingTurns(),
+                players: this.hotSeat.players.map((player, index) => ({
+                    name: player.name,
+                    score: player.score,
+                    current: index === this.hotSeat.turn,
+                    out: this.isTakingTurns() && this.hotSeat.out.includes(index)
+                })),
+                currentPlayer: this.getCurrentPlayer().name,
+                nextPlayer: this.getNextPlayer() ? this.getNextPlayer().name : null
+            } : null,
+            room: this.room ? {
+                code: this.room.code,
+                isHost: this.isRoomHost(),
+                players: this.room.players.map(player => ({
+                    ...player,
+                    current: player.id === this.room.playerId
+                }))
+            } : null,
+            challenge: this.challenge ? {
+                label: this.challenge.label,
+                totalRounds: this.challenge.totalRounds,
+                complete: this.isChallengeComplete()
+            } : null,
             progress: {
-                found: this.userCorrectGuesses.size, // Only count user's actual guesses
-                total: this.neighbors.length
+                // Only count user's actual guesses (the route so far in path mode)
+                found: this.mode === 'PATH' ? this.getRoute().length : this.userCorrectGuesses.size,
+                total: isReverse ? 1 : this.mode === 'PATH' ? this.getOptimalLength() : this.neighbors.length
             }
         };
     }
@@ -237,6 +1161,13 @@ export class GameState {
         return this.guesses.some(g => g.code === countryCode);
     }
 
+    /**
+     * Get the guess added last
+     */
+    getLastGuess() {
+        return this.guesses[this.guesses.length - 1];
+    }
+
     /**
      * Advance to next round
      */
@@ -246,9 +1177,166 @@ export class GameState {
     }
 
     /**
-     * Change region and restart game
+     * Start a seeded game (daily challenge or shared link) from round 1
+     * @param {Object} challenge - { seed, region, mode, totalRounds, label } from challenge.js
+     */
+    startChallenge(challenge) {
+        this.challenge = { ...challenge, results: [] };
+        this.hotSeat = null;
+        this.room = null;
+        this.mode = challenge.mode;
+        setCurrentRegion(challenge.region);
+        setEntityLevel('UN'); // A seed only gives everyone the same countries from the same list
+        this.reset();
+        this.startNewRound();
+    }
+
+    /**
+     * Start a local multiplayer game from round 1 (leaves any running challenge)
+     * @param {string} formatId - Hot-seat format (see hotseat.js)
+     * @param {Array} names - Player names, in turn order
+     * @returns {Object} { success } or { success: false, error }
+     */
+    startHotSeat(formatId, names) {
+        const cleaned = cleanPlayerNames(names);
+        const error = validatePlayerNames(cleaned);
+        if (error) {
+            return { success: false, error };
+        }
+
+        this.challenge = null;
+        this.room = null;
+        this.hotSeat = {
+            format: getHotSeatFormat(formatId).id,
+            players: cleaned.map(name => ({ name, score: 0, streak: 0 })),
+            turn: 0, // Index of the player whose turn it is
+            turnsPlayed: 0, // Same country: players who finished the current country
+            out: [], // Taking turns: players out of the current round
+            roundPoints: [] // Taking turns: points of each player in the current round
+        };
+        this.reset();
+        this.startNewRound();
+        return { success: true };
+    }
+
+    /**
+     * Leave the local multiplayer game and continue alone
+     */
+    endHotSeat() {
+        this.hotSeat = null;
+        this.reset();
+        this.startNewRound();
+    }
+
+    /**
+     * Whether the players of a hot-seat game take turns naming neighbors of one country.
+     * Modes that don't ask for neighbors are played one player after another instead.
+     */
+    isTakingTurns() {
+        return Boolean(this.hotSeat) && this.hotSeat.format === 'TURNS' && this.asksNeighbors();
+    }
+
+    /**
+     * Get the player whose turn it is (hot seat), or null
+     */
+    getCurrentPlayer() {
+        return this.hotSeat ? this.hotSeat.players[this.hotSeat.turn] : null;
+    }
+
+    /**
+     * Get the player who plays the current country next (hot seat, one player after
+     * another), or null if everyone has played it
+     */
+    getNextPlayer() {
+        if (!this.hotSeat || this.isTakingTurns()) return null;
+
+        const { players, turn, turnsPlayed } = this.hotSeat;
+        return turnsPlayed < players.length - 1 ? players[(turn + 1) % players.length] : null;
+    }
+
+    /**
+     * Let the next player play the same country (hot seat, one player after another)
+     * @returns {boolean} Whether there was a next player
+     */
+    nextTurn() {
+        if (!this.getNextPlayer()) return false;
+
+        this.hotSeat.turn = (this.hotSeat.turn + 1) % this.hotSeat.players.length;
+        this.hotSeat.turnsPlayed++;
+
+        // Same setup (clues in the same order, same grid...) for everyone
+        this.startLog(this.events[0]);
+        return true;
+    }
+
+    /**
+     * Enter an online room (leaves any challenge or hot-seat game). Rooms race on
+     * naming land neighbors, so other modes switch to the classic one. The first round
+     * starts when the server sends it (see startRoundFor).
+     * @param {Object} room - { code, playerId } as confirmed by the server
+     */
+    joinRoom(room) {
+        this.challenge = null;
+        this.hotSeat = null;
+        if (!this.asksNeighbors() || getMode(this.mode).withSea) {
+            this.mode = 'CLASSIC';
+        }
+        this.room = { code: room.code, playerId: room.playerId, hostId: null, players: [] };
+        setEntityLevel('UN'); // Like the server, which checks guesses against UN members
+        this.score = 0;
+        this.streak = 0;
+    }
+
+    /**
+     * Update the room's leaderboard from the server
+     * @param {Object} leaderboard - { hostId, players: [{ id, name, score, found, total, done }] }
+     */
+    updateRoom(leaderboard) {
+        if (!this.room) return;
+
+        this.room.hostId = leaderboard.hostId;
+        this.room.players = leaderboard.players;
+    }
+
+    /**
+     * Whether this player picks the countries of the room
+     */
+    isRoomHost() {
+        return Boolean(this.room) && this.room.hostId === this.room.playerId;
+    }
+
+    /**
+     * Leave the online room and continue alone
+     */
+    leaveRoom() {
+        this.room = null;
+        this.reset();
+        this.startNewRound();
+    }
+
+    /**
+     * Leave the seeded game and continue with normal random rounds
+     */
+    endChallenge() {
+        this.challenge = null;
+        unseedRandom();
+        this.reset();
+        this.startNewRound();
+    }
+
+    /**
+     * Check whether every round of a fixed-length challenge has been submitted
+     */
+    isChallengeComplete() {
+        return Boolean(this.challenge && this.challenge.totalRounds &&
+            this.challenge.results.length >= this.challenge.totalRounds);
+    }
+
+    /**
+     * Change region and restart game (leaves any running challenge)
      */
     changeRegion(regionId) {
+        this.challenge = null;
         setCurrentRegion(regionId);
         this.reset();
         this.startNewRound();
@@ -260,4 +1348,199 @@ export class GameState {
     getRegion() {
         return getCurrentRegion();
     }
+
+    /**
+     * Change which places count as countries and restart game (leaves any running challenge)
+     * @param {string} levelId - Inclusion level (see entities.js)
+     */
+    changeEntityLevel(levelId) {
+        this.challenge = null;
+        setEntityLevel(levelId);
+        this.reset();
+        this.startNewRound();
+    }
+
+    /**
+     * Get current inclusion level
+     */
+    getEntityLevel() {
+        return getCurrentEntityLevel();
+    }
+
+    /**
+     * Change game mode and restart game (leaves any running challenge)
+     */
+    changeMode(modeId) {
+        this.challenge = null;
+        this.mode = getMode(modeId).id;
+        this.reset();
+        this.startNewRound();
+    }
+
+    /**
+     * Get current game mode
+     */
+    getMode() {
+        return this.mode;
+    }
+
+    /**
+     * Change timer mode and restart game (a blitz session starts from zero;
+     * leaves any running challenge)
+     */
+    changeTimerMode(timerModeId) {
+        this.challenge = null;
+        this.timerMode = getTimerMode(timerModeId).id;
+        this.reset();
+        this.startNewRound();
+    }
+
+    /**
+     * Get current timer mode
+     */
+    getTimerMode() {
+        return this.timerMode;
+    }
+
+    /**
+     * Change scoring rules and restart game (scores under different rules
+     * don't add up; leaves any running challenge)
+     */
+    changeScoringPreset(presetId) {
+        this.challenge = null;
+        this.scoringPreset = getScoringPreset(presetId).id;
+        this.reset();
+        this.startNewRound();
+    }
+
+    /**
+     * Get current scoring preset
+     */
+    getScoringPreset() {
+        return this.scoringPreset;
+    }
+
+    /**
+     * Change how answers are entered (takes effect right away, the round goes on)
+     */
+    setInputMode(inputModeId) {
+        this.inputMode = getInputMode(inputModeId).id;
+    }
+
+    /**
+     * Get current input mode
+     */
+    getInputMode() {
+        return this.inputMode;
+    }
+
+    /**
+     * Whether the player types answers without suggestions
+     */
+    isAnsweringFromMemory() {
+        return getInputMode(this.inputMode).fromMemory && this.takesTypedAnswers();
+    }
+
+    /**
+     * Whether answers are typed in the current mode (not clicked on the map or picked from a grid)
+     */
+    takesTypedAnswers() {
+        return this.mode !== 'MAP_CLICK' && !getMode(this.mode).choices;
+    }
+
+    /**
+     * Change how close and how many the distractors of multiple-choice rounds are
+     * (takes effect from the next round)
+     */
+    setChoiceDifficulty(difficultyId) {
+        this.choiceDifficulty = getChoiceDifficulty(difficultyId).id;
+    }
+
+    /**
+     * Get current choice difficulty
+     */
+    getChoiceDifficulty() {
+        return this.choiceDifficulty;
+    }
+
+    /**
+     * Change how countries are selected (takes effect from the next round)
+     */
+    setSelectionStrategy(strategyId) {
+        this.selectionStrategy = getStrategy(strategyId).id;
+    }
+
+    /**
+     * Get current selection strategy
+     */
+    getSelectionStrategy() {
+        return this.selectionStrategy;
+    }
+
+    /**
+     * Set where adaptive selection strategies read the player's past rounds from
+     * @param {Function} source - Returns round summaries, oldest first
+     */
+    setHistorySource(source) {
+        this.historySource = source;
+    }
+}
+
+/**
+ * Get the countries a path round from a start country can end at
+ * (a number of border crossings away that the mode allows)
+ */
+function findPathEnds(startCode, mode) {
+    const countries = getCountries();
+    return Object.entries(getNeighborGraph().getDistancesFrom(startCode, mode.maxHops))
+        .filter(([code, hops]) => hops >= mode.minHops && hops <= mode.maxHops && countries[code])
+        .map(([code]) => code);
+}
+
+/**
+ * Empty count of the answers typed from memory in a round
+ */
+function createSpellingTally() {
+    return { typed: 0, exact: 0, unrecognized: 0, misspelled: [] }; // misspelled: { typed, code }
+}
+
+/**
+ * Whether a logged event can be applied: a known type, about known countries and
+ * hints (logs may come from storage or a link, see loadEventLog)
+ */
+function isApplicableEvent(event, countries) {
+    if (!event || !EVENT_TYPES.includes(event.type)) return false;
+    if (event.type === 'hint-used' && !getHint(event.id)) return false;
+    if (event.type === 'round-started') {
+        return ['neighbors', 'clues', 'choices', 'optimalPath'].every(key =>
+            Array.isArray(event[key]) && event[key].every(code => countries[code])) &&
+            (event.pathEnd === null || Boolean(countries[event.pathEnd]));
+    }
+    return event.code === undefined || event.code === null || Boolean(countries[event.code]);
+}
+
+/**
+ * The running challenge of a snapshot, labelled in the current language, or null if there is none
+ */
+function readSnapshotChallenge(challenge) {
+    if (!challenge || typeof challenge.seed !== 'string') return null;
+
+    const totalRounds = Number.isInteger(challenge.totalRounds) && challenge.totalRounds > 0 ? challenge.totalRounds : null;
+    return {
+        ...createChallenge(challenge.seed, challenge.region, challenge.mode, totalRounds),
+        results: Array.isArray(challenge.results) ? challenge.results : []
+    };
+}
+
+/**
+ * Index of the event undo would take back: the last guess or removal, if nothing
+ * but unrecognized answers came after it (they only count for the spelling stat). -1 if none.
+ */
+function findLastUndoable(events) {
+    for (let i = events.length - 1; i >= 0; i--) {
+        const { type } = events[i];
+        if (type === 'guess-added' || type === 'guess-removed') return i;
+        if (type !== 'answer-unrecognized') return -1;
+    }
+    return -1;
 }
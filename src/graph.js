@@ -0,0 +1,154 @@
+/**
+ * Neighbor graph analytics
+ *
+ * Countries are nodes and land borders are edges. The graph only needs the
+ * neighbor map (country code -> array of neighbor codes) as stored in
+ * neighbors.json, so the data pipeline can use it as well as the game.
+ */
+
+export class NeighborGraph {
+    /**
+     * @param {Object} neighbors - Map of country code to an array of neighbor codes
+     */
+    constructor(neighbors) {
+        this.neighbors = neighbors;
+        this.components = null; // Computed on first use
+    }
+
+    /**
+     * Get all country codes in the graph
+     */
+    getCodes() {
+        return Object.keys(this.neighbors);
+    }
+
+    /**
+     * Get the neighbors of a country
+     */
+    getNeighbors(code) {
+        // Own codes only, so names like "constructor" are not countries
+        return Object.hasOwn(this.neighbors, code) ? this.neighbors[code] : [];
+    }
+
+    /**
+     * Get the number of land neighbors of a country
+     */
+    getDegree(code) {
+        return this.getNeighbors(code).length;
+    }
+
+    /**
+     * Get the largest number of neighbors any country has
+     */
+    getMaxDegree() {
+        return Math.max(0, ...this.getCodes().map(code => this.getDegree(code)));
+    }
+
+    /**
+     * Get the countries that border exactly a number of others
+     */
+    getCountriesWithDegree(degree) {
+        return this.getCodes().filter(code => this.getDegree(code) === degree);
+    }
+
+    /**
+     * Get the neighbors two countries have in common
+     */
+    getSharedNeighbors(codeA, codeB) {
+        const neighborsB = new Set(this.getNeighbors(codeB));
+        return this.getNeighbors(codeA).filter(code => neighborsB.has(code));
+    }
+
+    /**
+     * Get the number of border crossings from a country to every country reachable from it
+     * @param {string} code - Country to start from
+     * @param {number} maxHops - Stop searching beyond this many crossings
+     * @returns {Object} Map of country code to hops (0 for the country itself)
+     */
+    getDistancesFrom(code, maxHops = Infinity) {
+        const distances = { [code]: 0 };
+        const queue = [code];
+
+        // Breadth-first search
+        while (queue.length > 0) {
+            const current = queue.shift();
+            if (distances[current] >= maxHops) continue;
+
+            for (const neighbor of this.getNeighbors(current)) {
+                if (distances[neighbor] === undefined) {
+                    distances[neighbor] = distances[current] + 1;
+                    queue.push(neighbor);
+                }
+            }
+        }
+
+        return distances;
+    }
+
+    /**
+     * Get the countries at most k border crossings away (not the country itself)
+     */
+    getNeighborhood(code, hops) {
+        return Object.keys(this.getDistancesFrom(code, hops)).filter(other => other !== code);
+    }
+
+    /**
+     * Find a shortest land route between two countries
+     * @returns {Array|null} Country codes from start to end (both included), or null if there is no land route
+     */
+    getShortestPath(fromCode, toCode) {
+        const previous = { [fromCode]: null };
+        const queue = [fromCode];
+
+        while (queue.length > 0) {
+            const code = queue.shift();
+            if (code === toCode) {
+                const path = [];
+                for (let step = toCode; step !== null; step = previous[step]) {
+                    path.unshift(step);
+                }
+                return path;
+            }
+
+            for (const neighbor of this.getNeighbors(code)) {
+                if (previous[neighbor] === undefined) {
+                    previous[neighbor] = code;
+                    queue.push(neighbor);
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the landmasses: groups of countries connected by land borders,
+     * largest first. A country without land borders is a landmass of its own.
+     * @returns {Array} Arrays of country codes
+     */
+    getConnectedComponents() {
+        if (!this.components) {
+            const seen = new Set();
+            this.components = [];
+
+            this.getCodes().forEach(code => {
+                if (seen.has(code)) return;
+
+                const component = Object.keys(this.getDistancesFrom(code));
+                component.forEach(member => seen.add(member));
+                this.components.push(component);
+            });
+
+            this.components.sort((a, b) => b.length - a.length);
+        }
+        return this.components;
+    }
+
+    /**
+     * Get the landmass a country is on
+     * @returns {Array} Country codes (just the country itself if it has no land borders)
+     */
+    getComponent(code) {
+        return this.getConnectedComponents().find(component => component.includes(code)) || [code];
+    }
+}
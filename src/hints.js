@@ -0,0 +1,123 @@
+/**
+ * Hints a stuck player can buy for a point cost
+ */
+
+import * as d3 from 'd3';
+import * as topojson from 'topojson-client';
+import { getWorldTopo, getCountries } from './data.js';
+import { t } from './i18n.js';
+
+export const HINTS = {
+    FIRST_LETTER: {
+        id: 'FIRST_LETTER',
+        name: 'First Letter',
+        description: 'Show the first letter of a missing neighbor',
+        cost: 2,
+        perNeighbor: true // Can be bought once for every missing neighbor
+    },
+
+    DIRECTION: {
+        id: 'DIRECTION',
+        name: 'Direction',
+        description: 'Show in which direction a missing neighbor lies',
+        cost: 1,
+        perNeighbor: true
+    },
+
+    SILHOUETTE: {
+        id: 'SILHOUETTE',
+        name: 'Silhouette',
+        description: 'Show the outline of the country',
+        cost: 1,
+        perNeighbor: false // Once per round
+    }
+};
+
+const COMPASS_POINTS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+
+// Country code -> [longitude, latitude], computed on first use
+let centroids = null;
+
+/**
+ * Get hint by ID (null if there is no such hint)
+ */
+export function getHint(hintId) {
+    return HINTS[hintId] || null;
+}
+
+/**
+ * Get all available hints as an array
+ */
+export function getAllHints() {
+    return Object.values(HINTS);
+}
+
+/**
+ * Describe a bought hint for the player
+ * @param {string} hintId - Hint ID
+ * @param {string} targetCode - Country of the round
+ * @param {string} code - Neighbor the hint is about (the target itself for the silhouette)
+ */
+export function describeHint(hintId, targetCode, code) {
+    const countries = getCountries();
+    const targetName = countries[targetCode].name;
+
+    switch (hintId) {
+        case 'FIRST_LETTER':
+            return t('hints.firstLetter', { letter: countries[code].name.charAt(0) });
+        case 'DIRECTION': {
+            const direction = getCompassDirection(targetCode, code);
+            return direction
+                ? t('hints.direction', { direction: t(`compass.${direction}`), country: targetName })
+                : t('hints.noDirection');
+        }
+        case 'SILHOUETTE':
+            return t('hints.silhouette', { country: targetName });
+        default:
+            return '';
+    }
+}
+
+/**
+ * Get the compass direction (8 points) from one country's centroid to another's
+ * @returns {string|null} e.g. 'northeast', or null if either country has no geometry
+ */
+export function getCompassDirection(fromCode, toCode) {
+    const from = getCentroid(fromCode);
+    const to = getCentroid(toCode);
+    if (!from || !to) return null;
+
+    const index = Math.round(getBearing(from, to) / 45) % COMPASS_POINTS.length;
+    return COMPASS_POINTS[index];
+}
+
+/**
+ * Get the centroid of a country's outline
+ * @returns {Array|null} [longitude, latitude]
+ */
+function getCentroid(code) {
+    if (!centroids) {
+        const worldTopo = getWorldTopo();
+        if (!worldTopo) return null;
+
+        centroids = {};
+        topojson.feature(worldTopo, worldTopo.objects.countries).features.forEach(feature => {
+            centroids[feature.properties.iso_a3 || feature.id] = d3.geoCentroid(feature);
+        });
+    }
+    return centroids[code] || null;
+}
+
+/**
+ * Initial great-circle bearing in degrees (0 = north, clockwise)
+ */
+function getBearing([lon1, lat1], [lon2, lat2]) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const phi1 = toRadians(lat1);
+    const phi2 = toRadians(lat2);
+    const deltaLambda = toRadians(lon2 - lon1);
+
+    const y = Math.sin(deltaLambda) * Math.cos(phi2);
+    const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(deltaLambda);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
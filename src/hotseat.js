@@ -0,0 +1,67 @@
+/**
+ * Local multiplayer ("hot seat"): 2-6 named players sharing one device
+ */
+
+import { t } from './i18n.js';
+
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 6;
+const MAX_NAME_LENGTH = 20;
+
+export const HOTSEAT_FORMATS = {
+    TURNS: {
+        id: 'TURNS',
+        name: 'Take Turns',
+        description: 'Name one neighbor each, in turn. A wrong guess or a pass puts you out until the next country (modes that don\'t ask for neighbors play the same country in turn)'
+    },
+
+    SAME_COUNTRY: {
+        id: 'SAME_COUNTRY',
+        name: 'Same Country',
+        description: 'Each player plays the same country in turn, with the chosen game mode and scoring'
+    }
+};
+
+/**
+ * Get hot-seat format by ID
+ */
+export function getHotSeatFormat(formatId) {
+    return HOTSEAT_FORMATS[formatId] || HOTSEAT_FORMATS.TURNS;
+}
+
+/**
+ * Get all available hot-seat formats as an array
+ */
+export function getAllHotSeatFormats() {
+    return Object.values(HOTSEAT_FORMATS);
+}
+
+/**
+ * Clean up entered player names: trimmed, shortened, "Player N" for blank ones
+ */
+export function cleanPlayerNames(names) {
+    return names.map((name, index) => {
+        const trimmed = typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+        return trimmed || t('settings.hotseat.player', { number: index + 1 });
+    });
+}
+
+/**
+ * Check a list of (cleaned) player names before a game starts
+ * @returns {string|null} What is wrong with it, or null if it is fine
+ */
+export function validatePlayerNames(names) {
+    if (names.length < MIN_PLAYERS || names.length > MAX_PLAYERS) {
+        return t('settings.hotseat.playerCount', { min: MIN_PLAYERS, max: MAX_PLAYERS });
+    }
+
+    const seen = new Set();
+    for (const name of names) {
+        const key = name.toLowerCase();
+        if (seen.has(key)) {
+            return t('settings.hotseat.duplicateName', { name });
+        }
+        seen.add(key);
+    }
+    return null;
+}
@@ -0,0 +1,209 @@
+/**
+ * Interface language: UI strings and country names
+ *
+ * Every language has a dictionary in src/locales/ with strings keyed like
+ * 'settings.mode.title'. A string missing from a dictionary falls back to
+ * English. Names and descriptions of game modes, regions, timers... stay in
+ * their registries in English; dictionaries translate them as
+ * '<kind>.<ID>.name' and '<kind>.<ID>.description' (see localize).
+ */
+
+import { EN } from './locales/en.js';
+import { DE } from './locales/de.js';
+import { ES } from './locales/es.js';
+import { getStorage } from './profile.js';
+
+const STORAGE_KEY = 'neighbor-countries:language';
+
+export const LANGUAGES = {
+    en: {
+        id: 'en',
+        name: 'English',
+        strings: EN
+    },
+
+    de: {
+        id: 'de',
+        name: 'Deutsch',
+        strings: DE
+    },
+
+    es: {
+        id: 'es',
+        name: 'Español',
+        strings: ES
+    }
+};
+
+let currentLanguage = 'en';
+let acceptEnglish = true; // Whether English country names are valid answers in other languages
+
+/**
+ * Get language by ID
+ */
+export function getLanguage(languageId) {
+    return LANGUAGES[languageId] || LANGUAGES.en;
+}
+
+/**
+ * Get all languages as an array
+ */
+export function getAllLanguages() {
+    return Object.values(LANGUAGES);
+}
+
+/**
+ * Get the current language ID
+ */
+export function getCurrentLanguage() {
+    return currentLanguage;
+}
+
+/**
+ * Whether English country names are accepted besides the current language's
+ */
+export function acceptsEnglishNames() {
+    return acceptEnglish;
+}
+
+/**
+ * Pick the language saved by the player, else the browser's, else English
+ * @param {Storage|null} storage - Where the choice is saved
+ * @param {Array} preferred - Browser languages, most preferred first (e.g. ['de-AT', 'en'])
+ */
+export function loadLanguage(storage = getStorage(), preferred = getBrowserLanguages()) {
+    const saved = readSaved(storage);
+    if (saved) {
+        currentLanguage = getLanguage(saved.language).id;
+        acceptEnglish = saved.acceptEnglish !== false;
+        return;
+    }
+
+    const match = preferred
+        .map(tag => tag.toLowerCase().split('-')[0])
+        .find(id => LANGUAGES[id]);
+    currentLanguage = match || 'en';
+}
+
+/**
+ * Change the language and whether English names are accepted, and save both
+ */
+export function setLanguage(languageId, acceptEnglishNames = acceptEnglish, storage = getStorage()) {
+    currentLanguage = getLanguage(languageId).id;
+    acceptEnglish = Boolean(acceptEnglishNames);
+
+    if (!storage) return;
+    try {
+        storage.setItem(STORAGE_KEY, JSON.stringify({ language: currentLanguage, acceptEnglish }));
+    } catch (error) {
+        console.warn('[I18N] Could not save language:', error);
+    }
+}
+
+/**
+ * Translate a UI string
+ * @param {string} key - Dictionary key
+ * @param {Object} params - Values for {placeholders}; a count picks between
+ *   the 'one' and 'other' forms of a string that has them
+ * @returns {string} The string in the current language (English if it has none, the key if nobody has)
+ */
+export function t(key, params = {}) {
+    const entry = lookup(key);
+    return entry === undefined ? key : format(entry, params);
+}
+
+/**
+ * Translate the name and description of a registry entry ({ id, name, description })
+ * @param {string} kind - Registry prefix of the keys, e.g. 'mode'
+ * @param {Object} option - Registry entry, with its English name and description
+ * @param {Object} params - Values for placeholders in the translations
+ * @returns {Object} A copy of the entry with translated name and description
+ */
+export function localize(kind, option, params = {}) {
+    const name = lookup(`${kind}.${option.id}.name`);
+    const description = lookup(`${kind}.${option.id}.description`);
+
+    return {
+        ...option,
+        name: name === undefined ? option.name : format(name, params),
+        description: description === undefined ? option.description : format(description, params)
+    };
+}
+
+/**
+ * Translate the static text of the page. Elements name their string with
+ * data-i18n (text), data-i18n-html (trusted markup from the dictionaries),
+ * data-i18n-placeholder and data-i18n-label (aria-label and title).
+ */
+export function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-html]').forEach(element => {
+        element.innerHTML = t(element.dataset.i18nHtml);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-label]').forEach(element => {
+        const label = t(element.dataset.i18nLabel);
+        element.setAttribute('aria-label', label);
+        if (element.hasAttribute('title')) {
+            element.title = label;
+        }
+    });
+
+    if (root.documentElement) {
+        root.documentElement.lang = currentLanguage;
+    }
+}
+
+/**
+ * Format a number for the current language (1,234 or 1.234)
+ */
+export function formatNumber(value) {
+    return value.toLocaleString(currentLanguage);
+}
+
+/**
+ * Find a dictionary entry in the current language, or in English
+ */
+function lookup(key) {
+    const strings = getLanguage(currentLanguage).strings;
+    return key in strings ? strings[key] : EN[key];
+}
+
+/**
+ * Fill in the placeholders of a string (or of the plural form the count asks for)
+ */
+function format(entry, params) {
+    const text = typeof entry === 'string'
+        ? entry
+        : (params.count === 1 ? entry.one : entry.other);
+
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) =>
+        name in params ? String(params[name]) : placeholder);
+}
+
+/**
+ * Read the saved { language, acceptEnglish }, if any
+ */
+function readSaved(storage) {
+    if (!storage) return null;
+
+    try {
+        const raw = storage.getItem(STORAGE_KEY);
+        return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+        console.warn('[I18N] Could not read saved language:', error);
+        return null;
+    }
+}
+
+/**
+ * Get the browser's preferred languages (none outside a browser)
+ */
+function getBrowserLanguages() {
+    if (typeof navigator === 'undefined') return [];
+    return navigator.languages || [navigator.language].filter(Boolean);
+}
@@ -0,0 +1,33 @@
+/**
+ * How players enter their answers: picked from suggestions, or typed from memory
+ */
+
+export const INPUT_MODES = {
+    SUGGESTIONS: {
+        id: 'SUGGESTIONS',
+        name: 'Suggestions',
+        description: 'Pick countries from a list of suggestions as you type',
+        fromMemory: false
+    },
+
+    MEMORY: {
+        id: 'MEMORY',
+        name: 'From Memory',
+        description: 'No suggestions: type the whole name and press Enter. Small typos are forgiven, but count against your spelling',
+        fromMemory: true
+    }
+};
+
+/**
+ * Get input mode by ID
+ */
+export function getInputMode(inputModeId) {
+    return INPUT_MODES[inputModeId] || INPUT_MODES.SUGGESTIONS;
+}
+
+/**
+ * Get all available input modes as an array
+ */
+export function getAllInputModes() {
+    return Object.values(INPUT_MODES);
+}
@@ -0,0 +1,357 @@
+/**
+ * German UI strings
+ */
+
+export const DE = {
+    // Page
+    'app.title': 'Wer grenzt an wen?',
+    'app.tagline': 'Ein Spiel zum Geografielernen',
+    'loading': 'Länderdaten werden geladen...',
+    'header.stats': 'Statistik',
+    'header.settings': 'Einstellungen',
+    'header.round': 'Runde',
+    'header.score': 'Punkte',
+    'header.players': 'Spieler',
+    'header.time': 'Zeit',
+    'header.blitz': 'Blitz',
+    'modal.close': 'Schließen',
+    'modal.ok': 'OK',
+    'modal.error': 'Fehler',
+
+    // Question
+    'question.classic': 'Nenne die Nachbarn von',
+    'question.sea': 'Nenne die Nachbarn zu Land und zur See von',
+    'question.reverse': 'Welches Land grenzt an all diese?',
+    'question.path': 'Finde einen Landweg von',
+    'question.route': '{start} nach {end}',
+    'question.turn': '{name} ist dran',
+    'question.neighborsBefore': 'Dieses Land hat',
+    'question.neighborsAfter': 'Nachbarn',
+    'question.clue': 'Hinweis',
+    'question.of': 'von',
+    'question.worthBefore': '',
+    'question.worthAfter': 'Punkte wert',
+    'question.routeBefore': 'Der kürzeste Weg führt durch',
+    'question.routeAfter': 'Länder dazwischen',
+    'question.found': 'Gefunden:',
+    'question.onlyBorder': 'Seine einzige Landgrenze: {border}',
+    'question.longestBorder': 'Längste Grenze: {border}',
+    'question.shortestBorder': 'Kürzeste Grenze: {border}',
+    'question.borderLength': '{country}, {length} km',
+
+    // Hints
+    'hints.label': 'Festgefahren? Kauf einen Tipp:',
+    'hints.silhouetteLabel': 'Umriss des Landes',
+    'hints.button': '{name} (-{cost})',
+    'hints.firstLetter': 'Ein fehlender Nachbar beginnt mit „{letter}“',
+    'hints.direction': 'Ein fehlender Nachbar liegt im {direction} von {country}',
+    'hints.noDirection': 'Für diesen Nachbarn gibt es keine Richtung',
+    'hints.silhouette': 'Der Umriss von {country}',
+    'compass.north': 'Norden',
+    'compass.northeast': 'Nordosten',
+    'compass.east': 'Osten',
+    'compass.southeast': 'Südosten',
+    'compass.south': 'Süden',
+    'compass.southwest': 'Südwesten',
+    'compass.west': 'Westen',
+    'compass.northwest': 'Nordwesten',
+
+    // Answers
+    'input.label': 'Ländernamen eingeben',
+    'input.placeholder': 'Gib einen Ländernamen ein...',
+    'input.memoryPlaceholder': 'Gib den ganzen Ländernamen ein und drücke Enter...',
+    'input.spellingCorrected': 'Als {name} gewertet: achte auf die Schreibweise',
+    'input.mapHint': 'Klicke auf ein Land, um es hinzuzufügen, und noch einmal, um es zu entfernen. Mit der Tastatur: Tab bis zum Land, dann Enter.',
+    'input.remove': '{name} entfernen',
+    'input.choices': 'Länder zur Auswahl',
+    'errors.countryNotFound': 'Land nicht gefunden',
+    'errors.notRecognized': 'Nicht erkannt',
+    'errors.oneAnswer': 'Nur eine Antwort erlaubt',
+    'errors.alreadyGuessed': 'Schon geraten',
+    'errors.roundOver': 'Die Runde ist vorbei',
+    'errors.routeStart': 'Dort beginnt der Weg schon',
+    'errors.notBordering': '{country} grenzt nicht an {from}',
+    'errors.noGuesses': 'Keine Antworten zum Abgeben',
+    'errors.hintUnavailable': 'Tipp nicht verfügbar',
+    'errors.nothingToPass': 'Nichts zum Passen',
+    'errors.noCountries': 'Keine Länder mit Nachbarn verfügbar',
+    'errors.loadData': 'Die Spieldaten konnten nicht geladen werden. Bitte prüfe, ob die Datendateien erzeugt wurden.',
+    'errors.loadTitle': 'Fehler beim Laden des Spiels',
+    'errors.prepareData': 'Führe <code style="background: var(--parchment); padding: 0.2rem 0.5rem; border-radius: 4px;">npm run prepare-data</code> aus, um die nötigen Datendateien zu erzeugen.',
+    'errors.connectionLost': 'Die Verbindung zum Mehrspieler-Server ist abgebrochen.',
+
+    // Buttons
+    'actions.clue': 'Noch ein Hinweis',
+    'actions.pass': 'Passen',
+    'actions.undo': 'Rückgängig',
+    'actions.redo': 'Wiederholen',
+    'actions.submit': 'Antworten abgeben',
+    'actions.giveUp': 'Aufgeben',
+    'actions.nextRound': 'Nächste Runde',
+    'actions.nextPlayer': 'Nächster Spieler: {name}',
+    'actions.seeResults': 'Ergebnis ansehen',
+    'actions.waitingForHost': 'Warten auf den Gastgeber',
+
+    // Map legend
+    'legend.target': 'Gesuchtes Land',
+    'legend.correct': 'Von dir erraten',
+    'legend.revealed': 'Verpasst',
+    'legend.ends': 'Start und Ziel',
+    'legend.route': 'Dein Weg',
+    'legend.shortestRoute': 'Kürzester Weg',
+    'legend.sea': 'Über das Meer',
+
+    // Scoring
+    'score.total': 'Rundenergebnis',
+    'score.rightCountry': 'Richtiges Land',
+    'score.rightCountryClues': { one: 'Richtiges Land ({count} Hinweis übrig)', other: 'Richtiges Land ({count} Hinweise übrig)' },
+    'score.routeFound': { one: 'Weg gefunden ({count} Land dazwischen)', other: 'Weg gefunden ({count} Länder dazwischen)' },
+    'score.found': { one: '{count} Nachbar gefunden', other: '{count} Nachbarn gefunden' },
+    'score.foundWeighted': { one: '{count} Nachbar gefunden (×{weight})', other: '{count} Nachbarn gefunden (×{weight})' },
+    'score.detours': { one: '{count} Land zu viel auf dem Weg', other: '{count} Länder zu viel auf dem Weg' },
+    'score.wrong': { one: '{count} falsche Antwort', other: '{count} falsche Antworten' },
+    'score.noAnswer': 'Keine Antwort',
+    'score.noRoute': 'Kein Weg',
+    'score.missed': { one: '{count} verpasster Nachbar', other: '{count} verpasste Nachbarn' },
+    'score.hints': { one: '{count} Tipp benutzt', other: '{count} Tipps benutzt' },
+    'score.streak': 'Serie von {count} (×{multiplier})',
+    'score.timedOut': 'Zeit abgelaufen',
+    'score.timeBonus': 'Zeitbonus ({seconds} s übrig)',
+
+    // Round and game results
+    'results.timeUp': 'Die Zeit ist um!',
+    'results.timeUpText': 'Du hast {neighbors} in {countries} gefunden.\nPunkte: {score}',
+    'results.neighbors': { one: '{count} Nachbarn', other: '{count} Nachbarn' },
+    'results.countries': { one: '{count} Land', other: '{count} Ländern' },
+    'results.playAgain': 'Nochmal spielen',
+    'results.roundComplete': 'Runde beendet!',
+    'results.correct': '✅ Richtig: {count}',
+    'results.wrong': '❌ Falsche Antworten: {count}',
+    'results.missed': '⚠️ Verpasste Nachbarn: {count}',
+    'results.roundFinished': 'Runde beendet.',
+    'results.challengeComplete': '{label} geschafft!',
+    'results.challengeScore': 'Du hast <strong>{score}</strong> Punkte erreicht. Teile dein Ergebnis:',
+    'results.copy': 'Ergebnis kopieren',
+    'results.copied': 'Kopiert!',
+    'results.copyFailed': 'Kopieren fehlgeschlagen',
+    'results.keepPlaying': 'Weiterspielen',
+
+    // Challenges
+    'challenge.daily': 'Tagesrätsel {date}',
+    'challenge.shared': 'Geteiltes Spiel',
+    'challenge.custom': 'Herausforderung',
+    'challenge.score': 'Punkte: {score}',
+
+    // Settings
+    'settings.title': 'Einstellungen',
+    'settings.language.title': 'Sprache',
+    'settings.language.description': 'Sprache des Spiels und der Ländernamen',
+    'settings.language.acceptEnglish': 'Auch englische Ländernamen akzeptieren',
+    'settings.mode.title': 'Spielmodus',
+    'settings.mode.description': 'Wähle, was jede Runde von dir wissen will',
+    'settings.input.title': 'Antworten',
+    'settings.input.description': 'Wähle, wie du die Länder eingibst, die du nennst',
+    'settings.choices.title': 'Auswahl',
+    'settings.choices.description': 'Wie viele Länder Wähle die Nachbarn untermischt und wie nah sie liegen (ab der nächsten Runde)',
+    'settings.region.title': 'Region',
+    'settings.region.description': 'Wähle, welche Länder im Spiel vorkommen',
+    'settings.entities.title': 'Länder',
+    'settings.entities.description': 'Wähle, welche Gebiete als Länder zählen, als gesuchte Länder und als Antworten',
+    'settings.customRegions.title': 'Eigene Regionen',
+    'settings.customRegions.description': 'Stelle eigene Übungssets zusammen, etwa „Balkan“ oder „Sahel“, und teile sie als Datei',
+    'settings.customRegions.new': 'Neue Region',
+    'settings.customRegions.import': 'Importieren',
+    'settings.customRegions.export': 'Exportieren',
+    'settings.customRegions.empty': 'Noch keine eigenen Regionen.',
+    'settings.customRegions.count': { one: '{count} Land', other: '{count} Länder' },
+    'settings.customRegions.edit': 'Bearbeiten',
+    'settings.customRegions.delete': 'Löschen',
+    'settings.customRegions.confirmDelete': 'Wirklich löschen?',
+    'settings.customRegions.exported': { one: '{count} Region exportiert.', other: '{count} Regionen exportiert.' },
+    'settings.customRegions.imported': { one: '{count} Region importiert.', other: '{count} Regionen importiert.' },
+    'settings.customRegions.importedSkipped': '{imported} Regionen importiert, {skipped} ohne spielbare Länder übersprungen.',
+    'settings.customRegions.importFailed': 'Import fehlgeschlagen: {error}.',
+    'settings.timer.title': 'Zeit',
+    'settings.timer.description': 'Spiele gegen die Uhr (die Uhr steht, solange dieses Fenster offen ist)',
+    'settings.strategy.title': 'Länderauswahl',
+    'settings.strategy.description': 'Wähle, wie das nächste Land ausgesucht wird',
+    'settings.scoring.title': 'Wertung',
+    'settings.scoring.description': 'Wähle, wie Runden gewertet werden (Tagesrätsel und geteilte Spiele nutzen immer die Standardwertung)',
+    'settings.hotseat.title': 'Spieler',
+    'settings.hotseat.description': 'Spiele auf diesem Gerät gegen Freunde, 2 bis 6 Spieler',
+    'settings.hotseat.addPlayer': 'Spieler hinzufügen',
+    'settings.hotseat.start': 'Mehrspielerspiel starten',
+    'settings.hotseat.restart': 'Mehrspielerspiel neu starten',
+    'settings.hotseat.end': 'Zurück zum Einzelspiel',
+    'settings.hotseat.player': 'Spieler {number}',
+    'settings.hotseat.playerLabel': 'Name von Spieler {number}',
+    'settings.hotseat.remove': 'Entfernen',
+    'settings.hotseat.playerCount': 'Spielt zu {min} bis {max} Spielern',
+    'settings.hotseat.duplicateName': 'Zwei Spieler heißen „{name}“',
+    'settings.room.title': 'Online-Raum',
+    'settings.room.description': 'Tretet gegeneinander am selben Land an. Starte den Server mit <code>npm run multiplayer</code> und betretet von jedem Tab oder Gerät denselben Raum.',
+    'settings.room.server': 'Server',
+    'settings.room.name': 'Dein Name',
+    'settings.room.namePlaceholder': 'z. B. Ada',
+    'settings.room.code': 'Raumcode',
+    'settings.room.codePlaceholder': 'z. B. MITTAG',
+    'settings.room.join': 'Raum betreten',
+    'settings.room.leave': 'Raum verlassen',
+    'settings.room.missing': 'Gib deinen Namen und einen Raumcode ein.',
+    'settings.room.connecting': 'Verbinde mit {url}...',
+    'settings.room.left': 'Du hast den Raum verlassen.',
+    'settings.room.joined': 'Du bist im Raum {code}.',
+    'settings.room.joinedHost': 'Du bist im Raum {code} und wählst die Länder aus.',
+    'settings.challenge.title': 'Herausforderung',
+    'settings.challenge.description': 'Spiele dieselben Länder wie deine Freunde',
+    'settings.challenge.daily': 'Heutiges Tagesrätsel spielen',
+    'settings.challenge.share': 'Teilbares Spiel starten',
+    'settings.challenge.copied': 'Neues Spiel gestartet - der Link ist in deiner Zwischenablage und in der Adresszeile.',
+    'settings.challenge.notCopied': 'Neues Spiel gestartet - teile den Link aus der Adresszeile.',
+    'settings.session.title': 'Sitzung',
+    'settings.session.description': 'Dein Spiel wird beim Spielen auf diesem Gerät gespeichert. Exportiere es, um auf einem anderen Gerät weiterzuspielen.',
+    'settings.session.export': 'Sitzung exportieren',
+    'settings.session.copied': 'Der Link zum Weiterspielen ist in deiner Zwischenablage:',
+    'settings.session.notCopied': 'Öffne diesen Link auf deinem anderen Gerät, um weiterzuspielen:',
+    'settings.session.link': 'Spiel fortsetzen',
+    'settings.session.unavailable': 'Spiele mit mehreren Spielern auf diesem Gerät oder in einem Raum können nicht exportiert werden.',
+    'settings.about.title': 'Über das Spiel',
+    'settings.about.text': 'Dieses Spiel enthält <strong>164 Länder</strong> aus aller Welt. Es zählen nur <strong>Nachbarn an Land</strong> (keine Seegrenzen). Mikrostaaten und sehr kleine Länder sind nicht dabei.',
+    'settings.about.data': 'Geodaten von <a href="https://www.naturalearthdata.com/" target="_blank" rel="noopener">Natural Earth</a>',
+
+    // Regions
+    'regions.describe': { one: '{description} ({count} Land mit Landgrenzen)', other: '{description} ({count} Länder mit Landgrenzen)' },
+    'regions.custom': 'Eigene Region',
+    'regions.errors.name': 'Gib der Region einen Namen',
+    'regions.errors.empty': 'Füge mindestens ein Land hinzu',
+    'regions.errors.noNeighbors': 'Füge mindestens ein Land mit Nachbarn an Land hinzu',
+    'regions.errors.invalidJson': 'Die Datei ist kein gültiges JSON',
+    'regions.errors.noRegions': 'Die Datei enthält keine exportierten Regionen',
+    'regions.errors.version': 'Nicht unterstützte Exportversion: {version}',
+
+    // Region editor
+    'regionEditor.new': 'Neue Region',
+    'regionEditor.edit': '{name} bearbeiten',
+    'regionEditor.name': 'Name',
+    'regionEditor.namePlaceholder': 'z. B. Balkan',
+    'regionEditor.countries': 'Länder',
+    'regionEditor.description': 'Tippe einen Namen oder klicke Länder auf der Karte an, um sie hinzuzufügen oder zu entfernen',
+    'regionEditor.countryLabel': 'Land hinzufügen',
+    'regionEditor.countryPlaceholder': 'Land hinzufügen...',
+    'regionEditor.save': 'Region speichern',
+    'regionEditor.cancel': 'Abbrechen',
+
+    // Stats
+    'stats.title': 'Deine Statistik',
+    'stats.rounds': 'Runden',
+    'stats.perfect': 'Perfekt',
+    'stats.accuracy': 'Trefferquote',
+    'stats.hints': 'Tipps',
+    'stats.spelling': 'Rechtschreibung',
+    'stats.mastery.title': 'Meisterkarte',
+    'stats.mastery.description': 'Grüne Länder kennst du, rote verpasst du immer wieder. Fahre über ein Land für Details.',
+    'stats.mastery.notPlayed': '{name}: noch nicht gespielt',
+    'stats.weakest.title': 'Schwächste Länder',
+    'stats.weakest.detail': { one: '{percent} % · {count} Runde', other: '{percent} % · {count} Runden' },
+    'stats.weakest.empty': 'Spiele ein paar Runden, um zu sehen, mit welchen Ländern du Mühe hast.',
+    'stats.pairs.title': 'Am häufigsten verpasste Grenzen',
+    'stats.pairs.detail': '{percent} % von {count}',
+    'stats.pairs.empty': 'Noch keine verpassten Grenzen.',
+    'stats.reset': 'Statistik zurücksetzen',
+    'stats.confirmReset': 'Nochmal klicken, um die ganze Statistik zu löschen',
+
+    // Languages, in the language of the interface
+    'language.en': 'Englisch',
+    'language.de': 'Deutsch',
+    'language.es': 'Spanisch',
+
+    // Game modes
+    'mode.CLASSIC.name': 'Nenne die Nachbarn',
+    'mode.CLASSIC.description': 'Sieh ein Land und nenne alle seine Nachbarn an Land',
+    'mode.REVERSE.name': 'Welches Land?',
+    'mode.REVERSE.description': 'Sieh einige seiner Nachbarn und nenne das Land, das an alle grenzt',
+    'mode.MAP_CLICK.name': 'Klicke die Nachbarn',
+    'mode.MAP_CLICK.description': 'Finde die Nachbarn, indem du sie auf der Karte anklickst, statt ihre Namen zu tippen',
+    'mode.CHOICE.name': 'Wähle die Nachbarn',
+    'mode.CHOICE.description': 'Wähle die Nachbarn aus einem Raster von Ländern, ganz ohne Tippen. Gut für den Einstieg und am Handy',
+    'mode.PATH.name': 'Finde den Weg',
+    'mode.PATH.description': 'Reise über Land von einem Land zum anderen und nenne die Länder dazwischen, eine Grenze nach der anderen',
+    'mode.SEA.name': 'Land & Meer',
+    'mode.SEA.description': 'Nenne die Nachbarn eines Landes an Land und über das Meer, so sind auch Inselstaaten dabei',
+
+    // Input modes
+    'inputMode.SUGGESTIONS.name': 'Vorschläge',
+    'inputMode.SUGGESTIONS.description': 'Wähle Länder beim Tippen aus einer Liste von Vorschlägen',
+    'inputMode.MEMORY.name': 'Aus dem Gedächtnis',
+    'inputMode.MEMORY.description': 'Keine Vorschläge: Tippe den ganzen Namen und drücke Enter. Kleine Tippfehler werden verziehen, zählen aber gegen deine Rechtschreibung',
+
+    // Choice difficulties
+    'choices.EASY.name': 'Leicht',
+    'choices.EASY.description': 'Ein paar Länder mehr, von anderswo auf dem Kontinent',
+    'choices.MEDIUM.name': 'Mittel',
+    'choices.MEDIUM.description': 'Mehr Länder, die Hälfte davon in der Nähe',
+    'choices.HARD.name': 'Schwer',
+    'choices.HARD.description': 'Viele Länder, so nah am gesuchten Land wie möglich',
+
+    // Regions
+    'region.ALL.name': 'Alle Regionen',
+    'region.ALL.description': 'Alle Länder mit Landgrenzen',
+    'region.WESTERN_HEMISPHERE.name': 'Westliche Hemisphäre',
+    'region.WESTERN_HEMISPHERE.description': 'Länder in Nord- und Südamerika',
+    'region.EUROPE.name': 'Europa',
+    'region.EUROPE.description': 'Europäische Länder',
+    'region.AFRICA.name': 'Afrika',
+    'region.AFRICA.description': 'Afrikanische Länder',
+    'region.ASIA.name': 'Asien',
+    'region.ASIA.description': 'Asiatische Länder (mit Nahem Osten und Ozeanien)',
+    'region.MOST_DIFFICULT.name': 'Am schwierigsten',
+    'region.MOST_DIFFICULT.description': 'Länder mit {minNeighbors} oder mehr Nachbarn',
+
+    // Inclusion levels
+    'entities.UN.name': 'UN-Mitglieder',
+    'entities.UN.description': 'Die 193 Mitgliedstaaten der Vereinten Nationen',
+    'entities.STATES.name': 'Alle Staaten',
+    'entities.STATES.description': 'Auch Beobachterstaaten (Palästina, Vatikanstadt) und teilweise anerkannte Staaten (Kosovo, Taiwan, Westsahara...)',
+    'entities.TERRITORIES.name': 'Staaten & Gebiete',
+    'entities.TERRITORIES.description': 'Auch abhängige Gebiete (Grönland, Hongkong, Gibraltar...)',
+
+    // Timer modes
+    'timer.OFF.name': 'Ohne Zeit',
+    'timer.OFF.description': 'Lass dir so viel Zeit, wie du willst',
+    'timer.COUNTDOWN.name': 'Countdown',
+    'timer.COUNTDOWN.description': '60 Sekunden pro Land, danach werden die Antworten abgegeben. Perfekte Runden bringen 1 Punkt pro 10 übrigen Sekunden, Ablaufen kostet 1 Punkt',
+    'timer.BLITZ.name': 'Blitz',
+    'timer.BLITZ.description': '3 Minuten, um so viele Nachbarn wie möglich zu finden, in so vielen Ländern wie möglich',
+
+    // Selection strategies
+    'strategy.RANDOM.name': 'Zufällig',
+    'strategy.RANDOM.description': 'Jedes Land ist in jeder Runde gleich wahrscheinlich',
+    'strategy.SPACED.name': 'Verteilte Wiederholung',
+    'strategy.SPACED.description': 'Länder, die du verpasst, kommen bald wieder, Länder, die du kennst, nur selten',
+
+    // Scoring presets
+    'scoring.STANDARD.name': 'Standard',
+    'scoring.STANDARD.description': '+1 pro gefundenem Nachbarn, -1 pro falscher Antwort, -1 pro verpasstem Nachbarn',
+    'scoring.LENIENT.name': 'Nachsichtig',
+    'scoring.LENIENT.description': '+1 pro gefundenem Nachbarn, -1 pro falscher Antwort, keine Strafe für verpasste Nachbarn',
+    'scoring.STRICT.name': 'Streng',
+    'scoring.STRICT.description': '+1 pro gefundenem Nachbarn, -2 pro falscher Antwort, -2 pro verpasstem Nachbarn',
+    'scoring.WEIGHTED.name': 'Gewichtet',
+    'scoring.WEIGHTED.description': 'Nachbarn von Ländern mit vielen Grenzen zählen mehr: je 1 Punkt bei bis zu 4 Grenzen, 2 bei bis zu 8, 3 bei bis zu 12...',
+    'scoring.STREAK.name': 'Serie',
+    'scoring.STREAK.description': 'Standardwertung, aber jede perfekte Runde in Folge vervielfacht deine Punkte (+0,5× pro Runde, bis zu 3×)',
+
+    // Hot-seat formats
+    'hotseat.TURNS.name': 'Abwechselnd',
+    'hotseat.TURNS.description': 'Nennt reihum je einen Nachbarn. Eine falsche Antwort oder Passen scheidet bis zum nächsten Land aus (Modi, die nicht nach Nachbarn fragen, spielen dasselbe Land nacheinander)',
+    'hotseat.SAME_COUNTRY.name': 'Gleiches Land',
+    'hotseat.SAME_COUNTRY.description': 'Alle spielen nacheinander dasselbe Land, mit dem gewählten Spielmodus und der gewählten Wertung',
+
+    // Hints
+    'hint.FIRST_LETTER.name': 'Anfangsbuchstabe',
+    'hint.FIRST_LETTER.description': 'Zeigt den Anfangsbuchstaben eines fehlenden Nachbarn',
+    'hint.DIRECTION.name': 'Richtung',
+    'hint.DIRECTION.description': 'Zeigt, in welcher Richtung ein fehlender Nachbar liegt',
+    'hint.SILHOUETTE.name': 'Umriss',
+    'hint.SILHOUETTE.description': 'Zeigt den Umriss des Landes'
+};
@@ -0,0 +1,271 @@
+/**
+ * English UI strings (the reference: other languages fall back to these)
+ *
+ * {placeholders} are filled in by t(); { one, other } entries are picked by
+ * the count. Game modes, regions etc. keep their English names in their
+ * registries, so they have no entries here.
+ */
+
+export const EN = {
+    // Page
+    'app.title': 'Who Borders Who?',
+    'app.tagline': 'A geography learning game',
+    'loading': 'Loading country data...',
+    'header.stats': 'Stats',
+    'header.settings': 'Settings',
+    'header.round': 'Round',
+    'header.score': 'Score',
+    'header.players': 'Players',
+    'header.time': 'Time',
+    'header.blitz': 'Blitz',
+    'modal.close': 'Close',
+    'modal.ok': 'OK',
+    'modal.error': 'Error',
+
+    // Question
+    'question.classic': 'Name the neighbors of',
+    'question.sea': 'Name the land and sea neighbors of',
+    'question.reverse': 'Which country borders all of these?',
+    'question.path': 'Find a route by land from',
+    'question.route': '{start} to {end}',
+    'question.turn': '{name}\'s turn',
+    'question.neighborsBefore': 'This country has',
+    'question.neighborsAfter': 'neighbors',
+    'question.clue': 'Clue',
+    'question.of': 'of',
+    'question.worthBefore': 'worth',
+    'question.worthAfter': 'points',
+    'question.routeBefore': 'The shortest route crosses',
+    'question.routeAfter': 'countries in between',
+    'question.found': 'Found:',
+    'question.onlyBorder': 'Its only land border: {border}',
+    'question.longestBorder': 'Longest border: {border}',
+    'question.shortestBorder': 'Shortest border: {border}',
+    'question.borderLength': '{country}, {length} km',
+
+    // Hints
+    'hints.label': 'Stuck? Buy a hint:',
+    'hints.silhouetteLabel': 'Outline of the country',
+    'hints.button': '{name} (-{cost})',
+    'hints.firstLetter': 'A missing neighbor starts with "{letter}"',
+    'hints.direction': 'A missing neighbor lies to the {direction} of {country}',
+    'hints.noDirection': 'No direction available for this neighbor',
+    'hints.silhouette': 'The outline of {country}',
+    'compass.north': 'north',
+    'compass.northeast': 'northeast',
+    'compass.east': 'east',
+    'compass.southeast': 'southeast',
+    'compass.south': 'south',
+    'compass.southwest': 'southwest',
+    'compass.west': 'west',
+    'compass.northwest': 'northwest',
+
+    // Answers
+    'input.label': 'Enter country name',
+    'input.placeholder': 'Type a country name...',
+    'input.memoryPlaceholder': 'Type a full country name and press Enter...',
+    'input.spellingCorrected': 'Counted as {name}: check the spelling',
+    'input.mapHint': 'Click a country on the map to add it, click it again to remove it. With the keyboard, Tab to a country and press Enter.',
+    'input.remove': 'Remove {name}',
+    'input.choices': 'Countries to pick from',
+    'errors.countryNotFound': 'Country not found',
+    'errors.notRecognized': 'Not recognized',
+    'errors.oneAnswer': 'Only one answer allowed',
+    'errors.alreadyGuessed': 'Already guessed',
+    'errors.roundOver': 'Round is over',
+    'errors.routeStart': 'The route already starts there',
+    'errors.notBordering': '{country} doesn\'t border {from}',
+    'errors.noGuesses': 'No guesses to submit',
+    'errors.hintUnavailable': 'Hint not available',
+    'errors.nothingToPass': 'Nothing to pass',
+    'errors.noCountries': 'No countries with neighbors available',
+    'errors.loadData': 'Failed to load game data. Please ensure data files are generated.',
+    'errors.loadTitle': 'Error Loading Game',
+    'errors.prepareData': 'Please run <code style="background: var(--parchment); padding: 0.2rem 0.5rem; border-radius: 4px;">npm run prepare-data</code> to generate the required data files.',
+    'errors.connectionLost': 'The connection to the multiplayer server was lost.',
+
+    // Buttons
+    'actions.clue': 'Show Another Clue',
+    'actions.pass': 'Pass',
+    'actions.undo': 'Undo',
+    'actions.redo': 'Redo',
+    'actions.submit': 'Submit Answers',
+    'actions.giveUp': 'Give Up',
+    'actions.nextRound': 'Next Round',
+    'actions.nextPlayer': 'Next Player: {name}',
+    'actions.seeResults': 'See Results',
+    'actions.waitingForHost': 'Waiting for the Host',
+
+    // Map legend
+    'legend.target': 'Target Country',
+    'legend.correct': 'You Guessed',
+    'legend.revealed': 'You Missed',
+    'legend.ends': 'Start and Destination',
+    'legend.route': 'Your Route',
+    'legend.shortestRoute': 'Shortest Route',
+    'legend.sea': 'Across the Sea',
+
+    // Scoring
+    'score.total': 'Round total',
+    'score.rightCountry': 'Right country',
+    'score.rightCountryClues': { one: 'Right country ({count} clue unused)', other: 'Right country ({count} clues unused)' },
+    'score.routeFound': { one: 'Route found ({count} country in between)', other: 'Route found ({count} countries in between)' },
+    'score.found': { one: '{count} neighbor found', other: '{count} neighbors found' },
+    'score.foundWeighted': { one: '{count} neighbor found (×{weight})', other: '{count} neighbors found (×{weight})' },
+    'score.detours': { one: '{count} extra country on the route', other: '{count} extra countries on the route' },
+    'score.wrong': { one: '{count} wrong guess', other: '{count} wrong guesses' },
+    'score.noAnswer': 'No answer',
+    'score.noRoute': 'No route',
+    'score.missed': { one: '{count} missed neighbor', other: '{count} missed neighbors' },
+    'score.hints': { one: '{count} hint used', other: '{count} hints used' },
+    'score.streak': 'Streak of {count} (×{multiplier})',
+    'score.timedOut': 'Ran out of time',
+    'score.timeBonus': 'Time bonus ({seconds}s left)',
+
+    // Round and game results
+    'results.timeUp': 'Time\'s Up!',
+    'results.timeUpText': 'You found {neighbors} in {countries}.\nScore: {score}',
+    'results.neighbors': { one: '{count} neighbor', other: '{count} neighbors' },
+    'results.countries': { one: '{count} country', other: '{count} countries' },
+    'results.playAgain': 'Play Again',
+    'results.roundComplete': 'Round Complete!',
+    'results.correct': '✅ Correct: {count}',
+    'results.wrong': '❌ Wrong guesses: {count}',
+    'results.missed': '⚠️ Missed neighbors: {count}',
+    'results.roundFinished': 'Round finished.',
+    'results.challengeComplete': '{label} Complete!',
+    'results.challengeScore': 'You scored <strong>{score}</strong> points. Share your result:',
+    'results.copy': 'Copy Result',
+    'results.copied': 'Copied!',
+    'results.copyFailed': 'Copy failed',
+    'results.keepPlaying': 'Keep Playing',
+
+    // Challenges
+    'challenge.daily': 'Daily {date}',
+    'challenge.shared': 'Shared Game',
+    'challenge.custom': 'Challenge',
+    'challenge.score': 'Score: {score}',
+
+    // Settings
+    'settings.title': 'Settings',
+    'settings.language.title': 'Language',
+    'settings.language.description': 'Language of the game and the country names',
+    'settings.language.acceptEnglish': 'Also accept English country names',
+    'settings.mode.title': 'Game Mode',
+    'settings.mode.description': 'Choose what each round asks you',
+    'settings.input.title': 'Answers',
+    'settings.input.description': 'Choose how you enter the countries you name',
+    'settings.choices.title': 'Multiple Choice',
+    'settings.choices.description': 'How many countries Pick the Neighbors mixes in, and how close they are (from the next round)',
+    'settings.region.title': 'Region',
+    'settings.region.description': 'Choose which countries to include in the game',
+    'settings.entities.title': 'Countries',
+    'settings.entities.description': 'Choose which places count as countries, as targets and as answers',
+    'settings.customRegions.title': 'Custom Regions',
+    'settings.customRegions.description': 'Build your own practice sets, like "Balkans" or "Sahel", and share them as files',
+    'settings.customRegions.new': 'New Region',
+    'settings.customRegions.import': 'Import',
+    'settings.customRegions.export': 'Export',
+    'settings.customRegions.empty': 'No custom regions yet.',
+    'settings.customRegions.count': { one: '{count} country', other: '{count} countries' },
+    'settings.customRegions.edit': 'Edit',
+    'settings.customRegions.delete': 'Delete',
+    'settings.customRegions.confirmDelete': 'Really delete?',
+    'settings.customRegions.exported': { one: 'Exported {count} region.', other: 'Exported {count} regions.' },
+    'settings.customRegions.imported': { one: 'Imported {count} region.', other: 'Imported {count} regions.' },
+    'settings.customRegions.importedSkipped': 'Imported {imported} regions, skipped {skipped} without playable countries.',
+    'settings.customRegions.importFailed': 'Import failed: {error}.',
+    'settings.timer.title': 'Timer',
+    'settings.timer.description': 'Play against the clock (the clock pauses while this window is open)',
+    'settings.strategy.title': 'Country Selection',
+    'settings.strategy.description': 'Choose how the next country is picked',
+    'settings.scoring.title': 'Scoring',
+    'settings.scoring.description': 'Choose how rounds are scored (daily and shared games always use standard scoring)',
+    'settings.hotseat.title': 'Players',
+    'settings.hotseat.description': 'Play against friends on this device, 2 to 6 players',
+    'settings.hotseat.addPlayer': 'Add Player',
+    'settings.hotseat.start': 'Start Multiplayer Game',
+    'settings.hotseat.restart': 'Restart Multiplayer Game',
+    'settings.hotseat.end': 'Back to Single Player',
+    'settings.hotseat.player': 'Player {number}',
+    'settings.hotseat.playerLabel': 'Name of player {number}',
+    'settings.hotseat.remove': 'Remove',
+    'settings.hotseat.playerCount': 'Play with {min} to {max} players',
+    'settings.hotseat.duplicateName': 'Two players are called "{name}"',
+    'settings.room.title': 'Online Room',
+    'settings.room.description': 'Race friends on the same country. Start the server with <code>npm run multiplayer</code>, then join the same room from every tab or device.',
+    'settings.room.server': 'Server',
+    'settings.room.name': 'Your name',
+    'settings.room.namePlaceholder': 'e.g. Ada',
+    'settings.room.code': 'Room code',
+    'settings.room.codePlaceholder': 'e.g. LUNCH',
+    'settings.room.join': 'Join Room',
+    'settings.room.leave': 'Leave Room',
+    'settings.room.missing': 'Enter your name and a room code.',
+    'settings.room.connecting': 'Connecting to {url}...',
+    'settings.room.left': 'Left the room.',
+    'settings.room.joined': 'You are in room {code}.',
+    'settings.room.joinedHost': 'You are in room {code} and pick the countries.',
+    'settings.challenge.title': 'Challenge',
+    'settings.challenge.description': 'Play the same countries as your friends',
+    'settings.challenge.daily': 'Play Today\'s Daily Challenge',
+    'settings.challenge.share': 'Start a Shareable Game',
+    'settings.challenge.copied': 'New game started - the link is in your clipboard and the address bar.',
+    'settings.challenge.notCopied': 'New game started - share the link from the address bar.',
+    'settings.session.title': 'Session',
+    'settings.session.description': 'Your game is saved on this device as you play. Export it to go on playing on another device.',
+    'settings.session.export': 'Export Session',
+    'settings.session.copied': 'The link to resume this game is in your clipboard:',
+    'settings.session.notCopied': 'Open this link on your other device to resume the game:',
+    'settings.session.link': 'Resume game',
+    'settings.session.unavailable': 'Games with several players on this device or in a room can\'t be exported.',
+    'settings.about.title': 'About',
+    'settings.about.text': 'This game features <strong>164 countries</strong> from around the world. Only <strong>land neighbors</strong> count (not maritime borders). Microstates and very small countries were excluded.',
+    'settings.about.data': 'Geographic data from <a href="https://www.naturalearthdata.com/" target="_blank" rel="noopener">Natural Earth</a>',
+
+    // Regions
+    'regions.describe': { one: '{description} ({count} country with land borders)', other: '{description} ({count} countries with land borders)' },
+    'regions.custom': 'Custom region',
+    'regions.errors.name': 'Give the region a name',
+    'regions.errors.empty': 'Add at least one country',
+    'regions.errors.noNeighbors': 'Add at least one country with land neighbors',
+    'regions.errors.invalidJson': 'The file is not valid JSON',
+    'regions.errors.noRegions': 'The file does not contain exported regions',
+    'regions.errors.version': 'Unsupported export version: {version}',
+
+    // Region editor
+    'regionEditor.new': 'New Region',
+    'regionEditor.edit': 'Edit {name}',
+    'regionEditor.name': 'Name',
+    'regionEditor.namePlaceholder': 'e.g. Balkans',
+    'regionEditor.countries': 'Countries',
+    'regionEditor.description': 'Type a name or click countries on the map to add or remove them',
+    'regionEditor.countryLabel': 'Add a country',
+    'regionEditor.countryPlaceholder': 'Add a country...',
+    'regionEditor.save': 'Save Region',
+    'regionEditor.cancel': 'Cancel',
+
+    // Stats
+    'stats.title': 'Your Stats',
+    'stats.rounds': 'Rounds',
+    'stats.perfect': 'Perfect',
+    'stats.accuracy': 'Accuracy',
+    'stats.hints': 'Hints',
+    'stats.spelling': 'Spelling',
+    'stats.mastery.title': 'Mastery Map',
+    'stats.mastery.description': 'Green countries are the ones you know, red the ones you keep missing. Hover a country for details.',
+    'stats.mastery.notPlayed': '{name}: not played yet',
+    'stats.weakest.title': 'Weakest Countries',
+    'stats.weakest.detail': { one: '{percent}% · {count} round', other: '{percent}% · {count} rounds' },
+    'stats.weakest.empty': 'Play a few rounds to see which countries you struggle with.',
+    'stats.pairs.title': 'Most Missed Borders',
+    'stats.pairs.detail': '{percent}% of {count}',
+    'stats.pairs.empty': 'No missed borders yet.',
+    'stats.reset': 'Reset Statistics',
+    'stats.confirmReset': 'Click again to delete all statistics',
+
+    // Languages, in the language of the interface
+    'language.en': 'English',
+    'language.de': 'German',
+    'language.es': 'Spanish'
+};
@@ -0,0 +1,357 @@
+/**
+ * Spanish UI strings
+ */
+
+export const ES = {
+    // Page
+    'app.title': '¿Quién limita con quién?',
+    'app.tagline': 'Un juego para aprender geografía',
+    'loading': 'Cargando los datos de los países...',
+    'header.stats': 'Estadísticas',
+    'header.settings': 'Ajustes',
+    'header.round': 'Ronda',
+    'header.score': 'Puntos',
+    'header.players': 'Jugadores',
+    'header.time': 'Tiempo',
+    'header.blitz': 'Blitz',
+    'modal.close': 'Cerrar',
+    'modal.ok': 'Aceptar',
+    'modal.error': 'Error',
+
+    // Question
+    'question.classic': 'Nombra los vecinos de',
+    'question.sea': 'Nombra los vecinos por tierra y por mar de',
+    'question.reverse': '¿Qué país limita con todos estos?',
+    'question.path': 'Encuentra una ruta por tierra de',
+    'question.route': '{start} a {end}',
+    'question.turn': 'Turno de {name}',
+    'question.neighborsBefore': 'Este país tiene',
+    'question.neighborsAfter': 'vecinos',
+    'question.clue': 'Pista',
+    'question.of': 'de',
+    'question.worthBefore': 'vale',
+    'question.worthAfter': 'puntos',
+    'question.routeBefore': 'La ruta más corta cruza',
+    'question.routeAfter': 'países intermedios',
+    'question.found': 'Encontrados:',
+    'question.onlyBorder': 'Su única frontera terrestre: {border}',
+    'question.longestBorder': 'Frontera más larga: {border}',
+    'question.shortestBorder': 'Frontera más corta: {border}',
+    'question.borderLength': '{country}, {length} km',
+
+    // Hints
+    'hints.label': '¿Atascado? Compra una ayuda:',
+    'hints.silhouetteLabel': 'Contorno del país',
+    'hints.button': '{name} (-{cost})',
+    'hints.firstLetter': 'Un vecino que falta empieza por «{letter}»',
+    'hints.direction': 'Un vecino que falta está al {direction} de {country}',
+    'hints.noDirection': 'No hay dirección para este vecino',
+    'hints.silhouette': 'El contorno de {country}',
+    'compass.north': 'norte',
+    'compass.northeast': 'noreste',
+    'compass.east': 'este',
+    'compass.southeast': 'sureste',
+    'compass.south': 'sur',
+    'compass.southwest': 'suroeste',
+    'compass.west': 'oeste',
+    'compass.northwest': 'noroeste',
+
+    // Answers
+    'input.label': 'Escribe el nombre de un país',
+    'input.placeholder': 'Escribe el nombre de un país...',
+    'input.memoryPlaceholder': 'Escribe el nombre completo de un país y pulsa Intro...',
+    'input.spellingCorrected': 'Contado como {name}: revisa la ortografía',
+    'input.mapHint': 'Haz clic en un país del mapa para añadirlo y otra vez para quitarlo. Con el teclado, ve al país con Tab y pulsa Intro.',
+    'input.remove': 'Quitar {name}',
+    'input.choices': 'Países para elegir',
+    'errors.countryNotFound': 'País no encontrado',
+    'errors.notRecognized': 'No reconocido',
+    'errors.oneAnswer': 'Solo se permite una respuesta',
+    'errors.alreadyGuessed': 'Ya lo has dicho',
+    'errors.roundOver': 'La ronda ha terminado',
+    'errors.routeStart': 'La ruta ya empieza ahí',
+    'errors.notBordering': '{country} no limita con {from}',
+    'errors.noGuesses': 'No hay respuestas que enviar',
+    'errors.hintUnavailable': 'Ayuda no disponible',
+    'errors.nothingToPass': 'No hay nada que pasar',
+    'errors.noCountries': 'No hay países con vecinos disponibles',
+    'errors.loadData': 'No se pudieron cargar los datos del juego. Comprueba que los archivos de datos se han generado.',
+    'errors.loadTitle': 'Error al cargar el juego',
+    'errors.prepareData': 'Ejecuta <code style="background: var(--parchment); padding: 0.2rem 0.5rem; border-radius: 4px;">npm run prepare-data</code> para generar los archivos de datos necesarios.',
+    'errors.connectionLost': 'Se perdió la conexión con el servidor multijugador.',
+
+    // Buttons
+    'actions.clue': 'Mostrar otra pista',
+    'actions.pass': 'Pasar',
+    'actions.undo': 'Deshacer',
+    'actions.redo': 'Rehacer',
+    'actions.submit': 'Enviar respuestas',
+    'actions.giveUp': 'Rendirse',
+    'actions.nextRound': 'Siguiente ronda',
+    'actions.nextPlayer': 'Siguiente jugador: {name}',
+    'actions.seeResults': 'Ver resultados',
+    'actions.waitingForHost': 'Esperando al anfitrión',
+
+    // Map legend
+    'legend.target': 'País buscado',
+    'legend.correct': 'Acertados',
+    'legend.revealed': 'Fallados',
+    'legend.ends': 'Salida y destino',
+    'legend.route': 'Tu ruta',
+    'legend.shortestRoute': 'Ruta más corta',
+    'legend.sea': 'Al otro lado del mar',
+
+    // Scoring
+    'score.total': 'Total de la ronda',
+    'score.rightCountry': 'País correcto',
+    'score.rightCountryClues': { one: 'País correcto ({count} pista sin usar)', other: 'País correcto ({count} pistas sin usar)' },
+    'score.routeFound': { one: 'Ruta encontrada ({count} país intermedio)', other: 'Ruta encontrada ({count} países intermedios)' },
+    'score.found': { one: '{count} vecino encontrado', other: '{count} vecinos encontrados' },
+    'score.foundWeighted': { one: '{count} vecino encontrado (×{weight})', other: '{count} vecinos encontrados (×{weight})' },
+    'score.detours': { one: '{count} país de más en la ruta', other: '{count} países de más en la ruta' },
+    'score.wrong': { one: '{count} respuesta incorrecta', other: '{count} respuestas incorrectas' },
+    'score.noAnswer': 'Sin respuesta',
+    'score.noRoute': 'Sin ruta',
+    'score.missed': { one: '{count} vecino fallado', other: '{count} vecinos fallados' },
+    'score.hints': { one: '{count} ayuda usada', other: '{count} ayudas usadas' },
+    'score.streak': 'Racha de {count} (×{multiplier})',
+    'score.timedOut': 'Se acabó el tiempo',
+    'score.timeBonus': 'Bonus de tiempo (quedaban {seconds} s)',
+
+    // Round and game results
+    'results.timeUp': '¡Se acabó el tiempo!',
+    'results.timeUpText': 'Encontraste {neighbors} en {countries}.\nPuntos: {score}',
+    'results.neighbors': { one: '{count} vecino', other: '{count} vecinos' },
+    'results.countries': { one: '{count} país', other: '{count} países' },
+    'results.playAgain': 'Jugar otra vez',
+    'results.roundComplete': '¡Ronda completada!',
+    'results.correct': '✅ Correctos: {count}',
+    'results.wrong': '❌ Respuestas incorrectas: {count}',
+    'results.missed': '⚠️ Vecinos fallados: {count}',
+    'results.roundFinished': 'Ronda terminada.',
+    'results.challengeComplete': '¡{label} completado!',
+    'results.challengeScore': 'Has conseguido <strong>{score}</strong> puntos. Comparte tu resultado:',
+    'results.copy': 'Copiar resultado',
+    'results.copied': '¡Copiado!',
+    'results.copyFailed': 'No se pudo copiar',
+    'results.keepPlaying': 'Seguir jugando',
+
+    // Challenges
+    'challenge.daily': 'Reto diario {date}',
+    'challenge.shared': 'Partida compartida',
+    'challenge.custom': 'Reto',
+    'challenge.score': 'Puntos: {score}',
+
+    // Settings
+    'settings.title': 'Ajustes',
+    'settings.language.title': 'Idioma',
+    'settings.language.description': 'Idioma del juego y de los nombres de los países',
+    'settings.language.acceptEnglish': 'Aceptar también los nombres de países en inglés',
+    'settings.mode.title': 'Modo de juego',
+    'settings.mode.description': 'Elige qué te pregunta cada ronda',
+    'settings.input.title': 'Respuestas',
+    'settings.input.description': 'Elige cómo introduces los países que nombras',
+    'settings.choices.title': 'Opción múltiple',
+    'settings.choices.description': 'Cuántos países mezcla Elige los vecinos y lo cerca que están (desde la próxima ronda)',
+    'settings.region.title': 'Región',
+    'settings.region.description': 'Elige qué países entran en el juego',
+    'settings.entities.title': 'Países',
+    'settings.entities.description': 'Elige qué lugares cuentan como países, como objetivo y como respuesta',
+    'settings.customRegions.title': 'Regiones propias',
+    'settings.customRegions.description': 'Crea tus propios grupos de práctica, como «Balcanes» o «Sahel», y compártelos como archivo',
+    'settings.customRegions.new': 'Nueva región',
+    'settings.customRegions.import': 'Importar',
+    'settings.customRegions.export': 'Exportar',
+    'settings.customRegions.empty': 'Aún no hay regiones propias.',
+    'settings.customRegions.count': { one: '{count} país', other: '{count} países' },
+    'settings.customRegions.edit': 'Editar',
+    'settings.customRegions.delete': 'Borrar',
+    'settings.customRegions.confirmDelete': '¿Borrar de verdad?',
+    'settings.customRegions.exported': { one: '{count} región exportada.', other: '{count} regiones exportadas.' },
+    'settings.customRegions.imported': { one: '{count} región importada.', other: '{count} regiones importadas.' },
+    'settings.customRegions.importedSkipped': '{imported} regiones importadas, {skipped} omitidas por no tener países jugables.',
+    'settings.customRegions.importFailed': 'Error al importar: {error}.',
+    'settings.timer.title': 'Tiempo',
+    'settings.timer.description': 'Juega contra el reloj (el reloj se detiene mientras esta ventana está abierta)',
+    'settings.strategy.title': 'Selección de países',
+    'settings.strategy.description': 'Elige cómo se escoge el siguiente país',
+    'settings.scoring.title': 'Puntuación',
+    'settings.scoring.description': 'Elige cómo se puntúan las rondas (los retos diarios y las partidas compartidas usan siempre la puntuación estándar)',
+    'settings.hotseat.title': 'Jugadores',
+    'settings.hotseat.description': 'Juega contra tus amigos en este dispositivo, de 2 a 6 jugadores',
+    'settings.hotseat.addPlayer': 'Añadir jugador',
+    'settings.hotseat.start': 'Empezar partida multijugador',
+    'settings.hotseat.restart': 'Reiniciar partida multijugador',
+    'settings.hotseat.end': 'Volver a un jugador',
+    'settings.hotseat.player': 'Jugador {number}',
+    'settings.hotseat.playerLabel': 'Nombre del jugador {number}',
+    'settings.hotseat.remove': 'Quitar',
+    'settings.hotseat.playerCount': 'Jugad de {min} a {max} jugadores',
+    'settings.hotseat.duplicateName': 'Dos jugadores se llaman «{name}»',
+    'settings.room.title': 'Sala en línea',
+    'settings.room.description': 'Compite con tus amigos en el mismo país. Inicia el servidor con <code>npm run multiplayer</code> y entrad en la misma sala desde cada pestaña o dispositivo.',
+    'settings.room.server': 'Servidor',
+    'settings.room.name': 'Tu nombre',
+    'settings.room.namePlaceholder': 'p. ej. Ada',
+    'settings.room.code': 'Código de sala',
+    'settings.room.codePlaceholder': 'p. ej. COMIDA',
+    'settings.room.join': 'Entrar en la sala',
+    'settings.room.leave': 'Salir de la sala',
+    'settings.room.missing': 'Escribe tu nombre y un código de sala.',
+    'settings.room.connecting': 'Conectando con {url}...',
+    'settings.room.left': 'Has salido de la sala.',
+    'settings.room.joined': 'Estás en la sala {code}.',
+    'settings.room.joinedHost': 'Estás en la sala {code} y eliges los países.',
+    'settings.challenge.title': 'Reto',
+    'settings.challenge.description': 'Juega los mismos países que tus amigos',
+    'settings.challenge.daily': 'Jugar el reto diario de hoy',
+    'settings.challenge.share': 'Empezar una partida para compartir',
+    'settings.challenge.copied': 'Nueva partida - el enlace está en tu portapapeles y en la barra de direcciones.',
+    'settings.challenge.notCopied': 'Nueva partida - comparte el enlace de la barra de direcciones.',
+    'settings.session.title': 'Sesión',
+    'settings.session.description': 'Tu partida se guarda en este dispositivo mientras juegas. Expórtala para seguir jugando en otro dispositivo.',
+    'settings.session.export': 'Exportar sesión',
+    'settings.session.copied': 'El enlace para continuar esta partida está en tu portapapeles:',
+    'settings.session.notCopied': 'Abre este enlace en tu otro dispositivo para continuar la partida:',
+    'settings.session.link': 'Continuar partida',
+    'settings.session.unavailable': 'Las partidas con varios jugadores en este dispositivo o en una sala no se pueden exportar.',
+    'settings.about.title': 'Acerca de',
+    'settings.about.text': 'Este juego incluye <strong>164 países</strong> de todo el mundo. Solo cuentan los <strong>vecinos por tierra</strong> (no las fronteras marítimas). Los microestados y los países muy pequeños no están incluidos.',
+    'settings.about.data': 'Datos geográficos de <a href="https://www.naturalearthdata.com/" target="_blank" rel="noopener">Natural Earth</a>',
+
+    // Regions
+    'regions.describe': { one: '{description} ({count} país con fronteras terrestres)', other: '{description} ({count} países con fronteras terrestres)' },
+    'regions.custom': 'Región propia',
+    'regions.errors.name': 'Ponle un nombre a la región',
+    'regions.errors.empty': 'Añade al menos un país',
+    'regions.errors.noNeighbors': 'Añade al menos un país con vecinos por tierra',
+    'regions.errors.invalidJson': 'El archivo no es un JSON válido',
+    'regions.errors.noRegions': 'El archivo no contiene regiones exportadas',
+    'regions.errors.version': 'Versión de exportación no compatible: {version}',
+
+    // Region editor
+    'regionEditor.new': 'Nueva región',
+    'regionEditor.edit': 'Editar {name}',
+    'regionEditor.name': 'Nombre',
+    'regionEditor.namePlaceholder': 'p. ej. Balcanes',
+    'regionEditor.countries': 'Países',
+    'regionEditor.description': 'Escribe un nombre o haz clic en los países del mapa para añadirlos o quitarlos',
+    'regionEditor.countryLabel': 'Añadir un país',
+    'regionEditor.countryPlaceholder': 'Añadir un país...',
+    'regionEditor.save': 'Guardar región',
+    'regionEditor.cancel': 'Cancelar',
+
+    // Stats
+    'stats.title': 'Tus estadísticas',
+    'stats.rounds': 'Rondas',
+    'stats.perfect': 'Perfectas',
+    'stats.accuracy': 'Acierto',
+    'stats.hints': 'Ayudas',
+    'stats.spelling': 'Ortografía',
+    'stats.mastery.title': 'Mapa de dominio',
+    'stats.mastery.description': 'Los países verdes son los que conoces, los rojos los que sigues fallando. Pasa el ratón por un país para ver detalles.',
+    'stats.mastery.notPlayed': '{name}: aún sin jugar',
+    'stats.weakest.title': 'Países más difíciles',
+    'stats.weakest.detail': { one: '{percent} % · {count} ronda', other: '{percent} % · {count} rondas' },
+    'stats.weakest.empty': 'Juega unas rondas para ver qué países se te resisten.',
+    'stats.pairs.title': 'Fronteras más falladas',
+    'stats.pairs.detail': '{percent} % de {count}',
+    'stats.pairs.empty': 'Aún no has fallado ninguna frontera.',
+    'stats.reset': 'Borrar estadísticas',
+    'stats.confirmReset': 'Haz clic otra vez para borrar todas las estadísticas',
+
+    // Languages, in the language of the interface
+    'language.en': 'Inglés',
+    'language.de': 'Alemán',
+    'language.es': 'Español',
+
+    // Game modes
+    'mode.CLASSIC.name': 'Nombra los vecinos',
+    'mode.CLASSIC.description': 'Mira un país y nombra todos sus vecinos por tierra',
+    'mode.REVERSE.name': '¿Qué país?',
+    'mode.REVERSE.description': 'Mira algunos de sus vecinos y nombra el país que limita con todos ellos',
+    'mode.MAP_CLICK.name': 'Haz clic en los vecinos',
+    'mode.MAP_CLICK.description': 'Encuentra los vecinos haciendo clic en el mapa en lugar de escribir sus nombres',
+    'mode.CHOICE.name': 'Elige los vecinos',
+    'mode.CHOICE.description': 'Elige los vecinos de una cuadrícula de países, sin escribir. Ideal para empezar y en el móvil',
+    'mode.PATH.name': 'Encuentra la ruta',
+    'mode.PATH.description': 'Viaja por tierra de un país a otro nombrando los países intermedios, frontera a frontera',
+    'mode.SEA.name': 'Tierra y mar',
+    'mode.SEA.description': 'Nombra los vecinos de un país por tierra y al otro lado del mar, así también juegan los países insulares',
+
+    // Input modes
+    'inputMode.SUGGESTIONS.name': 'Sugerencias',
+    'inputMode.SUGGESTIONS.description': 'Elige los países de una lista de sugerencias mientras escribes',
+    'inputMode.MEMORY.name': 'De memoria',
+    'inputMode.MEMORY.description': 'Sin sugerencias: escribe el nombre completo y pulsa Intro. Se perdonan las erratas pequeñas, pero cuentan en tu ortografía',
+
+    // Choice difficulties
+    'choices.EASY.name': 'Fácil',
+    'choices.EASY.description': 'Unos pocos países más, de otras partes del continente',
+    'choices.MEDIUM.name': 'Media',
+    'choices.MEDIUM.description': 'Más países, la mitad de ellos cercanos',
+    'choices.HARD.name': 'Difícil',
+    'choices.HARD.description': 'Muchos países, tan cerca del país buscado como sea posible',
+
+    // Regions
+    'region.ALL.name': 'Todas las regiones',
+    'region.ALL.description': 'Todos los países con fronteras terrestres',
+    'region.WESTERN_HEMISPHERE.name': 'Hemisferio occidental',
+    'region.WESTERN_HEMISPHERE.description': 'Países de América del Norte y del Sur',
+    'region.EUROPE.name': 'Europa',
+    'region.EUROPE.description': 'Países europeos',
+    'region.AFRICA.name': 'África',
+    'region.AFRICA.description': 'Países africanos',
+    'region.ASIA.name': 'Asia',
+    'region.ASIA.description': 'Países asiáticos (con Oriente Medio y Oceanía)',
+    'region.MOST_DIFFICULT.name': 'Los más difíciles',
+    'region.MOST_DIFFICULT.description': 'Países con {minNeighbors} o más vecinos',
+
+    // Inclusion levels
+    'entities.UN.name': 'Miembros de la ONU',
+    'entities.UN.description': 'Los 193 Estados miembros de las Naciones Unidas',
+    'entities.STATES.name': 'Todos los Estados',
+    'entities.STATES.description': 'También Estados observadores (Palestina, Ciudad del Vaticano) y Estados con reconocimiento limitado (Kosovo, Taiwán, Sahara Occidental...)',
+    'entities.TERRITORIES.name': 'Estados y territorios',
+    'entities.TERRITORIES.description': 'También territorios dependientes (Groenlandia, Hong Kong, Gibraltar...)',
+
+    // Timer modes
+    'timer.OFF.name': 'Sin tiempo',
+    'timer.OFF.description': 'Tómate el tiempo que quieras',
+    'timer.COUNTDOWN.name': 'Cuenta atrás',
+    'timer.COUNTDOWN.description': '60 segundos por país; las respuestas se envían cuando se acaba el tiempo. Las rondas perfectas ganan 1 punto por cada 10 segundos restantes, quedarse sin tiempo cuesta 1 punto',
+    'timer.BLITZ.name': 'Blitz',
+    'timer.BLITZ.description': '3 minutos para encontrar tantos vecinos como puedas, en tantos países como puedas',
+
+    // Selection strategies
+    'strategy.RANDOM.name': 'Al azar',
+    'strategy.RANDOM.description': 'Todos los países tienen la misma probabilidad en cada ronda',
+    'strategy.SPACED.name': 'Repetición espaciada',
+    'strategy.SPACED.description': 'Los países que fallas vuelven pronto, los que conoces vuelven pocas veces',
+
+    // Scoring presets
+    'scoring.STANDARD.name': 'Estándar',
+    'scoring.STANDARD.description': '+1 por vecino encontrado, -1 por respuesta incorrecta, -1 por vecino fallado',
+    'scoring.LENIENT.name': 'Indulgente',
+    'scoring.LENIENT.description': '+1 por vecino encontrado, -1 por respuesta incorrecta, sin penalización por vecinos fallados',
+    'scoring.STRICT.name': 'Estricta',
+    'scoring.STRICT.description': '+1 por vecino encontrado, -2 por respuesta incorrecta, -2 por vecino fallado',
+    'scoring.WEIGHTED.name': 'Ponderada',
+    'scoring.WEIGHTED.description': 'Los vecinos de países con muchas fronteras valen más: 1 punto cada uno hasta 4 fronteras, 2 hasta 8, 3 hasta 12...',
+    'scoring.STREAK.name': 'Racha',
+    'scoring.STREAK.description': 'Puntuación estándar, pero cada ronda perfecta seguida multiplica tus puntos (+0,5× por ronda, hasta 3×)',
+
+    // Hot-seat formats
+    'hotseat.TURNS.name': 'Por turnos',
+    'hotseat.TURNS.description': 'Nombrad un vecino cada uno, por turnos. Una respuesta incorrecta o pasar te deja fuera hasta el siguiente país (los modos que no piden vecinos juegan el mismo país por turnos)',
+    'hotseat.SAME_COUNTRY.name': 'Mismo país',
+    'hotseat.SAME_COUNTRY.description': 'Cada jugador juega el mismo país por turnos, con el modo de juego y la puntuación elegidos',
+
+    // Hints
+    'hint.FIRST_LETTER.name': 'Primera letra',
+    'hint.FIRST_LETTER.description': 'Muestra la primera letra de un vecino que falta',
+    'hint.DIRECTION.name': 'Dirección',
+    'hint.DIRECTION.description': 'Muestra en qué dirección está un vecino que falta',
+    'hint.SILHOUETTE.name': 'Silueta',
+    'hint.SILHOUETTE.description': 'Muestra el contorno del país'
+};
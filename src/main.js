@@ -2,10 +2,26 @@
  * Main entry point
  */
 
-import { loadGameData } from './data.js';
+import { loadGameData, getCountries, applyLanguage } from './data.js';
 import { GameState } from './game.js';
-import { UIManager, SettingsManager } from './ui.js';
+import { UIManager, SettingsManager, StatsManager, RegionEditor, copyToClipboard } from './ui.js';
 import { MapRenderer } from './map.js';
+import { PlayerProfile } from './profile.js';
+import { CustomRegionStore } from './custom-regions.js';
+import { hasRegion } from './regions.js';
+import { Timer, getTimerMode } from './timer.js';
+import { MultiplayerClient } from './multiplayer.js';
+import {
+    createDailyChallenge,
+    createShareableGame,
+    readChallengeFromUrl,
+    writeChallengeToUrl,
+    buildChallengeUrl,
+    buildShareText,
+    isSameChallenge
+} from './challenge.js';
+import { buildSessionUrl, readSessionFromUrl } from './session.js';
+import { loadLanguage, setLanguage, translatePage, t } from './i18n.js';
 
 class Game {
     constructor() {
@@ -13,36 +29,132 @@ class Game {
         this.uiManager = null;
         this.mapRenderer = null;
         this.settingsManager = null;
+        this.statsManager = null;
+        this.regionEditor = null;
+        this.profile = null;
+        this.regionStore = null;
+        this.timer = null;
+        this.openPanels = new Set(); // Settings, stats... open over the game; the clock waits for them
+        this.multiplayer = null;
+        this.roomRoundRequested = false; // Host asked the server for a round that hasn't arrived yet
     }
 
     async init() {
         try {
+            // Pick the language before anything shows text (country names follow it)
+            loadLanguage();
+            translatePage();
+
             // Load game data
             console.log('Loading game data...');
             await loadGameData();
             console.log('Game data loaded successfully');
 
+            // Load the player profile (with the game saved before the last reload)
+            this.profile = new PlayerProfile();
+
+            // Load custom regions before anything looks up a region
+            this.regionStore = new CustomRegionStore();
+
             // Initialize game state
             this.gameState = new GameState();
+            this.gameState.restoreSession(this.profile.getSession());
+            this.gameState.setHistorySource(() => this.profile.getHistory());
 
             // Initialize UI manager with callbacks
             this.uiManager = new UIManager(this.gameState, {
                 onAddGuess: (countryName) => this.handleAddGuess(countryName),
                 onRemoveGuess: (countryCode) => this.handleRemoveGuess(countryCode),
+                onUndo: () => this.handleUndo(),
+                onRedo: () => this.handleRedo(),
+                onToggleChoice: (countryCode) => this.handleToggleGuess(countryCode),
                 onSubmit: () => this.handleSubmit(),
-                onNextRound: () => this.nextRound()
+                onNextRound: () => this.nextRound(),
+                onRevealClue: () => this.handleRevealClue(),
+                onPass: () => this.handlePass(),
+                onUseHint: (hintId) => this.handleUseHint(hintId)
             });
 
-            // Initialize settings manager
+            // Initialize the clock for timed play
+            this.timer = new Timer({
+                onTick: (secondsLeft) => this.uiManager.updateTimer(secondsLeft),
+                onExpire: () => this.handleTimeUp()
+            });
+
+            // Initialize settings manager (the clock pauses while it is open)
             this.settingsManager = new SettingsManager(this.gameState, {
-                onRegionChange: (regionId) => this.handleRegionChange(regionId)
+                onModeChange: (modeId) => this.handleModeChange(modeId),
+                onInputModeChange: (inputModeId) => this.handleInputModeChange(inputModeId),
+                onChoiceDifficultyChange: (difficultyId) => this.handleChoiceDifficultyChange(difficultyId),
+                onRegionChange: (regionId) => this.handleRegionChange(regionId),
+                onEntityLevelChange: (levelId) => this.handleEntityLevelChange(levelId),
+                onTimerModeChange: (timerModeId) => this.handleTimerModeChange(timerModeId),
+                onStrategyChange: (strategyId) => this.handleStrategyChange(strategyId),
+                onScoringChange: (presetId) => this.handleScoringChange(presetId),
+                onStartDaily: () => this.startChallenge(createDailyChallenge()),
+                onStartShareable: () => this.startShareableGame(),
+                onExportSession: () => this.exportSession(),
+                onStartHotSeat: (formatId, names) => this.startHotSeat(formatId, names),
+                onEndHotSeat: () => this.endHotSeat(),
+                onJoinRoom: (url, room, name) => this.joinRoom(url, room, name),
+                onLeaveRoom: () => this.leaveRoom(),
+                onEditRegion: (regionId) => this.editRegion(regionId),
+                onRegionsChanged: () => this.handleRegionsChanged(),
+                onLanguageChange: (languageId, acceptEnglish) => this.handleLanguageChange(languageId, acceptEnglish),
+                onShow: () => this.holdTimer('settings'),
+                onHide: () => this.releaseTimer('settings')
+            }, this.regionStore);
+
+            // Initialize the connection for online rooms (connects when joining one)
+            this.multiplayer = new MultiplayerClient({
+                onJoined: (message) => this.handleRoomJoined(message),
+                onRound: (message) => this.handleRoomRound(message),
+                onLeaderboard: (message) => this.handleRoomLeaderboard(message),
+                onError: (message) => this.handleRoomError(message),
+                onClose: () => this.handleRoomClosed()
             });
 
             // Initialize map renderer (will be properly sized when first shown)
             this.mapRenderer = new MapRenderer();
 
-            // Start first round
-            this.startNewRound();
+            // Silhouette hint gets its own small map
+            this.silhouetteRenderer = new MapRenderer('silhouette-svg', { minHeight: 140 });
+
+            // Initialize stats panel with its own mastery map
+            this.statsManager = new StatsManager(
+                this.profile,
+                new MapRenderer('stats-map-svg', { minHeight: 220 }),
+                {
+                    onShow: () => this.holdTimer('stats'),
+                    onHide: () => this.releaseTimer('stats')
+                }
+            );
+
+            // Initialize region editor with its own picker map
+            this.regionEditor = new RegionEditor(
+                new MapRenderer('region-map-svg', { minHeight: 260 }),
+                {
+                    onSave: (region) => this.handleSaveRegion(region),
+                    onShow: () => this.holdTimer('regionEditor'),
+                    onHide: () => this.releaseTimer('regionEditor')
+                }
+            );
+
+            // Start first round: a link with #session=... resumes an exported game and one
+            // with ?seed=... replays a shared game, unless it is the game saved here already
+            const exported = readSessionFromUrl();
+            const challenge = readChallengeFromUrl();
+            const saved = this.profile.getSession();
+            if (exported) {
+                this.resumeSession(exported);
+            } else if (challenge && !isSameChallenge(challenge, saved && saved.challenge)) {
+                this.gameState.startChallenge(challenge);
+                this.saveSession();
+                this.resetRoundView();
+                console.log('Challenge started:', challenge.label, '- Country:', this.gameState.targetCountry.name);
+            } else {
+                this.resumeSession(saved);
+            }
 
             // Hide loading, show game
             this.uiManager.hideLoading();
@@ -51,9 +163,7 @@ class Game {
             // Handle window resize
             window.addEventListener('resize', () => {
                 this.mapRenderer.resize();
-                if (this.gameState.submitted || this.gameState.revealed) {
-                    this.updateMap();
-                }
+                this.refreshMap();
             });
 
         } catch (error) {
@@ -64,15 +174,76 @@ class Game {
 
     startNewRound() {
         this.gameState.startNewRound();
-        this.uiManager.resetForNewRound();
+        this.saveSession();
+        this.resetRoundView();
         console.log('New round started:', this.gameState.targetCountry.name);
     }
 
+    /**
+     * Pick up a saved or exported game where it was left, or start a new round
+     * (with the saved settings) if its round can't be resumed
+     * @param {Object|null} snapshot - From GameState.getSnapshot
+     */
+    resumeSession(snapshot) {
+        const resumed = this.gameState.loadSnapshot(snapshot);
+        writeChallengeToUrl(this.gameState.challenge); // Also clears an exported session from the address bar
+        if (!resumed) {
+            this.startNewRound();
+            return;
+        }
+
+        this.saveSession();
+        this.resetRoundView();
+
+        if (this.gameState.hints.some(hint => hint.id === 'SILHOUETTE')) {
+            this.silhouetteRenderer.init();
+            this.silhouetteRenderer.renderSilhouette(this.gameState.targetCountryCode);
+        }
+
+        // A finished round shows its result, without a clock
+        if (this.gameState.submitted || this.gameState.revealed) {
+            this.timer.stop();
+            this.uiManager.updateTimer(null);
+            this.uiManager.showMap();
+            this.mapRenderer.init();
+            this.updateMap();
+        }
+        console.log('Session resumed: round', this.gameState.round, '- Country:', this.gameState.targetCountry.name);
+    }
+
+    /**
+     * Build a link that resumes the game on another device
+     * @returns {string|null} The link, or null in a hot-seat game or a room
+     */
+    exportSession() {
+        if (this.gameState.hotSeat || this.gameState.room) return null;
+        return buildSessionUrl(this.gameState.getSnapshot());
+    }
+
     handleAddGuess(countryName) {
         const result = this.gameState.addGuess(countryName);
+        this.saveSession(); // Unrecognized answers are part of the round too
 
         if (result.success) {
             console.log(`Added guess: ${countryName} - ${result.isCorrect ? 'Correct' : 'Incorrect'}`);
+            this.syncMapSelection();
+            if (this.gameState.room) {
+                this.multiplayer.sendGuess(result.country.code);
+            }
+
+            // A path round is over as soon as the route reaches the destination
+            if (result.routeComplete) {
+                this.handleSubmit();
+            } else if (this.isPathRound()) {
+                this.showRouteMap();
+            }
+
+            // Players taking turns: the round ends by itself, otherwise the next player is up
+            if (result.roundOver) {
+                this.showRoundResult();
+            } else if (this.gameState.isTakingTurns()) {
+                this.startRoundTimer(false);
+            }
         } else {
             console.warn(`Failed to add guess: ${result.error}`);
         }
@@ -84,61 +255,356 @@ class Game {
         const success = this.gameState.removeGuess(countryCode);
         if (success) {
             console.log(`Removed guess: ${countryCode}`);
+            this.saveSession();
+            this.syncMapSelection();
+            if (this.isPathRound()) {
+                this.showRouteMap();
+            }
         }
         return success;
     }
 
-    handleSubmit() {
-        const result = this.gameState.submit();
+    handleUndo() {
+        if (this.gameState.undo()) {
+            console.log('Undid the last guess');
+            this.saveSession();
+            this.showGuesses();
+        }
+    }
 
-        if (result.success) {
-            console.log('Submit result:', result);
+    handleRedo() {
+        if (this.gameState.redo()) {
+            console.log('Redid the last undone guess');
+            this.saveSession();
+            this.showGuesses();
+        }
+    }
 
-            // Update UI
-            this.uiManager.renderChips();
-            this.uiManager.updateScores();
-            this.uiManager.updateButtons();
+    /**
+     * Show the guesses of the round after they changed other than through the input
+     */
+    showGuesses() {
+        this.syncMapSelection();
+        if (this.isPathRound()) {
+            this.showRouteMap();
+        }
+        this.uiManager.showInputFeedback(null);
+        this.uiManager.renderChips();
+        this.uiManager.updateScores();
+    }
 
-            // Show map
-            this.uiManager.showMap();
+    /**
+     * Toggle a country clicked on the map or in the choice grid in and out of the guesses
+     */
+    handleToggleGuess(countryCode) {
+        if (this.gameState.submitted) return;
 
-            // Initialize map with correct dimensions (now that container is visible)
-            this.mapRenderer.init();
+        if (this.gameState.hasGuess(countryCode)) {
+            this.handleRemoveGuess(countryCode);
+        } else {
+            const country = getCountries()[countryCode];
+            if (!country) return;
+            this.handleAddGuess(country.name);
+        }
+
+        this.uiManager.renderChips();
+        this.uiManager.updateScores();
+    }
+
+    isMapClickRound() {
+        return this.gameState.getMode() === 'MAP_CLICK' && !this.gameState.submitted;
+    }
+
+    /**
+     * Show the clickable map of a map-click round, keeping the current picks
+     */
+    showClickableMap() {
+        this.uiManager.showMap(false);
+        this.mapRenderer.init();
+        this.mapRenderer.renderClickable(
+            this.gameState.targetCountryCode,
+            (countryCode) => this.handleToggleGuess(countryCode)
+        );
+        this.syncMapSelection();
+    }
+
+    isPathRound() {
+        return this.gameState.getMode() === 'PATH' && !this.gameState.submitted;
+    }
+
+    /**
+     * Show the route of a path round as it grows
+     */
+    showRouteMap() {
+        this.uiManager.showMap(false);
+        this.mapRenderer.init();
+        this.mapRenderer.renderRoute(
+            this.gameState.targetCountryCode,
+            this.gameState.pathEndCode,
+            this.gameState.getRoute()
+        );
+    }
+
+    /**
+     * Draw the map the round shows again (after a resize or a language change)
+     */
+    refreshMap() {
+        if (this.gameState.submitted || this.gameState.revealed) {
             this.updateMap();
+        } else if (this.isMapClickRound()) {
+            this.showClickableMap();
+        } else if (this.isPathRound()) {
+            this.showRouteMap();
+        }
+    }
+
+    /**
+     * Mirror the current guesses on the clickable map (chips can be removed too)
+     */
+    syncMapSelection() {
+        if (!this.isMapClickRound()) return;
+        this.mapRenderer.updateSelection(new Set(this.gameState.guesses.map(g => g.code)));
+    }
+
+    /**
+     * Reset the UI for the current round, showing the map up front in map-click mode
+     * @param {boolean} newSession - Whether the score was reset (restarts a blitz clock)
+     */
+    resetRoundView(newSession = true) {
+        this.uiManager.resetForNewRound();
+        if (this.isMapClickRound()) {
+            this.showClickableMap();
+        } else if (this.isPathRound()) {
+            this.showRouteMap();
+        }
+        this.startRoundTimer(newSession);
+    }
+
+    /**
+     * Start the clock for a new round according to the timer mode
+     * @param {boolean} newSession - Whether the score was reset (restarts a blitz clock)
+     */
+    startRoundTimer(newSession) {
+        const timerMode = getTimerMode(this.gameState.getTimerMode());
+
+        if (timerMode.id === 'OFF') {
+            this.timer.stop();
+            this.uiManager.updateTimer(null);
+        } else if (timerMode.perRound || newSession) {
+            this.timer.start(timerMode.seconds);
+            // Changing a setting starts a new round while the settings are still open
+            if (this.openPanels.size > 0) {
+                this.timer.pause();
+            }
+        }
+    }
+
+    /**
+     * Pause the clock while a panel is open over the game
+     * @param {string} panel - Which panel opened
+     */
+    holdTimer(panel) {
+        this.openPanels.add(panel);
+        this.timer.pause();
+    }
+
+    /**
+     * Let the clock run again once no panel is open
+     * @param {string} panel - Which panel closed
+     */
+    releaseTimer(panel) {
+        this.openPanels.delete(panel);
+        if (this.openPanels.size === 0) {
+            this.timer.resume();
+        }
+    }
+
+    /**
+     * The clock ran out: submit a countdown round, or end the blitz session
+     */
+    handleTimeUp() {
+        const timerMode = getTimerMode(this.gameState.getTimerMode());
+        console.log('Time is up:', timerMode.id);
+
+        if (timerMode.perRound) {
+            // Players taking turns have the countdown for each turn; running out is a pass
+            if (this.gameState.isTakingTurns() && !this.gameState.submitted) {
+                this.handlePass();
+            } else if (!this.gameState.submitted) {
+                this.handleSubmit({ timedOut: true });
+            }
+            return;
+        }
+
+        // Blitz: count the unfinished country only if the player started on it
+        if (!this.gameState.submitted && this.gameState.guesses.length > 0) {
+            this.handleSubmit();
+        }
 
-            // Next Round button is now visible, no modal needed
+        const { rounds, found } = this.gameState.sessionStats;
+        this.showModal(
+            t('results.timeUp'),
+            t('results.timeUpText', {
+                neighbors: t('results.neighbors', { count: found }),
+                countries: t('results.countries', { count: rounds }),
+                score: this.gameState.score
+            }),
+            t('results.playAgain'),
+            () => this.handleTimerModeChange(timerMode.id),
+            { dismissible: false }
+        );
+    }
+
+    handleTimerModeChange(timerModeId) {
+        this.leaveRoom();
+        console.log('Timer mode changed to:', timerModeId);
+        this.gameState.changeTimerMode(timerModeId);
+        writeChallengeToUrl(this.gameState.challenge);
+        this.saveSession();
+        this.resetRoundView();
+    }
+
+    handleScoringChange(presetId) {
+        this.leaveRoom();
+        console.log('Scoring changed to:', presetId);
+        this.gameState.changeScoringPreset(presetId);
+        writeChallengeToUrl(null);
+        this.saveSession();
+        this.resetRoundView();
+    }
+
+    handleRevealClue() {
+        if (this.gameState.revealClue()) {
+            console.log(`Revealed clue ${this.gameState.cluesShown} of ${this.gameState.clues.length}`);
+            this.saveSession();
+            this.uiManager.updateQuestion();
+            this.uiManager.updateButtons();
+        }
+    }
+
+    handleUseHint(hintId) {
+        const result = this.gameState.useHint(hintId);
+        if (!result.success) {
+            console.warn('Hint not available:', hintId);
+            return;
+        }
+
+        console.log('Hint used:', result.hint.id, '-', result.hint.text);
+        this.saveSession();
+        this.uiManager.updateQuestion();
+        this.uiManager.updateButtons(); // A hint can't be undone, nor the guesses before it
+
+        if (result.hint.id === 'SILHOUETTE') {
+            // Size the map once its container is visible
+            this.silhouetteRenderer.init();
+            this.silhouetteRenderer.renderSilhouette(this.gameState.targetCountryCode);
+        }
+    }
+
+    /**
+     * Submit the current round
+     * @param {Object} options - { timedOut } when the countdown ran out
+     */
+    handleSubmit({ timedOut = false } = {}) {
+        const timerMode = getTimerMode(this.gameState.getTimerMode());
+        const result = this.gameState.submit({
+            secondsLeft: timerMode.id === 'OFF' ? null : this.timer.getRemaining(),
+            timedOut
+        });
+
+        if (result.success) {
+            console.log('Submit result:', result);
+
+            if (this.gameState.room) {
+                this.multiplayer.sendSubmit();
+            }
+            this.showRoundResult();
         } else {
             alert(result.error); // Simple error alert for edge cases
         }
     }
 
+    /**
+     * Pass the turn (hot seat, taking turns)
+     */
+    handlePass() {
+        const result = this.gameState.passTurn();
+        if (!result.success) return;
+
+        console.log('Turn passed');
+        if (result.roundOver) {
+            this.showRoundResult();
+        } else {
+            this.uiManager.updateScores();
+            this.uiManager.updateButtons();
+            this.startRoundTimer(false);
+        }
+    }
+
+    /**
+     * Record a finished round and show its result and map
+     */
+    showRoundResult() {
+        // A countdown belongs to a single round; the blitz clock keeps running
+        if (getTimerMode(this.gameState.getTimerMode()).perRound) {
+            this.timer.stop();
+        }
+
+        // Record the round and the new running score. Several players share
+        // the device in a hot-seat game, so their rounds stay out of the stats.
+        if (!this.gameState.hotSeat) {
+            this.profile.recordRound(this.gameState.getRoundSummary());
+        }
+        this.saveSession();
+
+        // Update UI
+        this.uiManager.updateQuestion();
+        this.uiManager.updateInputMode();
+        this.uiManager.renderChips();
+        this.uiManager.updateScores();
+        this.uiManager.updateButtons();
+
+        // Show map
+        this.uiManager.showMap();
+
+        // Initialize map with correct dimensions (now that container is visible)
+        this.mapRenderer.init();
+        this.updateMap();
+
+        // Next Round button is now visible, no modal needed
+    }
+
     showNextRoundModal(result) {
         const { newCorrect, newIncorrect, missed } = result;
 
         let message = '';
         if (newCorrect > 0) {
-            message += `✅ Correct: ${newCorrect}\n`;
+            message += `${t('results.correct', { count: newCorrect })}\n`;
         }
         if (newIncorrect > 0) {
-            message += `❌ Wrong guesses: ${newIncorrect}\n`;
+            message += `${t('results.wrong', { count: newIncorrect })}\n`;
         }
         if (missed > 0) {
-            message += `⚠️ Missed neighbors: ${missed}\n`;
+            message += `${t('results.missed', { count: missed })}\n`;
         }
 
         this.showModal(
-            'Round Complete!',
-            message || 'Round finished.',
-            'Next Round',
+            t('results.roundComplete'),
+            message || t('results.roundFinished'),
+            t('actions.nextRound'),
             () => this.nextRound()
         );
     }
 
     showErrorModal(message) {
-        this.showModal('Error', message, 'OK', () => {});
+        this.showModal(t('modal.error'), message, t('modal.ok'), () => {});
     }
 
-    showModal(title, content, buttonText, onConfirm) {
+    /**
+     * Show a styled modal with a single button
+     * @param {Object} options - { dismissible }: whether clicking outside closes it
+     */
+    showModal(title, content, buttonText, onConfirm, { dismissible = true } = {}) {
         // Create modal overlay
         const overlay = document.createElement('div');
         overlay.className = 'modal-overlay';
@@ -167,7 +633,7 @@ class Game {
 
         // Handle overlay click (close)
         overlay.addEventListener('click', (e) => {
-            if (e.target === overlay) {
+            if (dismissible && e.target === overlay) {
                 document.body.removeChild(overlay);
             }
         });
@@ -179,6 +645,16 @@ class Game {
     updateMap() {
         const state = this.gameState.getState();
 
+        if (state.mode === 'PATH') {
+            this.mapRenderer.renderRoute(
+                state.targetCountryCode,
+                state.pathEnd.code,
+                state.route,
+                state.guesses.filter(g => g.revealed).map(g => g.code)
+            );
+            return;
+        }
+
         // Only include neighbors the user actually guessed (not auto-revealed)
         const correctNeighbors = new Set(
             state.guesses
@@ -193,35 +669,341 @@ class Game {
         this.mapRenderer.render(
             state.targetCountryCode,
             correctNeighbors,
-            allNeighbors
+            allNeighbors,
+            new Set(state.seaNeighborCodes)
         );
     }
 
+    /**
+     * Save the running game, so a reload resumes it. Called after every change to it.
+     */
+    saveSession() {
+        // Scores of hot-seat players and rooms aren't the single-player score
+        if (this.gameState.hotSeat || this.gameState.room) return;
+        this.profile.saveSession(this.gameState.getSnapshot());
+    }
+
     nextRound() {
+        if (this.gameState.isChallengeComplete()) {
+            this.showChallengeResults();
+            return;
+        }
+
+        // In an online room the host picks the next country for everyone
+        if (this.gameState.room) {
+            if (this.gameState.isRoomHost()) {
+                this.startRoomRound();
+            }
+            return;
+        }
+
+        // In a hot-seat game everyone plays the country before the next one
+        if (this.gameState.nextTurn()) {
+            this.resetRoundView(false);
+            console.log('Next player:', this.gameState.getCurrentPlayer().name);
+            return;
+        }
+
         this.gameState.nextRound();
-        this.uiManager.resetForNewRound();
+        this.saveSession();
+        this.resetRoundView(false);
         console.log('Next round:', this.gameState.targetCountry.name);
     }
 
+    /**
+     * Start a seeded game (daily challenge or shared link)
+     */
+    startChallenge(challenge) {
+        this.leaveRoom();
+        this.gameState.startChallenge(challenge);
+        writeChallengeToUrl(this.gameState.challenge);
+        this.saveSession();
+        this.resetRoundView();
+        console.log('Challenge started:', challenge.label, '- Country:', this.gameState.targetCountry.name);
+    }
+
+    /**
+     * Start a local multiplayer game
+     * @returns {Object} { success } or { success: false, error }
+     */
+    startHotSeat(formatId, names) {
+        this.leaveRoom();
+        const result = this.gameState.startHotSeat(formatId, names);
+        if (result.success) {
+            writeChallengeToUrl(null);
+            this.resetRoundView();
+            console.log('Hot-seat game started:', formatId, this.gameState.hotSeat.players.map(p => p.name));
+        }
+        return result;
+    }
+
+    endHotSeat() {
+        this.gameState.endHotSeat();
+        this.gameState.restoreSession(this.profile.getSession());
+        this.saveSession();
+        this.resetRoundView();
+        console.log('Back to single player');
+    }
+
+    /**
+     * Connect to a multiplayer server and join a room (see scripts/multiplayer-server.js)
+     */
+    joinRoom(url, room, name) {
+        console.log('Joining room', room, 'on', url, 'as', name);
+        this.multiplayer.connect(url, room, name);
+    }
+
+    /**
+     * Leave the online room and continue alone. Settings that restart the game
+     * (mode, region, countries, timer, scoring, challenges, hot seat) leave the room first.
+     */
+    leaveRoom() {
+        if (!this.gameState.room) return;
+
+        this.multiplayer.disconnect();
+        this.gameState.leaveRoom();
+        this.gameState.restoreSession(this.profile.getSession());
+        this.saveSession();
+        this.resetRoundView();
+        console.log('Left the room');
+    }
+
+    handleRoomJoined({ room, playerId }) {
+        console.log('Joined room', room, 'as player', playerId);
+        this.gameState.joinRoom({ code: room, playerId });
+        writeChallengeToUrl(null);
+        this.settingsManager.renderRoomControls();
+        this.uiManager.updateScores();
+    }
+
+    handleRoomLeaderboard(leaderboard) {
+        this.gameState.updateRoom(leaderboard);
+
+        // A new room has no round yet: its host starts the first one
+        if (leaderboard.round === 0 && this.gameState.isRoomHost() && !this.roomRoundRequested) {
+            this.startRoomRound();
+        }
+
+        this.settingsManager.renderRoomControls();
+        this.uiManager.updateScores();
+        this.uiManager.updateButtons();
+    }
+
+    handleRoomRound({ round, target }) {
+        this.roomRoundRequested = false;
+        if (!this.gameState.startRoundFor(target, round)) {
+            console.warn('Unknown country from the server:', target);
+            return;
+        }
+
+        this.resetRoundView(false);
+        console.log('Room round', round, '- Country:', this.gameState.targetCountry.name);
+    }
+
+    handleRoomError(message) {
+        console.warn('Room error:', message);
+        this.settingsManager.showRoomStatus(message);
+
+        // Joining failed: don't keep the connection around
+        if (!this.gameState.room) {
+            this.multiplayer.disconnect();
+        }
+    }
+
+    handleRoomClosed() {
+        if (!this.gameState.room) return;
+
+        this.gameState.leaveRoom();
+        this.gameState.restoreSession(this.profile.getSession());
+        this.saveSession();
+        this.resetRoundView();
+        this.settingsManager.renderRoomControls();
+        this.showErrorModal(t('errors.connectionLost'));
+    }
+
+    /**
+     * Pick the next country of the room (host only) and ask the server to start it
+     */
+    startRoomRound() {
+        const country = this.gameState.pickCountry();
+        if (!country) return;
+
+        this.roomRoundRequested = true;
+        this.multiplayer.startRound(country.code);
+    }
+
+    /**
+     * Start a new shareable game in the current region and mode
+     * @returns {string} Link that replays the game
+     */
+    startShareableGame() {
+        const challenge = createShareableGame(this.gameState.getRegion(), this.gameState.getMode());
+        this.startChallenge(challenge);
+        return buildChallengeUrl(challenge);
+    }
+
+    /**
+     * Show the spoiler-free result of a finished challenge, then go back to normal play
+     */
+    showChallengeResults() {
+        const { challenge, score } = this.gameState;
+        const shareText = buildShareText(challenge, challenge.results, score);
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <h3 class="modal-title"></h3>
+            <div class="modal-content">
+                <p>${t('results.challengeScore', { score })}</p>
+                <pre class="share-text"></pre>
+            </div>
+            <div class="modal-actions">
+                <button class="modal-btn modal-btn-secondary" data-action="copy">${t('results.copy')}</button>
+                <button class="modal-btn modal-btn-primary" data-action="close">${t('results.keepPlaying')}</button>
+            </div>
+        `;
+        // The label comes from the URL, so never treat it as HTML
+        modal.querySelector('.modal-title').textContent = t('results.challengeComplete', { label: challenge.label });
+        modal.querySelector('.share-text').textContent = shareText;
+
+        overlay.appendChild(modal);
+        document.body.appendChild(overlay);
+
+        const copyButton = modal.querySelector('[data-action="copy"]');
+        copyButton.addEventListener('click', async () => {
+            copyButton.textContent = await copyToClipboard(shareText) ? t('results.copied') : t('results.copyFailed');
+        });
+
+        const close = () => {
+            document.body.removeChild(overlay);
+            this.gameState.endChallenge();
+            writeChallengeToUrl(null);
+            this.saveSession();
+            this.resetRoundView();
+        };
+
+        const closeButton = modal.querySelector('[data-action="close"]');
+        closeButton.addEventListener('click', close);
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) close();
+        });
+
+        setTimeout(() => closeButton.focus(), 100);
+    }
+
+    handleModeChange(modeId) {
+        this.leaveRoom();
+        console.log('Mode changed to:', modeId);
+        this.gameState.changeMode(modeId);
+        writeChallengeToUrl(null);
+        this.saveSession();
+        this.resetRoundView();
+        console.log('New round in mode:', modeId, '- Country:', this.gameState.targetCountry.name);
+    }
+
     handleRegionChange(regionId) {
+        this.leaveRoom();
         console.log('Region changed to:', regionId);
         this.gameState.changeRegion(regionId);
-        this.uiManager.resetForNewRound();
+        writeChallengeToUrl(null);
+        this.saveSession();
+        this.resetRoundView();
         console.log('New round with region:', regionId, '- Country:', this.gameState.targetCountry.name);
     }
 
+    handleEntityLevelChange(levelId) {
+        this.leaveRoom();
+        console.log('Inclusion level changed to:', levelId);
+        this.gameState.changeEntityLevel(levelId);
+        writeChallengeToUrl(null);
+        this.saveSession();
+        this.resetRoundView();
+        console.log('New round with inclusion level:', levelId, '- Country:', this.gameState.targetCountry.name);
+    }
+
+    /**
+     * Open the region editor
+     * @param {string|null} regionId - Custom region to edit, or null for a new one
+     */
+    editRegion(regionId) {
+        this.regionEditor.show(regionId ? this.regionStore.get(regionId) : null);
+    }
+
+    handleSaveRegion(region) {
+        const result = this.regionStore.saveRegion(region);
+        if (result.success) {
+            console.log('Custom region saved:', result.region.id, result.region.countries);
+            this.settingsManager.renderRegionOptions();
+            this.settingsManager.renderCustomRegions();
+            // Play the new or changed region right away
+            this.handleRegionChange(result.region.id);
+        }
+        return result;
+    }
+
+    handleRegionsChanged() {
+        // Fall back to all countries if the region being played was deleted
+        if (!hasRegion(this.gameState.getRegion())) {
+            this.handleRegionChange('ALL');
+        }
+    }
+
+    /**
+     * Switch the language: page text, country names and every open view
+     */
+    handleLanguageChange(languageId, acceptEnglish) {
+        setLanguage(languageId, acceptEnglish);
+        applyLanguage();
+        this.gameState.relabelCountries();
+
+        translatePage();
+        this.uiManager.updateInputMode();
+        this.uiManager.updateQuestion();
+        this.uiManager.renderChips();
+        this.uiManager.updateScores();
+        this.uiManager.updateButtons();
+        this.settingsManager.render();
+        this.refreshMap();
+        console.log('Language changed to:', languageId, acceptEnglish ? '(English names accepted)' : '');
+    }
+
+    handleInputModeChange(inputModeId) {
+        // The round goes on; only the way answers are typed changes
+        this.gameState.setInputMode(inputModeId);
+        this.saveSession();
+        this.uiManager.updateInputMode();
+        console.log('Input mode changed to:', inputModeId);
+    }
+
+    handleChoiceDifficultyChange(difficultyId) {
+        // Applies from the next grid; the current one stays as dealt
+        this.gameState.setChoiceDifficulty(difficultyId);
+        this.saveSession();
+        console.log('Choice difficulty changed to:', difficultyId);
+    }
+
+    handleStrategyChange(strategyId) {
+        // Applies from the next round; the current one keeps its country
+        this.gameState.setSelectionStrategy(strategyId);
+        this.saveSession();
+        console.log('Selection strategy changed to:', strategyId);
+    }
+
     showError(message) {
         const loadingState = document.getElementById('loading-state');
         loadingState.innerHTML = `
             <div style="text-align: center; padding: 2rem;">
                 <p style="color: var(--rust); font-size: 1.2rem; margin-bottom: 1rem;">
-                    ⚠️ Error Loading Game
+                    ⚠️ ${t('errors.loadTitle')}
                 </p>
                 <p style="color: var(--ink-light); margin-bottom: 1.5rem;">
                     ${message}
                 </p>
                 <p style="color: var(--sepia); font-size: 0.9rem;">
-                    Please run <code style="background: var(--parchment); padding: 0.2rem 0.5rem; border-radius: 4px;">npm run prepare-data</code> to generate the required data files.
+                    ${t('errors.prepareData')}
                 </p>
             </div>
         `;
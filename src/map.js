@@ -4,16 +4,31 @@
 
 import * as d3 from 'd3';
 import * as topojson from 'topojson-client';
-import { getWorldTopo } from './data.js';
+import { getWorldTopo, getWorldTopoForZoom, getCountries, getBorder } from './data.js';
+import { t } from './i18n.js';
+
+// Smallest and largest view radius (degrees) around the target in click mode
+const MIN_CLICK_VIEW_RADIUS = 12;
+const MAX_CLICK_VIEW_RADIUS = 90;
+
+// Mastery shading from rust (never found) via ochre to sage (always found)
+const masteryColor = d3.interpolateRgbBasis(['#B85C50', '#D4A574', '#9CAF88']);
 
 export class MapRenderer {
-    constructor(svgElementId = 'map-svg') {
+    /**
+     * @param {string} svgElementId - ID of the SVG element to draw into
+     * @param {Object} options - { minHeight } in pixels (defaults to 400)
+     */
+    constructor(svgElementId = 'map-svg', options = {}) {
         this.svgElement = document.getElementById(svgElementId);
+        this.minHeight = options.minHeight ?? 400;
         this.svg = d3.select(`#${svgElementId}`);
         this.width = 0;
         this.height = 0;
         this.projection = null;
         this.path = null;
+        this.clickTarget = null; // Target code while the clickable map is shown
+        this.selectedCodes = new Set(); // Countries picked on the clickable map
     }
 
     /**
@@ -23,7 +38,7 @@ export class MapRenderer {
         // Set dimensions
         const container = this.svgElement.parentElement;
         this.width = container.clientWidth;
-        this.height = Math.max(400, Math.min(600, this.width * 0.6));
+        this.height = Math.max(this.minHeight, Math.min(600, this.width * 0.6));
 
         console.log('[MAP] Initializing map:', {
             width: this.width,
@@ -49,8 +64,9 @@ export class MapRenderer {
      * @param {string} targetCountryCode - The target country code
      * @param {Set} correctNeighbors - Set of correctly guessed neighbor codes
      * @param {Set} allNeighbors - Set of all neighbor codes
+     * @param {Set} seaNeighbors - Codes among allNeighbors that lie across the sea
      */
-    render(targetCountryCode, correctNeighbors, allNeighbors) {
+    render(targetCountryCode, correctNeighbors, allNeighbors, seaNeighbors = new Set()) {
         console.log('[MAP] Render called with:', {
             targetCountryCode,
             correctNeighbors: Array.from(correctNeighbors),
@@ -103,8 +119,9 @@ export class MapRenderer {
 
         console.log('[MAP] Projection updated to fit relevant countries');
 
-        // Clear existing map
+        // Clear existing map (including a clickable map from the same round)
         this.svg.selectAll('*').remove();
+        this.clickTarget = null;
 
         // Create container group
         const g = this.svg.append('g');
@@ -168,7 +185,10 @@ export class MapRenderer {
             .attr('stroke-dasharray', d => {
                 const code = d.properties.iso_a3 || d.id;
 
-                // Dashed border for missing neighbors
+                // Dotted border for neighbors across the sea, dashed for missing neighbors
+                if (seaNeighbors.has(code)) {
+                    return '1,3';
+                }
                 if (allNeighbors.has(code) && !correctNeighbors.has(code) && code !== targetCountryCode) {
                     return '4,4';
                 }
@@ -184,6 +204,23 @@ export class MapRenderer {
             } : null
         });
 
+        // Trace the borders the target shares with its neighbors (needs borders.json)
+        const sharedBorders = Array.from(allNeighbors)
+            .map(code => getBorder(targetCountryCode, code))
+            .filter(border => border && border.geometry);
+
+        g.selectAll('path.map-border')
+            .data(sharedBorders)
+            .enter()
+            .append('path')
+            .attr('class', 'map-border')
+            .attr('d', border => this.path(border.geometry))
+            .attr('fill', 'none')
+            .attr('stroke', '#3D3226') // ink
+            .attr('stroke-width', 2.5)
+            .attr('stroke-linecap', 'round')
+            .style('pointer-events', 'none');
+
         // Add country labels for target and neighbors
         const labelCountries = countries.features.filter(d => {
             const code = d.properties.iso_a3 || d.id;
@@ -217,7 +254,7 @@ export class MapRenderer {
                     ? '1px 1px 2px rgba(0,0,0,0.5)'
                     : '1px 1px 2px rgba(255,255,255,0.8)';
             })
-            .text(d => d.properties.name || d.properties.iso_a3 || d.id);
+            .text(d => countryLabel(d));
 
         console.log('[MAP] Labels created:', {
             labelCount: labelCountries.length
@@ -228,13 +265,348 @@ export class MapRenderer {
     }
 
     /**
-     * Add zoom/pan behavior to the map
+     * Render a clickable map for guessing neighbors by clicking them.
+     * Only the target is highlighted and labeled; every other country is a
+     * keyboard-focusable button that reports its code to onSelect.
+     * @param {string} targetCountryCode - The target country code
+     * @param {Function} onSelect - Called with the code of a clicked/activated country
+     */
+    renderClickable(targetCountryCode, onSelect) {
+        const worldTopo = getWorldTopo();
+        if (!worldTopo) {
+            console.error('[MAP] World topology data not loaded');
+            return;
+        }
+
+        const countries = topojson.feature(worldTopo, worldTopo.objects.countries);
+        const countryData = getCountries() || {};
+        const target = countries.features.find(d => (d.properties.iso_a3 || d.id) === targetCountryCode);
+        if (!target) {
+            console.error('[MAP] Target country not found in topology:', targetCountryCode);
+            return;
+        }
+
+        this.clickTarget = targetCountryCode;
+        this.selectedCodes = new Set();
+
+        // Frame a circle around the target rather than the target + neighbors,
+        // so the initial view doesn't give away which countries border it
+        const center = d3.geoCentroid(target);
+        const [[west, south], [east, north]] = d3.geoBounds(target);
+        const targetRadius = Math.max(
+            ...[[west, south], [west, north], [east, south], [east, north]]
+                .map(corner => d3.geoDistance(center, corner) * 180 / Math.PI)
+        );
+        const viewRadius = Math.min(MAX_CLICK_VIEW_RADIUS, Math.max(MIN_CLICK_VIEW_RADIUS, targetRadius * 2.5));
+
+        this.projection = d3.geoNaturalEarth1()
+            .fitSize([this.width, this.height], d3.geoCircle().center(center).radius(viewRadius)());
+        this.path = d3.geoPath().projection(this.projection);
+
+        this.svg.selectAll('*').remove();
+        const g = this.svg.append('g');
+
+        // Tab through countries west to east rather than in data order
+        const features = [...countries.features].sort((a, b) =>
+            d3.geoCentroid(a)[0] - d3.geoCentroid(b)[0]
+        );
+
+        g.selectAll('path')
+            .data(features)
+            .enter()
+            .append('path')
+            .attr('d', this.path)
+            .attr('class', d => {
+                const code = d.properties.iso_a3 || d.id;
+                return code === targetCountryCode ? 'map-country map-target' : 'map-country map-clickable';
+            })
+            .attr('stroke', d => {
+                const code = d.properties.iso_a3 || d.id;
+                return code === targetCountryCode ? '#A85A4F' : '#8B7355'; // terracotta-dark / sepia
+            })
+            .attr('stroke-width', d => {
+                const code = d.properties.iso_a3 || d.id;
+                return code === targetCountryCode ? 2 : 0.5;
+            })
+            .each(function (d) {
+                const code = d.properties.iso_a3 || d.id;
+                if (code === targetCountryCode) return;
+
+                makeSelectable(d3.select(this), d, countryData, onSelect);
+            });
+
+        this.updateSelection(this.selectedCodes);
+
+        // Only the target gets a label
+        g.append('text')
+            .datum(target)
+            .attr('transform', d => `translate(${this.path.centroid(d)})`)
+            .attr('text-anchor', 'middle')
+            .attr('class', 'map-label')
+            .style('font-family', 'sans-serif')
+            .style('font-size', '11px')
+            .style('font-weight', 'bold')
+            .style('fill', 'white')
+            .style('pointer-events', 'none')
+            .style('text-shadow', '1px 1px 2px rgba(0,0,0,0.5)')
+            .text(d => countryLabel(d));
+
+        this.addZoomBehavior(g, targetCountryCode, new Set());
+    }
+
+    /**
+     * Render a world map on which every country can be picked (region editor)
+     * @param {Set} selectedCodes - Codes of the countries picked so far
+     * @param {Function} onSelect - Called with the code of a clicked/activated country
+     */
+    renderPicker(selectedCodes, onSelect) {
+        const worldTopo = getWorldTopo();
+        if (!worldTopo) {
+            console.error('[MAP] World topology data not loaded');
+            return;
+        }
+
+        const countries = topojson.feature(worldTopo, worldTopo.objects.countries);
+        const countryData = getCountries() || {};
+
+        this.projection = d3.geoNaturalEarth1()
+            .fitSize([this.width, this.height], { type: 'Sphere' });
+        this.path = d3.geoPath().projection(this.projection);
+        this.clickTarget = null;
+
+        this.svg.selectAll('*').remove();
+        const g = this.svg.append('g');
+
+        const features = [...countries.features].sort((a, b) =>
+            d3.geoCentroid(a)[0] - d3.geoCentroid(b)[0]
+        );
+
+        g.selectAll('path')
+            .data(features)
+            .enter()
+            .append('path')
+            .attr('d', this.path)
+            .attr('class', 'map-country map-clickable')
+            .attr('stroke', '#8B7355') // sepia
+            .attr('stroke-width', 0.5)
+            .each(function (d) {
+                makeSelectable(d3.select(this), d, countryData, onSelect);
+            })
+            .append('title')
+            .text(d => countryLabel(d, countryData));
+
+        this.updateSelection(selectedCodes);
+        this.addZoomBehavior(g, null, new Set());
+    }
+
+    /**
+     * Update which countries are shown as picked on the clickable map
+     * @param {Set} selectedCodes - Codes of the countries currently guessed
+     */
+    updateSelection(selectedCodes) {
+        this.selectedCodes = new Set(selectedCodes);
+
+        this.svg.selectAll('path.map-country')
+            .attr('fill', d => {
+                const code = d.properties.iso_a3 || d.id;
+
+                if (code === this.clickTarget) {
+                    return '#C97064'; // terracotta
+                } else if (this.selectedCodes.has(code)) {
+                    return '#D4A574'; // ochre (picked)
+                }
+                return '#EDD9C0'; // parchment
+            })
+            .attr('fill-opacity', d => {
+                const code = d.properties.iso_a3 || d.id;
+                return (code === this.clickTarget || this.selectedCodes.has(code)) ? 1 : 0.5;
+            });
+
+        this.svg.selectAll('path.map-clickable')
+            .attr('aria-pressed', d => String(this.selectedCodes.has(d.properties.iso_a3 || d.id)));
+    }
+
+    /**
+     * Render a world map shaded by how well the player knows each country
+     * @param {Object} masteryByCode - Map of country code to mastery (0-1); missing = not played yet
+     */
+    renderMastery(masteryByCode) {
+        const worldTopo = getWorldTopo();
+        if (!worldTopo) {
+            console.error('[MAP] World topology data not loaded');
+            return;
+        }
+
+        const countries = topojson.feature(worldTopo, worldTopo.objects.countries);
+        const countryData = getCountries() || {};
+
+        this.projection = d3.geoNaturalEarth1()
+            .fitSize([this.width, this.height], { type: 'Sphere' });
+        this.path = d3.geoPath().projection(this.projection);
+        this.clickTarget = null;
+
+        this.svg.selectAll('*').remove();
+        const g = this.svg.append('g');
+
+        g.selectAll('path')
+            .data(countries.features)
+            .enter()
+            .append('path')
+            .attr('d', this.path)
+            .attr('class', 'map-country map-mastery')
+            .attr('stroke', '#8B7355') // sepia
+            .attr('stroke-width', 0.5)
+            .attr('fill', d => {
+                const mastery = masteryByCode[d.properties.iso_a3 || d.id];
+                return mastery === undefined ? '#EDD9C0' : masteryColor(mastery); // parchment if unplayed
+            })
+            .attr('fill-opacity', d => {
+                const mastery = masteryByCode[d.properties.iso_a3 || d.id];
+                return mastery === undefined ? 0.4 : 1;
+            })
+            .append('title')
+            .text(d => {
+                const code = d.properties.iso_a3 || d.id;
+                const name = countryLabel(d, countryData);
+                const mastery = masteryByCode[code];
+                return mastery === undefined ? t('stats.mastery.notPlayed', { name }) : `${name}: ${Math.round(mastery * 100)}%`;
+            });
+
+        this.addZoomBehavior(g, null, new Set());
+    }
+
+    /**
+     * Render the outline of a single country, without any other countries or labels
+     * @param {string} countryCode - Country to draw
+     */
+    renderSilhouette(countryCode) {
+        const worldTopo = getWorldTopo();
+        if (!worldTopo) {
+            console.error('[MAP] World topology data not loaded');
+            return;
+        }
+
+        const countries = topojson.feature(worldTopo, worldTopo.objects.countries);
+        const feature = countries.features.find(d => (d.properties.iso_a3 || d.id) === countryCode);
+
+        this.svg.selectAll('*').remove();
+        this.clickTarget = null;
+        if (!feature) {
+            console.warn('[MAP] No outline for', countryCode);
+            return;
+        }
+
+        // Center the projection on the country so its shape isn't distorted
+        const [longitude, latitude] = d3.geoCentroid(feature);
+        this.projection = d3.geoAzimuthalEqualArea()
+            .rotate([-longitude, -latitude])
+            .fitExtent([[8, 8], [this.width - 8, this.height - 8]], feature);
+        this.path = d3.geoPath().projection(this.projection);
+
+        this.svg.append('path')
+            .datum(feature)
+            .attr('d', this.path)
+            .attr('class', 'silhouette-shape')
+            .attr('fill', '#3D3226') // ink
+            .attr('stroke', 'none');
+    }
+
+    /**
+     * Render a route between two countries (path mode)
+     * @param {string} startCode - Country the route starts from
+     * @param {string} endCode - Country the route has to reach
+     * @param {Array} routeCodes - Countries the player has routed through, in order
+     * @param {Array} revealedCodes - Countries of a shortest route shown after the round
+     */
+    renderRoute(startCode, endCode, routeCodes, revealedCodes = []) {
+        const worldTopo = getWorldTopo();
+        if (!worldTopo) {
+            console.error('[MAP] World topology data not loaded');
+            return;
+        }
+
+        const countries = topojson.feature(worldTopo, worldTopo.objects.countries);
+        const ends = new Set([startCode, endCode]);
+        const route = new Set(routeCodes);
+        const revealed = new Set(revealedCodes);
+        const isHighlighted = code => ends.has(code) || route.has(code) || revealed.has(code);
+
+        const relevantCountries = countries.features.filter(d => isHighlighted(d.properties.iso_a3 || d.id));
+        this.projection = d3.geoNaturalEarth1()
+            .fitSize([this.width, this.height], { type: 'FeatureCollection', features: relevantCountries });
+        this.path = d3.geoPath().projection(this.projection);
+
+        this.svg.selectAll('*').remove();
+        this.clickTarget = null;
+        const g = this.svg.append('g');
+
+        g.selectAll('path')
+            .data(countries.features)
+            .enter()
+            .append('path')
+            .attr('d', this.path)
+            .attr('class', d => {
+                const code = d.properties.iso_a3 || d.id;
+                if (ends.has(code)) return 'map-country map-target';
+                if (route.has(code)) return 'map-country map-correct';
+                if (revealed.has(code)) return 'map-country map-missing';
+                return 'map-country map-other';
+            })
+            .attr('stroke', d => {
+                const code = d.properties.iso_a3 || d.id;
+                if (ends.has(code)) return '#A85A4F'; // terracotta-dark
+                return isHighlighted(code) ? '#6B5845' : '#8B7355'; // sepia-dark / sepia
+            })
+            .attr('stroke-width', d => isHighlighted(d.properties.iso_a3 || d.id) ? 2 : 0.5)
+            .attr('fill', d => {
+                const code = d.properties.iso_a3 || d.id;
+                if (ends.has(code)) return '#C97064'; // terracotta
+                if (route.has(code)) return '#9CAF88'; // sage (routed by the player)
+                if (revealed.has(code)) return '#D4A574'; // ochre (shortest route)
+                return '#EDD9C0'; // parchment
+            })
+            .attr('fill-opacity', d => isHighlighted(d.properties.iso_a3 || d.id) ? 1 : 0.3)
+            .attr('stroke-dasharray', d => revealed.has(d.properties.iso_a3 || d.id) ? '4,4' : null);
+
+        g.selectAll('text')
+            .data(relevantCountries)
+            .enter()
+            .append('text')
+            .attr('transform', d => `translate(${this.path.centroid(d)})`)
+            .attr('text-anchor', 'middle')
+            .attr('class', 'map-label')
+            .style('font-family', 'sans-serif')
+            .style('font-size', '11px')
+            .style('font-weight', d => ends.has(d.properties.iso_a3 || d.id) ? 'bold' : 'normal')
+            .style('fill', d => ends.has(d.properties.iso_a3 || d.id) ? 'white' : '#3D3226') // ink
+            .style('pointer-events', 'none')
+            .style('text-shadow', d => ends.has(d.properties.iso_a3 || d.id)
+                ? '1px 1px 2px rgba(0,0,0,0.5)'
+                : '1px 1px 2px rgba(255,255,255,0.8)')
+            .text(d => countryLabel(d));
+
+        this.addZoomBehavior(g, startCode, route);
+    }
+
+    /**
+     * Add zoom/pan behavior to the map. Zooming in swaps in more detailed
+     * country shapes when the data has them (see getWorldTopoForZoom).
      */
     addZoomBehavior(g, targetCountryCode, neighbors) {
+        let shownTopo = getWorldTopo();
+
         const zoom = d3.zoom()
             .scaleExtent([1, 8])
             .on('zoom', (event) => {
                 g.attr('transform', event.transform);
+            })
+            .on('end', async (event) => {
+                const topo = await getWorldTopoForZoom(event.transform.k);
+                // Skip if the level is already shown or the map was redrawn meanwhile
+                if (topo === shownTopo || !g.node().isConnected) return;
+
+                shownTopo = topo;
+                this.showDetail(g, topo);
             });
 
         this.svg.call(zoom);
@@ -245,11 +617,27 @@ export class MapRenderer {
         // Future enhancement: calculate bounding box and zoom to fit
     }
 
+    /**
+     * Redraw the country paths of a map with the shapes of another topology
+     * (same countries and projection, different detail)
+     */
+    showDetail(g, topo) {
+        const shapes = new Map(topojson.feature(topo, topo.objects.countries).features
+            .map(feature => [feature.properties.iso_a3 || feature.id, feature]));
+
+        // Shared border lines keep their (map-level) geometry
+        g.selectAll('path')
+            .filter(d => d && d.type === 'Feature')
+            .attr('d', d => this.path(shapes.get(d.properties.iso_a3 || d.id) || d));
+    }
+
     /**
      * Clear the map
      */
     clear() {
         this.svg.selectAll('*').remove();
+        this.clickTarget = null;
+        this.selectedCodes = new Set();
     }
 
     /**
@@ -259,3 +647,32 @@ export class MapRenderer {
         this.init();
     }
 }
+
+/**
+ * Turn a country path into a keyboard-focusable button that reports its code
+ */
+function makeSelectable(path, feature, countryData, onSelect) {
+    const code = feature.properties.iso_a3 || feature.id;
+    const name = countryLabel(feature, countryData);
+
+    path
+        .attr('tabindex', 0)
+        .attr('role', 'button')
+        .attr('aria-label', name)
+        .on('click', () => onSelect(code))
+        .on('keydown', (event) => {
+            if (event.key === 'Enter' || event.key === ' ') {
+                event.preventDefault();
+                onSelect(code);
+            }
+        });
+}
+
+/**
+ * Name of a map feature in the current language (the map data's own name for
+ * places the game data doesn't have)
+ */
+function countryLabel(feature, countryData = getCountries()) {
+    const code = feature.properties.iso_a3 || feature.id;
+    return (countryData && countryData[code] && countryData[code].name) || feature.properties.name || code;
+}
@@ -0,0 +1,61 @@
+/**
+ * Game modes (what kind of question each round asks)
+ */
+
+export const MODES = {
+    CLASSIC: {
+        id: 'CLASSIC',
+        name: 'Name the Neighbors',
+        description: 'See a country and name all of its land neighbors'
+    },
+
+    REVERSE: {
+        id: 'REVERSE',
+        name: 'Which Country?',
+        description: 'See some of its neighbors and name the country that borders all of them',
+        minNeighbors: 2, // A single clue is too ambiguous to be fun
+        initialClues: 2
+    },
+
+    MAP_CLICK: {
+        id: 'MAP_CLICK',
+        name: 'Click the Neighbors',
+        description: 'Find the neighbors by clicking them on the map instead of typing their names'
+    },
+
+    CHOICE: {
+        id: 'CHOICE',
+        name: 'Pick the Neighbors',
+        description: 'Pick the neighbors from a grid of countries, no typing needed. Good for starting out and on phones',
+        choices: true // The grid mixes in distractors (see choices.js)
+    },
+
+    PATH: {
+        id: 'PATH',
+        name: 'Find the Route',
+        description: 'Travel by land from one country to another, naming the countries in between one border at a time',
+        minHops: 3, // Border crossings on the shortest route: 2 to 5 countries in between
+        maxHops: 6
+    },
+
+    SEA: {
+        id: 'SEA',
+        name: 'Land & Sea',
+        description: 'Name the neighbors of a country by land and across the sea, so island nations take part too',
+        withSea: true // Needs maritime-neighbors.json (see scripts/prepare-data.js)
+    }
+};
+
+/**
+ * Get mode by ID
+ */
+export function getMode(modeId) {
+    return MODES[modeId] || MODES.CLASSIC;
+}
+
+/**
+ * Get all available modes as an array
+ */
+export function getAllModes() {
+    return Object.values(MODES);
+}
@@ -0,0 +1,144 @@
+/**
+ * Online rooms: race friends on the same country
+ *
+ * The client talks to the reference server in scripts/multiplayer-server.js,
+ * which broadcasts each round's country and a live leaderboard. Guesses are
+ * checked by GameState.addGuess before they are sent (and again on the server).
+ */
+
+export const DEFAULT_PORT = 8787;
+export const DEFAULT_SERVER_URL = `ws://localhost:${DEFAULT_PORT}`;
+export const MAX_ROOM_PLAYERS = 12;
+const MAX_ROOM_CODE_LENGTH = 12;
+
+/**
+ * Normalize a room code as typed by a player (upper case letters and digits)
+ * @returns {string} The code, or '' if nothing usable is left
+ */
+export function cleanRoomCode(code) {
+    return typeof code === 'string'
+        ? code.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, MAX_ROOM_CODE_LENGTH)
+        : '';
+}
+
+export class MultiplayerClient {
+    /**
+     * @param {Object} callbacks - { onJoined({ room, playerId }), onRound({ round, target }),
+     *   onLeaderboard({ hostId, round, players }), onError(message), onClose() }
+     */
+    constructor(callbacks = {}) {
+        this.callbacks = callbacks;
+        this.socket = null;
+    }
+
+    /**
+     * Connect to a server and join a room
+     * @param {string} url - Server URL, e.g. ws://localhost:8787
+     * @param {string} room - Room code
+     * @param {string} name - Player name shown on the leaderboard
+     */
+    connect(url, room, name) {
+        this.disconnect();
+
+        try {
+            this.socket = new WebSocket(url);
+        } catch (error) {
+            this.callback('onError', `Could not connect to ${url}`);
+            return;
+        }
+
+        const socket = this.socket;
+        socket.addEventListener('open', () => {
+            this.send({ type: 'join', room: cleanRoomCode(room), name });
+        });
+
+        socket.addEventListener('message', (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                console.warn('[ONLINE] Ignored a message that is not JSON:', event.data);
+                return;
+            }
+            this.handleMessage(message);
+        });
+
+        socket.addEventListener('error', () => {
+            this.callback('onError', `Could not connect to ${url} - is the server running (npm run multiplayer)?`);
+        });
+
+        socket.addEventListener('close', () => {
+            // Ignore sockets replaced by a newer connection
+            if (this.socket !== socket) return;
+            this.socket = null;
+            this.callback('onClose');
+        });
+    }
+
+    /**
+     * Leave the room
+     */
+    disconnect() {
+        if (!this.socket) return;
+
+        const socket = this.socket;
+        this.socket = null;
+        socket.close();
+    }
+
+    isConnected() {
+        return Boolean(this.socket) && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    /**
+     * Start the next round on a country (host only)
+     */
+    startRound(target) {
+        this.send({ type: 'start', target });
+    }
+
+    /**
+     * Report a guess GameState accepted, for the live leaderboard
+     */
+    sendGuess(code) {
+        this.send({ type: 'guess', code });
+    }
+
+    /**
+     * Report that the player submitted the round
+     */
+    sendSubmit() {
+        this.send({ type: 'submit' });
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'joined':
+                this.callback('onJoined', message);
+                break;
+            case 'round':
+                this.callback('onRound', message);
+                break;
+            case 'leaderboard':
+                this.callback('onLeaderboard', message);
+                break;
+            case 'error':
+                this.callback('onError', message.message);
+                break;
+            default:
+                console.warn('[ONLINE] Unknown message type:', message.type);
+        }
+    }
+
+    send(message) {
+        if (this.isConnected()) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    callback(name, ...args) {
+        if (this.callbacks[name]) {
+            this.callbacks[name](...args);
+        }
+    }
+}
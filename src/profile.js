@@ -0,0 +1,243 @@
+/**
+ * Persistent player profile (localStorage)
+ *
+ * Records every finished round and keeps per-country and per-border-pair
+ * accuracy across sessions, plus the running game so a reload can resume it.
+ */
+
+const STORAGE_KEY = 'neighbor-countries:profile';
+const PROFILE_VERSION = 1;
+const MAX_HISTORY = 500; // Oldest rounds are dropped beyond this
+
+/**
+ * Key for an (unordered) pair of bordering countries
+ */
+export function pairKey(codeA, codeB) {
+    return codeA < codeB ? `${codeA}-${codeB}` : `${codeB}-${codeA}`;
+}
+
+export class PlayerProfile {
+    constructor(storage = getStorage()) {
+        this.storage = storage;
+        this.data = createEmptyProfile();
+        this.load();
+    }
+
+    /**
+     * Load the profile from storage (keeps an empty profile if none or unreadable)
+     */
+    load() {
+        if (!this.storage) return;
+
+        try {
+            const raw = this.storage.getItem(STORAGE_KEY);
+            if (!raw) return;
+
+            const parsed = JSON.parse(raw);
+            if (parsed && parsed.version === PROFILE_VERSION) {
+                this.data = { ...createEmptyProfile(), ...parsed };
+            } else {
+                console.warn('[PROFILE] Ignoring profile with unknown version:', parsed && parsed.version);
+            }
+        } catch (error) {
+            console.warn('[PROFILE] Could not read profile:', error);
+        }
+    }
+
+    /**
+     * Write the profile to storage
+     */
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.data));
+        } catch (error) {
+            console.warn('[PROFILE] Could not save profile:', error);
+        }
+    }
+
+    /**
+     * Record a finished round and update the aggregated statistics
+     * @param {Object} summary - Round summary from GameState.getRoundSummary()
+     */
+    recordRound(summary) {
+        this.data.history.push(summary);
+        if (this.data.history.length > MAX_HISTORY) {
+            this.data.history.splice(0, this.data.history.length - MAX_HISTORY);
+        }
+
+        // Per-country: how many of its answers the player found when it was the target
+        // (a round only counts as perfect if it needed no hints)
+        const hints = summary.hints || [];
+        const stats = { rounds: 0, perfect: 0, found: 0, missed: 0, hints: 0, ...this.data.countries[summary.target] };
+        stats.rounds++;
+        stats.found += summary.found.length;
+        stats.missed += summary.missed.length;
+        stats.hints += hints.length;
+        if (summary.missed.length === 0 && summary.wrong.length === 0 && hints.length === 0) {
+            stats.perfect++;
+        }
+        this.data.countries[summary.target] = stats;
+
+        // Per-border-pair: only rounds that ask for neighbors say anything about a border
+        if (summary.asksNeighbors) {
+            summary.found.forEach(code => this.recordPair(summary.target, code, true));
+            summary.missed.forEach(code => this.recordPair(summary.target, code, false));
+        }
+
+        if (summary.spelling) {
+            const spelling = this.data.spelling;
+            spelling.typed += summary.spelling.typed;
+            spelling.exact += summary.spelling.exact;
+            spelling.unrecognized += summary.spelling.unrecognized;
+        }
+
+        this.save();
+    }
+
+    /**
+     * Update the accuracy of a single border pair
+     */
+    recordPair(codeA, codeB, found) {
+        const key = pairKey(codeA, codeB);
+        const stats = this.data.pairs[key] || { asked: 0, found: 0 };
+        stats.asked++;
+        if (found) stats.found++;
+        this.data.pairs[key] = stats;
+    }
+
+    /**
+     * Remember the running game so a reload can resume it
+     * @param {Object} snapshot - From GameState.getSnapshot
+     */
+    saveSession(snapshot) {
+        this.data.session = snapshot;
+        this.save();
+    }
+
+    /**
+     * Get the saved game (or null if there is none). Sessions saved before
+     * snapshots existed only have { score, round }.
+     */
+    getSession() {
+        return this.data.session;
+    }
+
+    /**
+     * Get the mastery (0-1) of every country the player has been asked about
+     * @returns {Object} Map of country code to mastery
+     */
+    getMasteryByCountry() {
+        const mastery = {};
+        for (const [code, stats] of Object.entries(this.data.countries)) {
+            const total = stats.found + stats.missed;
+            if (total > 0) {
+                mastery[code] = stats.found / total;
+            }
+        }
+        return mastery;
+    }
+
+    /**
+     * Get the countries with the lowest mastery
+     * @param {number} limit - Maximum number of countries to return
+     * @returns {Array} Array of { code, mastery, rounds }, weakest first
+     */
+    getWeakestCountries(limit = 10) {
+        const mastery = this.getMasteryByCountry();
+        return Object.entries(mastery)
+            .map(([code, value]) => ({ code, mastery: value, rounds: this.data.countries[code].rounds }))
+            .sort((a, b) => a.mastery - b.mastery || b.rounds - a.rounds)
+            .slice(0, limit);
+    }
+
+    /**
+     * Get the border pairs missed most often
+     * @param {number} limit - Maximum number of pairs to return
+     * @returns {Array} Array of { codes: [a, b], accuracy, asked }, weakest first
+     */
+    getWeakestPairs(limit = 10) {
+        return Object.entries(this.data.pairs)
+            .filter(([, stats]) => stats.found < stats.asked)
+            .map(([key, stats]) => ({
+                codes: key.split('-'),
+                accuracy: stats.found / stats.asked,
+                asked: stats.asked
+            }))
+            .sort((a, b) => a.accuracy - b.accuracy || b.asked - a.asked)
+            .slice(0, limit);
+    }
+
+    /**
+     * Get overall totals across all recorded rounds
+     */
+    getTotals() {
+        const totals = { rounds: 0, perfect: 0, found: 0, missed: 0, hints: 0 };
+        for (const stats of Object.values(this.data.countries)) {
+            totals.rounds += stats.rounds;
+            totals.perfect += stats.perfect;
+            totals.found += stats.found;
+            totals.missed += stats.missed;
+            totals.hints += stats.hints || 0; // Not recorded before hints existed
+        }
+
+        const answered = totals.found + totals.missed;
+        return {
+            ...totals,
+            accuracy: answered > 0 ? totals.found / answered : null
+        };
+    }
+
+    /**
+     * Get how well the player spells the answers they type from memory
+     * @returns {Object} { typed, exact, unrecognized, accuracy } - accuracy is the share
+     *   spelled exactly, or null if nothing was typed from memory yet
+     */
+    getSpelling() {
+        const { typed, exact, unrecognized } = this.data.spelling;
+        return {
+            typed,
+            exact,
+            unrecognized,
+            accuracy: typed > 0 ? exact / typed : null
+        };
+    }
+
+    /**
+     * Get the recorded round history, oldest first
+     */
+    getHistory() {
+        return this.data.history;
+    }
+
+    /**
+     * Forget all statistics and the saved session
+     */
+    clear() {
+        this.data = createEmptyProfile();
+        this.save();
+    }
+}
+
+function createEmptyProfile() {
+    return {
+        version: PROFILE_VERSION,
+        session: null,
+        history: [],
+        countries: {},
+        pairs: {},
+        spelling: { typed: 0, exact: 0, unrecognized: 0 } // Answers typed from memory
+    };
+}
+
+/**
+ * Get localStorage if the browser allows it (it throws in some privacy modes)
+ */
+export function getStorage() {
+    try {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+        return null;
+    }
+}
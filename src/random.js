@@ -0,0 +1,66 @@
+/**
+ * Seedable random numbers
+ *
+ * All game randomness goes through random() so a seeded game (daily
+ * challenge, shared link) replays exactly the same country sequence.
+ */
+
+let source = Math.random;
+
+/**
+ * Get a random number in [0, 1) from the current source
+ */
+export function random() {
+    return source();
+}
+
+/**
+ * Make random() deterministic for the given seed
+ * @param {string|number} seed - Any string or number
+ */
+export function seedRandom(seed) {
+    source = createRandom(seed);
+}
+
+/**
+ * Go back to unseeded Math.random()
+ */
+export function unseedRandom() {
+    source = Math.random;
+}
+
+/**
+ * Create an independent seeded generator (mulberry32)
+ * @param {string|number} seed - Any string or number
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = typeof seed === 'number' ? seed >>> 0 : hashString(String(seed));
+
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Hash a string to an unsigned 32-bit integer (FNV-1a)
+ */
+export function hashString(str) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a short random seed for a new shareable game
+ */
+export function createSeed() {
+    return Math.random().toString(36).slice(2, 10);
+}
@@ -1,137 +1,109 @@
 /**
  * Regional groupings for game modes
+ *
+ * Built-in regions are rules evaluated against the loaded country data
+ * (continent and subregion from Natural Earth, the neighbor graph from
+ * neighbors.json), so they can't drift from the data files.
  */
 
+import { getCountries, getNeighborGraph } from './data.js';
+import { t, localize } from './i18n.js';
+
+// Countries with at least this many neighbors make the "Most Difficult" region
+const MOST_DIFFICULT_MIN_NEIGHBORS = 7;
+
 export const REGIONS = {
     ALL: {
         id: 'ALL',
         name: 'All Regions',
-        description: 'All 164 countries with land borders',
-        countries: null // null means all countries
+        description: 'All countries with land borders',
+        rule: {} // An empty rule matches every country
     },
 
     WESTERN_HEMISPHERE: {
         id: 'WESTERN_HEMISPHERE',
         name: 'Western Hemisphere',
         description: 'Countries in North and South America',
-        countries: [
-            // North America
-            'CAN', 'USA', 'MEX',
-            // Central America
-            'GTM', 'BLZ', 'SLV', 'HND', 'NIC', 'CRI', 'PAN',
-            // Caribbean
-            'CUB', 'HTI', 'DOM', 'JAM', 'TTO', 'BHS',
-            // South America
-            'ARG', 'BOL', 'BRA', 'CHL', 'COL', 'ECU', 'GUY',
-            'PRY', 'PER', 'SUR', 'URY', 'VEN',
-            // France (due to French Guiana bordering Brazil and Suriname)
-            'FRA'
-        ]
+        rule: {
+            continents: ['North America', 'South America'],
+            include: ['FRA'] // French Guiana borders Brazil and Suriname
+        }
     },
 
     EUROPE: {
         id: 'EUROPE',
         name: 'Europe',
         description: 'European countries',
-        countries: [
-            // Northern Europe
-            'NOR', 'SWE', 'FIN', 'ISL', 'IRL', 'GBR', 'DNK',
-            // Western Europe
-            'NLD', 'BEL', 'LUX', 'DEU', 'FRA', 'ESP', 'PRT',
-            'ITA', 'CHE', 'AUT',
-            // Central Europe
-            'POL', 'CZE', 'SVK', 'HUN',
-            // Southern Europe
-            'SVN', 'HRV', 'BIH', 'SRB', 'MNE', 'MKD', 'ALB',
-            'GRC', 'BGR', 'ROU',
-            // Eastern Europe
-            'MDA', 'UKR', 'BLR', 'LTU', 'LVA', 'EST', 'RUS'
-        ]
+        rule: { continents: ['Europe'] }
     },
 
     AFRICA: {
         id: 'AFRICA',
         name: 'Africa',
         description: 'African countries',
-        countries: [
-            // North Africa
-            'DZA', 'EGY', 'LBY', 'TUN', 'MAR', 'SDN',
-            // West Africa
-            'TCD', 'NER', 'MLI', 'MRT', 'SEN', 'GMB', 'GNB',
-            'GIN', 'SLE', 'LBR', 'CIV', 'GHA', 'TGO', 'BEN', 'NGA',
-            // Central Africa
-            'CMR', 'CAF', 'COG', 'GAB', 'GNQ', 'COD', 'AGO',
-            // East Africa
-            'SOM', 'ETH', 'ERI', 'DJI', 'KEN', 'UGA', 'RWA',
-            'BDI', 'TZA', 'MDG',
-            // Southern Africa
-            'ZMB', 'ZWE', 'BWA', 'NAM', 'ZAF', 'LSO', 'SWZ',
-            'MOZ', 'MWI'
-        ]
+        rule: { continents: ['Africa'] }
     },
 
     ASIA: {
         id: 'ASIA',
         name: 'Asia',
         description: 'Asian countries (including Middle East and Oceania)',
-        countries: [
-            // Middle East
-            'TUR', 'SYR', 'LBN', 'ISR', 'JOR', 'IRQ', 'IRN',
-            'SAU', 'YEM', 'OMN', 'ARE', 'QAT', 'KWT', 'CYP',
-            // South Asia
-            'AFG', 'PAK', 'IND', 'BGD', 'BTN', 'NPL', 'LKA',
-            // Southeast Asia
-            'MMR', 'THA', 'LAO', 'KHM', 'VNM', 'IDN', 'MYS',
-            'BRN', 'TLS', 'PNG', 'PHL',
-            // East Asia
-            'CHN', 'MNG', 'PRK', 'KOR', 'JPN',
-            // Central Asia
-            'KAZ', 'UZB', 'TKM', 'TJK', 'KGZ', 'ARM', 'AZE', 'GEO',
-            // Oceania
-            'AUS', 'NZL', 'FJI', 'VUT', 'SLB'
-        ]
+        rule: { continents: ['Asia', 'Oceania'] }
     },
 
     MOST_DIFFICULT: {
         id: 'MOST_DIFFICULT',
         name: 'Most Difficult',
-        description: 'Countries with 7 or more neighbors',
-        countries: [
-            'TZA', // 8 neighbors
-            'COD', // 8 neighbors
-            'RUS', // 14 neighbors
-            'BRA', // 10 neighbors
-            'FRA', // 8 neighbors
-            'MLI', // 7 neighbors
-            'NER', // 8 neighbors
-            'CMR', // 7 neighbors
-            'ZMB', // 8 neighbors
-            'IRN', // 7 neighbors
-            'UKR', // 7 neighbors
-            'POL', // 7 neighbors
-            'AUT', // 7 neighbors
-            'HUN', // 7 neighbors
-            'DEU', // 9 neighbors
-            'TUR', // 8 neighbors
-            'CHN', // 14 neighbors
-            'SAU', // 7 neighbors
-            'SRB'  // 7 neighbors
-        ]
+        description: `Countries with ${MOST_DIFFICULT_MIN_NEIGHBORS} or more neighbors`,
+        rule: { minNeighbors: MOST_DIFFICULT_MIN_NEIGHBORS }
     }
 };
 
+// User-defined regions (see custom-regions.js), looked up like the built-in ones
+let customRegions = {};
+
+/**
+ * Replace the user-defined regions
+ * @param {Array} regions - Array of { id, name, description, countries, custom: true }
+ */
+export function setCustomRegions(regions) {
+    customRegions = {};
+    regions.forEach(region => {
+        customRegions[region.id] = region;
+    });
+}
+
 /**
  * Get region by ID
  */
 export function getRegion(regionId) {
-    return REGIONS[regionId] || REGIONS.ALL;
+    return REGIONS[regionId] || customRegions[regionId] || REGIONS.ALL;
 }
 
 /**
- * Get all available regions as an array
+ * Check whether a region ID exists (built-in or user-defined)
+ */
+export function hasRegion(regionId) {
+    return Boolean(REGIONS[regionId] || customRegions[regionId]);
+}
+
+/**
+ * Get all available regions as an array (built-in first, then user-defined)
  */
 export function getAllRegions() {
-    return Object.values(REGIONS);
+    return [...Object.values(REGIONS), ...Object.values(customRegions)];
+}
+
+/**
+ * Describe a region for the settings, with the number of countries it can ask about
+ */
+export function describeRegion(region) {
+    const count = Object.entries(getCountries() || {})
+        .filter(([code]) => getNeighborGraph().getDegree(code) > 0 && isCountryInRegion(code, region.id))
+        .length;
+
+    const description = region.custom ? t('regions.custom') : localize('region', region, region.rule).description;
+    return t('regions.describe', { description, count });
 }
 
 /**
@@ -140,29 +112,46 @@ export function getAllRegions() {
 export function isCountryInRegion(countryCode, regionId) {
     const region = getRegion(regionId);
 
-    // If region is ALL or has null countries list, all countries are included
-    if (!region.countries) {
-        return true;
+    // User-defined regions list their countries
+    if (region.countries) {
+        return region.countries.includes(countryCode);
     }
 
-    return region.countries.includes(countryCode);
+    return matchesRule(region.rule, countryCode);
 }
 
 /**
- * Filter countries by region
+ * Evaluate a region rule for a country. Every condition given must hold:
+ *   continents / subregions - the country's continent / subregion is one of these
+ *   minNeighbors - the country has at least this many land neighbors
+ *   landmassOf - the country can be reached by land from this country
+ *   near - { of, hops }: the country is at most this many border crossings from another
+ * Codes in include always match, codes in exclude never do.
  */
-export function filterCountriesByRegion(countries, regionId) {
-    const region = getRegion(regionId);
+export function matchesRule(rule, countryCode) {
+    if (rule.include && rule.include.includes(countryCode)) return true;
+    if (rule.exclude && rule.exclude.includes(countryCode)) return false;
 
-    // If region is ALL or has null countries list, return all countries
-    if (!region.countries) {
-        return countries;
-    }
+    const country = (getCountries() || {})[countryCode];
+    if (!country) return false;
 
-    // Filter countries object to only include those in the region
+    if (rule.continents && !rule.continents.includes(country.continent)) return false;
+    if (rule.subregions && !rule.subregions.includes(country.subregion)) return false;
+    const graph = getNeighborGraph();
+    if (rule.minNeighbors && graph.getDegree(countryCode) < rule.minNeighbors) return false;
+    if (rule.landmassOf && !graph.getComponent(rule.landmassOf).includes(countryCode)) return false;
+    if (rule.near && graph.getDistancesFrom(rule.near.of, rule.near.hops)[countryCode] === undefined) return false;
+
+    return true;
+}
+
+/**
+ * Filter countries by region
+ */
+export function filterCountriesByRegion(countries, regionId) {
     const filtered = {};
     for (const [code, country] of Object.entries(countries)) {
-        if (region.countries.includes(code)) {
+        if (isCountryInRegion(code, regionId)) {
             filtered[code] = country;
         }
     }
@@ -0,0 +1,181 @@
+/**
+ * Scoring rules
+ *
+ * A preset says how many points each part of a round is worth. scoreRound()
+ * turns the outcome of a submitted round into a line-by-line breakdown, so
+ * the UI can show where the points came from.
+ */
+
+import { t } from './i18n.js';
+
+// Countdown timer: one bonus point per this many seconds left on a perfect round
+const TIME_BONUS_SECONDS = 10;
+const TIME_OUT_PENALTY = -1;
+
+export const SCORING_PRESETS = {
+    STANDARD: {
+        id: 'STANDARD',
+        name: 'Standard',
+        description: '+1 per neighbor found, -1 per wrong guess, -1 per missed neighbor',
+        correct: 1,
+        wrong: -1,
+        missed: -1
+    },
+
+    LENIENT: {
+        id: 'LENIENT',
+        name: 'Lenient',
+        description: '+1 per neighbor found, -1 per wrong guess, no penalty for missed neighbors',
+        correct: 1,
+        wrong: -1,
+        missed: 0
+    },
+
+    STRICT: {
+        id: 'STRICT',
+        name: 'Strict',
+        description: '+1 per neighbor found, -2 per wrong guess, -2 per missed neighbor',
+        correct: 1,
+        wrong: -2,
+        missed: -2
+    },
+
+    WEIGHTED: {
+        id: 'WEIGHTED',
+        name: 'Weighted',
+        description: 'Neighbors of countries with many borders are worth more: 1 point each for up to 4 borders, 2 for up to 8, 3 for up to 12...',
+        correct: 1,
+        wrong: -1,
+        missed: -1,
+        neighborWeight: 4
+    },
+
+    STREAK: {
+        id: 'STREAK',
+        name: 'Streak',
+        description: 'Standard scoring, but every perfect round in a row multiplies your points (+0.5× per round, up to 3×)',
+        correct: 1,
+        wrong: -1,
+        missed: -1,
+        streak: { step: 0.5, max: 3 }
+    }
+};
+
+/**
+ * Get scoring preset by ID
+ */
+export function getScoringPreset(presetId) {
+    return SCORING_PRESETS[presetId] || SCORING_PRESETS.STANDARD;
+}
+
+/**
+ * Get all available scoring presets as an array
+ */
+export function getAllScoringPresets() {
+    return Object.values(SCORING_PRESETS);
+}
+
+/**
+ * Score a submitted round
+ * @param {string} presetId - Scoring preset ID
+ * @param {Object} outcome - What happened in the round:
+ *   { mode, found, wrong, missed, neighborCount, cluePoints, routeLength, optimalLength,
+ *     hintCount, hintCost, timed, secondsLeft, timedOut }
+ *   In path mode found is 1 if the route reached the end, and routeLength is
+ *   compared to optimalLength (countries in between on a shortest route).
+ * @param {number} streak - Perfect rounds in a row before this one
+ * @returns {Object} { lines: [{ label, points }], gains, losses, total, streak }
+ */
+export function scoreRound(presetId, outcome, streak = 0) {
+    const preset = getScoringPreset(presetId);
+    const lines = [];
+    // Countries on a completed route beyond a shortest one
+    const detours = outcome.mode === 'PATH' && outcome.found > 0
+        ? Math.max(0, outcome.routeLength - outcome.optimalLength)
+        : 0;
+    const perfect = outcome.missed === 0 && outcome.wrong === 0 && detours === 0;
+
+    // Answers
+    if (outcome.found > 0) {
+        if (outcome.mode === 'REVERSE') {
+            lines.push({
+                label: outcome.cluePoints > 1 ? t('score.rightCountryClues', { count: outcome.cluePoints - 1 }) : t('score.rightCountry'),
+                points: outcome.cluePoints * preset.correct
+            });
+        } else if (outcome.mode === 'PATH') {
+            lines.push({
+                label: t('score.routeFound', { count: outcome.optimalLength }),
+                points: outcome.optimalLength * preset.correct
+            });
+        } else {
+            const perNeighbor = preset.correct * getNeighborWeight(preset, outcome.neighborCount);
+            lines.push({
+                label: perNeighbor !== 1
+                    ? t('score.foundWeighted', { count: outcome.found, weight: perNeighbor })
+                    : t('score.found', { count: outcome.found }),
+                points: outcome.found * perNeighbor
+            });
+        }
+    }
+
+    if (detours > 0 && preset.wrong !== 0) {
+        lines.push({ label: t('score.detours', { count: detours }), points: detours * preset.wrong });
+    }
+
+    if (outcome.wrong > 0 && preset.wrong !== 0) {
+        lines.push({ label: t('score.wrong', { count: outcome.wrong }), points: outcome.wrong * preset.wrong });
+    }
+
+    if (outcome.missed > 0 && preset.missed !== 0) {
+        const label = outcome.mode === 'REVERSE' ? t('score.noAnswer')
+            : outcome.mode === 'PATH' ? t('score.noRoute')
+                : t('score.missed', { count: outcome.missed });
+        lines.push({ label, points: outcome.missed * preset.missed });
+    }
+
+    if (outcome.hintCost > 0) {
+        lines.push({ label: t('score.hints', { count: outcome.hintCount }), points: -outcome.hintCost });
+    }
+
+    // Streak multiplier on the points earned for answers
+    const newStreak = perfect ? streak + 1 : 0;
+    if (preset.streak && perfect && streak > 0) {
+        const multiplier = Math.min(preset.streak.max, 1 + streak * preset.streak.step);
+        const earned = lines.reduce((sum, line) => sum + Math.max(0, line.points), 0);
+        const extra = Math.round(earned * (multiplier - 1));
+        if (extra > 0) {
+            lines.push({ label: t('score.streak', { count: streak + 1, multiplier }), points: extra });
+        }
+    }
+
+    // Countdown timer
+    if (outcome.timed) {
+        if (outcome.timedOut) {
+            lines.push({ label: t('score.timedOut'), points: TIME_OUT_PENALTY });
+        } else if (perfect && outcome.secondsLeft !== null) {
+            const bonus = Math.floor(outcome.secondsLeft / TIME_BONUS_SECONDS);
+            if (bonus > 0) {
+                lines.push({ label: t('score.timeBonus', { seconds: Math.floor(outcome.secondsLeft) }), points: bonus });
+            }
+        }
+    }
+
+    const gains = lines.reduce((sum, line) => sum + Math.max(0, line.points), 0);
+    const losses = lines.reduce((sum, line) => sum - Math.min(0, line.points), 0);
+
+    return {
+        lines,
+        gains,
+        losses,
+        total: gains - losses,
+        streak: newStreak
+    };
+}
+
+/**
+ * Points multiplier for each neighbor of a country (weighted preset)
+ */
+function getNeighborWeight(preset, neighborCount) {
+    if (!preset.neighborWeight) return 1;
+    return 1 + Math.floor((neighborCount - 1) / preset.neighborWeight);
+}
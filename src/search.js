@@ -0,0 +1,287 @@
+/**
+ * Country name search for the autocomplete
+ *
+ * The index holds every name and alias of the loaded countries, normalized
+ * once when it is built (data.js rebuilds it when the inclusion level or the
+ * language changes). A query is matched against each of them, from exact
+ * matches down to typos, and every country is ranked by its best match.
+ */
+
+// Points per kind of match; a country is ranked by its best one
+const MATCH_SCORES = {
+    exact: 100,
+    prefix: 90, // The name starts with the query
+    wordStart: 80, // A later word of the name starts with the query
+    substring: 60,
+    typo: 50, // Minus TYPO_PENALTY per edit (see maxEdits)
+    trigram: 20 // Times the share of the query's trigrams found in the name
+};
+const TYPO_PENALTY = 10;
+const NAME_BONUS = 2; // Canonical names rank above aliases that match as well
+const MIN_FUZZY_LENGTH = 4; // Shorter queries only match literally
+const MIN_TRIGRAM_SHARE = 0.6;
+
+export class CountrySearchIndex {
+    /**
+     * @param {Object} countries - Map of country code to country ({ name, aliases })
+     */
+    constructor(countries) {
+        this.entries = [];
+
+        Object.entries(countries || {}).forEach(([code, country]) => {
+            [country.name, ...(country.aliases || [])].forEach((text, index) => {
+                const normalized = normalizeWithMap(text);
+                if (!normalized.text) return;
+
+                this.entries.push({
+                    code,
+                    country,
+                    text,
+                    isAlias: index > 0,
+                    normalized: normalized.text,
+                    starts: normalized.starts,
+                    ends: normalized.ends,
+                    wordStarts: getWordStarts(normalized.text),
+                    trigrams: new Set(getTrigrams(` ${normalized.text} `))
+                });
+            });
+        });
+    }
+
+    /**
+     * Find the countries a (partly typed, possibly misspelled) name could mean
+     * @param {string} query - What the player typed
+     * @param {Array} excludeCodes - Countries to leave out (e.g. already guessed)
+     * @returns {Array} Best match first: the country plus { code, matchType ('name' or
+     *   'alias'), matchedText, highlight ({ start, end } in matchedText, or null), score }
+     */
+    search(query, excludeCodes = []) {
+        const normalized = normalizeName(query || '');
+        if (!normalized) return [];
+
+        const excluded = new Set(excludeCodes);
+        const queryTrigrams = getTrigrams(` ${normalized}`); // No end padding: the player may still be typing
+        const best = new Map(); // Country code -> best result
+
+        this.entries.forEach(entry => {
+            if (excluded.has(entry.code)) return;
+
+            const match = matchEntry(entry, normalized, queryTrigrams);
+            if (!match) return;
+
+            const score = match.score + (entry.isAlias ? 0 : NAME_BONUS);
+            const current = best.get(entry.code);
+            if (current && current.score >= score) return;
+
+            best.set(entry.code, {
+                ...entry.country,
+                code: entry.code,
+                matchType: entry.isAlias ? 'alias' : 'name',
+                matchedText: entry.text,
+                highlight: match.range ? toOriginalRange(entry, match.range) : null,
+                score
+            });
+        });
+
+        return [...best.values()].sort((a, b) =>
+            b.score - a.score ||
+            a.matchedText.length - b.matchedText.length ||
+            a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Find the one country whose whole name or alias is a few typos away from the query
+     * @returns {Object|null} The country, or null if none is close enough or several are equally close
+     */
+    findClosest(query) {
+        const normalized = normalizeName(query || '');
+        if (normalized.length < MIN_FUZZY_LENGTH) return null;
+
+        const limit = maxEdits(normalized.length);
+        let closest = null; // { edits, codes, country } of the fewest edits so far
+        this.entries.forEach(entry => {
+            const edits = editDistance(normalized, entry.normalized, closest ? closest.edits : limit);
+            if (edits > limit || (closest && edits > closest.edits)) return;
+
+            if (!closest || edits < closest.edits) {
+                closest = { edits, codes: new Set([entry.code]), country: entry.country };
+            } else {
+                closest.codes.add(entry.code);
+            }
+        });
+
+        return closest && closest.codes.size === 1 ? closest.country : null;
+    }
+}
+
+/**
+ * Normalize a string for comparison (lowercase, remove diacritics, remove punctuation)
+ */
+export function normalizeName(str) {
+    return normalizeWithMap(str).text;
+}
+
+/**
+ * Whether a search result matched the whole name or alias the player typed
+ */
+export function isExactMatch(result) {
+    return result.score >= MATCH_SCORES.exact;
+}
+
+/**
+ * Match a query against one name or alias
+ * @returns {Object|null} { score, range } (range in the normalized text, or null), or null if it doesn't match
+ */
+function matchEntry(entry, query, queryTrigrams) {
+    const text = entry.normalized;
+
+    if (text === query) {
+        return { score: MATCH_SCORES.exact, range: [0, text.length] };
+    }
+    if (text.startsWith(query)) {
+        return { score: MATCH_SCORES.prefix, range: [0, query.length] };
+    }
+    const wordStart = entry.wordStarts.find(start => start > 0 && text.startsWith(query, start));
+    if (wordStart !== undefined) {
+        return { score: MATCH_SCORES.wordStart, range: [wordStart, wordStart + query.length] };
+    }
+    const index = text.indexOf(query);
+    if (index >= 0) {
+        return { score: MATCH_SCORES.substring, range: [index, index + query.length] };
+    }
+
+    if (query.length < MIN_FUZZY_LENGTH) return null;
+
+    // Typos: the query is a few edits away from the start of the name or of one of its words
+    const limit = maxEdits(query.length);
+    let typo = null;
+    entry.wordStarts.forEach(start => {
+        const rest = text.slice(start);
+        for (let length = query.length - limit; length <= query.length + limit; length++) {
+            if (length < 1 || length > rest.length) continue;
+            const edits = editDistance(query, rest.slice(0, length), typo ? typo.edits - 1 : limit);
+            if (edits <= limit && (!typo || edits < typo.edits)) {
+                typo = { edits, range: [start, start + length] };
+            }
+        }
+    });
+    if (typo) {
+        return { score: MATCH_SCORES.typo - typo.edits * TYPO_PENALTY, range: typo.range };
+    }
+
+    // Jumbled or missing words: most of the query's trigrams appear in the name
+    const shared = queryTrigrams.filter(trigram => entry.trigrams.has(trigram)).length;
+    const share = shared / queryTrigrams.length;
+    if (share >= MIN_TRIGRAM_SHARE) {
+        return { score: MATCH_SCORES.trigram * share, range: null };
+    }
+    return null;
+}
+
+/**
+ * How many typos a query of this length may have
+ */
+function maxEdits(length) {
+    return length < 7 ? 1 : 2;
+}
+
+/**
+ * Edit distance with adjacent transpositions counting as one edit ("Swtizerland")
+ * @param {number} max - Give up once the distance must exceed this
+ * @returns {number} The distance, or more than max
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, beforePrevious[j - 2] + 1);
+            }
+            row.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+
+        if (rowMin > max) return max + 1;
+        beforePrevious = previous;
+        previous = row;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Normalize a string and remember where each normalized character came from
+ * @returns {Object} { text, starts, ends } - ends[i] is the end (exclusive) in the
+ *   original string of the character that became text[i]
+ */
+function normalizeWithMap(str) {
+    let text = '';
+    const starts = [];
+    const ends = [];
+
+    let index = 0;
+    for (const char of str) {
+        const end = index + char.length;
+        const piece = /\s/.test(char)
+            ? ' '
+            : char
+                .toLowerCase()
+                .normalize('NFD')
+                .replace(/[\u0300-\u036f]/g, '') // Remove diacritics
+                .replace(/ß/g, 'ss')
+                .replace(/[^\w]/g, ''); // Remove punctuation
+
+        for (const normalizedChar of piece) {
+            // Collapse whitespace and leave none at the start
+            if (normalizedChar === ' ' && (text === '' || text.endsWith(' '))) continue;
+            text += normalizedChar;
+            starts.push(index);
+            ends.push(end);
+        }
+        index = end;
+    }
+
+    if (text.endsWith(' ')) {
+        text = text.slice(0, -1);
+        starts.pop();
+        ends.pop();
+    }
+    return { text, starts, ends };
+}
+
+/**
+ * Turn a [start, end) range in an entry's normalized text into one in its original text
+ */
+function toOriginalRange(entry, [start, end]) {
+    return { start: entry.starts[start], end: entry.ends[end - 1] };
+}
+
+/**
+ * Positions in a normalized name where a word starts
+ */
+function getWordStarts(text) {
+    const starts = [0];
+    for (let i = 1; i < text.length; i++) {
+        if (text[i - 1] === ' ') starts.push(i);
+    }
+    return starts;
+}
+
+/**
+ * The three-letter sequences of a string, without repeats
+ */
+function getTrigrams(text) {
+    const trigrams = new Set();
+    for (let i = 0; i + 3 <= text.length; i++) {
+        trigrams.add(text.slice(i, i + 3));
+    }
+    return [...trigrams];
+}
@@ -0,0 +1,151 @@
+/**
+ * Country selection strategies (which country a new round asks about)
+ *
+ * Every strategy picks one country from the candidates of the current
+ * region filter. Strategies that adapt to the player read the round history
+ * recorded by the player profile.
+ */
+
+import { random } from './random.js';
+
+// Leitner boxes: how many rounds to wait before asking a country again
+const LEITNER_INTERVALS = [3, 5, 10, 20, 40];
+
+// Chance of introducing an unseen country even though others are due,
+// so a player who misses a lot still gets to new countries
+const NEW_COUNTRY_CHANCE = 0.3;
+
+export const SELECTION_STRATEGIES = {
+    RANDOM: {
+        id: 'RANDOM',
+        name: 'Random',
+        description: 'Every country is equally likely in every round',
+        pick: (candidates) => pickRandom(candidates)
+    },
+
+    SPACED: {
+        id: 'SPACED',
+        name: 'Spaced Repetition',
+        description: 'Countries you miss come back soon, countries you know come back rarely',
+        pick: (candidates, history) => pickSpaced(candidates, history)
+    }
+};
+
+/**
+ * Get selection strategy by ID
+ */
+export function getStrategy(strategyId) {
+    return SELECTION_STRATEGIES[strategyId] || SELECTION_STRATEGIES.RANDOM;
+}
+
+/**
+ * Get all available selection strategies as an array
+ */
+export function getAllStrategies() {
+    return Object.values(SELECTION_STRATEGIES);
+}
+
+/**
+ * Pick a uniformly random item
+ */
+export function pickRandom(items) {
+    if (items.length === 0) return null;
+    return items[Math.floor(random() * items.length)];
+}
+
+/**
+ * Return a shuffled copy of an array (Fisher-Yates)
+ */
+export function shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+/**
+ * Work out the Leitner box of every country from the round history.
+ * A perfect round moves a country up a box, a round with less than half of
+ * the answers right sends it back to the first box, anything else keeps it.
+ * @param {Array} history - Round summaries, oldest first
+ * @returns {Object} Map of country code to { box, lastSeen } (lastSeen = history index)
+ */
+export function getLeitnerBoxes(history = []) {
+    const boxes = {};
+
+    history.forEach((round, index) => {
+        const answers = round.found.length + round.missed.length + round.wrong.length;
+        const accuracy = answers > 0 ? round.found.length / answers : 0;
+        const entry = boxes[round.target] || { box: 0, lastSeen: index };
+
+        if (accuracy === 1) {
+            entry.box = Math.min(entry.box + 1, LEITNER_INTERVALS.length - 1);
+        } else if (accuracy < 0.5) {
+            entry.box = 0;
+        }
+        entry.lastSeen = index;
+
+        boxes[round.target] = entry;
+    });
+
+    return boxes;
+}
+
+/**
+ * Pick a country with a Leitner schedule.
+ * Due countries come first (lower boxes are more likely) with the odd unseen
+ * country mixed in, then unseen countries, then whichever is due soonest.
+ */
+function pickSpaced(candidates, history = []) {
+    if (candidates.length <= 1) return candidates[0] || null;
+
+    const boxes = getLeitnerBoxes(history);
+    const now = history.length;
+    const lastTarget = history.length > 0 ? history[history.length - 1].target : null;
+
+    // Never ask the same country twice in a row if there is any alternative
+    const pool = candidates.filter(country => country.code !== lastTarget);
+
+    const due = [];
+    const unseen = [];
+    pool.forEach(country => {
+        const entry = boxes[country.code];
+        if (!entry) {
+            unseen.push(country);
+        } else if (now - entry.lastSeen >= LEITNER_INTERVALS[entry.box]) {
+            due.push({ country, weight: 1 / (entry.box + 1) });
+        }
+    });
+
+    if (due.length > 0 && (unseen.length === 0 || random() >= NEW_COUNTRY_CHANCE)) {
+        return pickWeighted(due);
+    }
+
+    if (unseen.length > 0) {
+        return pickRandom(unseen);
+    }
+
+    // Everything has been seen and nothing is due yet: take the one due soonest
+    return pool.reduce((best, country) => {
+        const entry = boxes[country.code];
+        const dueIn = entry.lastSeen + LEITNER_INTERVALS[entry.box] - now;
+        return !best || dueIn < best.dueIn ? { country, dueIn } : best;
+    }, null).country;
+}
+
+/**
+ * Pick from { country, weight } entries with probability proportional to weight
+ */
+function pickWeighted(entries) {
+    const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+    let threshold = random() * total;
+
+    for (const entry of entries) {
+        threshold -= entry.weight;
+        if (threshold <= 0) return entry.country;
+    }
+
+    return entries[entries.length - 1].country;
+}
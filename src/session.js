@@ -0,0 +1,52 @@
+/**
+ * Exported sessions: a game saved in a link, to pick it up on another device
+ *
+ * The link carries a snapshot of the game (see GameState.getSnapshot) as
+ * base64url-encoded JSON in the hash (#session=...), so it never reaches a server.
+ * Saving to and resuming from storage is up to the player profile.
+ */
+
+const HASH_PARAM = 'session';
+
+/**
+ * Build a link that resumes a game
+ * @param {Object} snapshot - From GameState.getSnapshot
+ */
+export function buildSessionUrl(snapshot, location = window.location) {
+    const params = new URLSearchParams({ [HASH_PARAM]: encodeSnapshot(snapshot) });
+    return `${location.origin}${location.pathname}#${params}`;
+}
+
+/**
+ * Read an exported game from the URL hash
+ * @returns {Object|null} The snapshot, or null if the URL has none (or it can't be read)
+ */
+export function readSessionFromUrl(hash = window.location.hash) {
+    const encoded = new URLSearchParams(hash.replace(/^#/, '')).get(HASH_PARAM);
+    if (!encoded) return null;
+
+    try {
+        return decodeSnapshot(encoded);
+    } catch (error) {
+        console.warn('[SESSION] Could not read the session in the link:', error);
+        return null;
+    }
+}
+
+/**
+ * Turn a snapshot into text fit for a URL (JSON as UTF-8, in base64url)
+ */
+function encodeSnapshot(snapshot) {
+    const bytes = new TextEncoder().encode(JSON.stringify(snapshot));
+    const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Read a snapshot encoded by encodeSnapshot (throws if it isn't one)
+ */
+function decodeSnapshot(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
@@ -0,0 +1,154 @@
+/**
+ * Timed play: per-round countdown and blitz session clock
+ */
+
+export const TIMER_MODES = {
+    OFF: {
+        id: 'OFF',
+        name: 'No Timer',
+        description: 'Take as long as you like'
+    },
+
+    COUNTDOWN: {
+        id: 'COUNTDOWN',
+        name: 'Countdown',
+        description: '60 seconds per country, answers are submitted when time runs out. Perfect rounds earn 1 point per 10 seconds left, running out costs 1 point',
+        seconds: 60,
+        perRound: true
+    },
+
+    BLITZ: {
+        id: 'BLITZ',
+        name: 'Blitz',
+        description: '3 minutes to find as many neighbors as you can, across as many countries as you can',
+        seconds: 180,
+        perRound: false
+    }
+};
+
+/**
+ * Get timer mode by ID
+ */
+export function getTimerMode(timerModeId) {
+    return TIMER_MODES[timerModeId] || TIMER_MODES.OFF;
+}
+
+/**
+ * Get all available timer modes as an array
+ */
+export function getAllTimerModes() {
+    return Object.values(TIMER_MODES);
+}
+
+/**
+ * Format seconds as m:ss
+ */
+export function formatTime(seconds) {
+    const whole = Math.max(0, Math.ceil(seconds));
+    const minutes = Math.floor(whole / 60);
+    return `${minutes}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Pausable countdown timer
+ */
+export class Timer {
+    /**
+     * @param {Object} callbacks - { onTick(secondsLeft), onExpire() }
+     */
+    constructor(callbacks = {}) {
+        this.callbacks = callbacks;
+        this.intervalId = null;
+        this.endsAt = null; // Timestamp (ms) while running
+        this.remainingMs = 0; // Remaining time while paused or stopped
+        this.paused = false;
+    }
+
+    /**
+     * Start counting down from the given number of seconds
+     */
+    start(seconds) {
+        this.stop();
+        this.remainingMs = seconds * 1000;
+        this.paused = false;
+        this.run();
+    }
+
+    /**
+     * Pause the countdown (no-op if it isn't running)
+     */
+    pause() {
+        if (!this.isRunning()) return;
+
+        this.remainingMs = this.endsAt - Date.now();
+        this.clearTicker();
+        this.paused = true;
+    }
+
+    /**
+     * Continue a paused countdown
+     */
+    resume() {
+        if (!this.paused) return;
+
+        this.paused = false;
+        this.run();
+    }
+
+    /**
+     * Stop the countdown for good
+     */
+    stop() {
+        if (this.isRunning()) {
+            this.remainingMs = this.endsAt - Date.now();
+        }
+        this.clearTicker();
+        this.paused = false;
+    }
+
+    /**
+     * Get the remaining time in seconds
+     */
+    getRemaining() {
+        const remainingMs = this.isRunning() ? this.endsAt - Date.now() : this.remainingMs;
+        return Math.max(0, remainingMs / 1000);
+    }
+
+    isRunning() {
+        return this.intervalId !== null;
+    }
+
+    isPaused() {
+        return this.paused;
+    }
+
+    run() {
+        this.endsAt = Date.now() + this.remainingMs;
+        this.intervalId = setInterval(() => this.tick(), 250);
+        this.tick();
+    }
+
+    tick() {
+        const secondsLeft = this.getRemaining();
+
+        if (this.callbacks.onTick) {
+            this.callbacks.onTick(secondsLeft);
+        }
+
+        if (secondsLeft <= 0) {
+            this.clearTicker();
+            this.remainingMs = 0;
+            if (this.callbacks.onExpire) {
+                this.callbacks.onExpire();
+            }
+        }
+    }
+
+    clearTicker() {
+        if (this.intervalId !== null) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+        this.endsAt = null;
+    }
+}
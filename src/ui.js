@@ -2,8 +2,18 @@
  * UI components and interactions
  */
 
-import { searchCountries, getCountries } from './data.js';
-import { getAllRegions } from './regions.js';
+import { searchCountries, getCountries, getNeighbors, getBorderLengths, getAvailableEntityLevels, hasMaritimeData } from './data.js';
+import { getAllRegions, describeRegion } from './regions.js';
+import { getMode, getAllModes } from './modes.js';
+import { getAllStrategies } from './selection.js';
+import { getAllTimerModes, formatTime } from './timer.js';
+import { getAllInputModes } from './input-modes.js';
+import { getAllChoiceDifficulties } from './choices.js';
+import { getAllScoringPresets } from './scoring.js';
+import { getAllHotSeatFormats, MIN_PLAYERS, MAX_PLAYERS } from './hotseat.js';
+import { DEFAULT_SERVER_URL } from './multiplayer.js';
+import { getAllLanguages, getCurrentLanguage, acceptsEnglishNames, t, localize, formatNumber } from './i18n.js';
+import { isExactMatch } from './search.js';
 
 export class UIManager {
     constructor(gameState, callbacks = {}) {
@@ -17,20 +27,53 @@ export class UIManager {
             inputSection: document.getElementById('input-section'),
             actions: document.getElementById('actions'),
             input: document.getElementById('country-input'),
+            inputWrapper: document.getElementById('input-wrapper'),
+            mapHint: document.getElementById('map-hint'),
+            choiceGrid: document.getElementById('choice-grid'),
+            inputFeedback: document.getElementById('input-feedback'),
             chipsContainer: document.getElementById('chips-container'),
             dropdown: document.getElementById('autocomplete-dropdown'),
             submitBtn: document.getElementById('submit-btn'),
+            clueBtn: document.getElementById('clue-btn'),
+            undoBtn: document.getElementById('undo-btn'),
+            redoBtn: document.getElementById('redo-btn'),
+            passBtn: document.getElementById('pass-btn'),
             nextRoundBtn: document.getElementById('next-round-btn'),
             mapContainer: document.getElementById('map-container'),
             mapLegend: document.getElementById('map-legend'),
+            legendTarget: document.getElementById('legend-target'),
+            legendCorrect: document.getElementById('legend-correct'),
+            legendRevealed: document.getElementById('legend-revealed'),
+            legendSea: document.getElementById('legend-sea'),
+            questionPrompt: document.getElementById('question-prompt'),
             targetCountry: document.getElementById('target-country'),
+            clueList: document.getElementById('clue-list'),
+            neighborMeta: document.getElementById('neighbor-meta'),
             neighborCount: document.getElementById('neighbor-count'),
+            clueMeta: document.getElementById('clue-meta'),
+            routeMeta: document.getElementById('route-meta'),
+            routeLength: document.getElementById('route-length'),
+            clueCount: document.getElementById('clue-count'),
+            clueTotal: document.getElementById('clue-total'),
+            cluePoints: document.getElementById('clue-points'),
             foundCount: document.getElementById('found-count'),
             totalCount: document.getElementById('total-count'),
             progressIndicator: document.getElementById('progress-indicator'),
             score: document.getElementById('score'),
+            scoreBox: document.getElementById('score-box'),
+            scoreboard: document.getElementById('scoreboard'),
+            turnIndicator: document.getElementById('turn-indicator'),
             scoreDelta: document.getElementById('score-delta'),
-            roundNumber: document.getElementById('round-number')
+            scoreBreakdown: document.getElementById('score-breakdown'),
+            borderFacts: document.getElementById('border-facts'),
+            hintBar: document.getElementById('hint-bar'),
+            hintButtons: document.getElementById('hint-buttons'),
+            hintList: document.getElementById('hint-list'),
+            silhouette: document.getElementById('silhouette'),
+            roundNumber: document.getElementById('round-number'),
+            timerBox: document.getElementById('timer-box'),
+            timerLabel: document.getElementById('timer-label'),
+            timer: document.getElementById('timer')
         };
 
         this.selectedDropdownIndex = -1;
@@ -64,6 +107,44 @@ export class UIManager {
             }
         });
 
+        this.elements.undoBtn.addEventListener('click', () => {
+            if (this.callbacks.onUndo) {
+                this.callbacks.onUndo();
+            }
+        });
+
+        this.elements.redoBtn.addEventListener('click', () => {
+            if (this.callbacks.onRedo) {
+                this.callbacks.onRedo();
+            }
+        });
+
+        this.elements.clueBtn.addEventListener('click', () => {
+            if (this.callbacks.onRevealClue) {
+                this.callbacks.onRevealClue();
+            }
+        });
+
+        this.elements.passBtn.addEventListener('click', () => {
+            if (this.callbacks.onPass) {
+                this.callbacks.onPass();
+            }
+        });
+
+        this.elements.choiceGrid.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-code]');
+            if (button && !button.disabled && this.callbacks.onToggleChoice) {
+                this.callbacks.onToggleChoice(button.dataset.code);
+            }
+        });
+
+        this.elements.hintButtons.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-hint]');
+            if (button && this.callbacks.onUseHint) {
+                this.callbacks.onUseHint(button.dataset.hint);
+            }
+        });
+
         // Click outside to close dropdown
         document.addEventListener('click', (e) => {
             if (!this.elements.input.contains(e.target) &&
@@ -79,7 +160,8 @@ export class UIManager {
     handleInput(e) {
         const value = e.target.value.trim();
 
-        if (!value) {
+        // Answering from memory: no suggestions, the name is checked on Enter
+        if (!value || this.gameState.isAnsweringFromMemory()) {
             this.hideDropdown();
             return;
         }
@@ -113,15 +195,29 @@ export class UIManager {
             this.updateDropdownSelection(dropdownItems);
         } else if (e.key === 'Enter') {
             e.preventDefault();
-            if (this.selectedDropdownIndex >= 0 && dropdownItems[this.selectedDropdownIndex]) {
-                const countryName = dropdownItems[this.selectedDropdownIndex].textContent;
-                this.addChipFromInput(countryName);
-            } else if (this.availableSuggestions.length === 1) {
-                // Auto-select if only one suggestion
-                this.addChipFromInput(this.availableSuggestions[0].name);
+            if (this.gameState.isAnsweringFromMemory()) {
+                if (e.target.value.trim()) {
+                    this.addChipFromInput(e.target.value.trim());
+                }
+            } else if (this.selectedDropdownIndex >= 0 && dropdownItems[this.selectedDropdownIndex]) {
+                this.addChipFromInput(this.availableSuggestions[this.selectedDropdownIndex].name);
+            } else if (this.availableSuggestions.length > 0) {
+                // Auto-select if only one suggestion, or the name was typed in full
+                const [top] = this.availableSuggestions;
+                if (this.availableSuggestions.length === 1 || isExactMatch(top)) {
+                    this.addChipFromInput(top.name);
+                }
             }
         } else if (e.key === 'Escape') {
             this.hideDropdown();
+        } else if ((e.ctrlKey || e.metaKey) && !e.target.value && ['z', 'y'].includes(e.key.toLowerCase())) {
+            // Undo/redo guesses; with text in the field, the keys edit the text
+            e.preventDefault();
+            const redo = e.key.toLowerCase() === 'y' || e.shiftKey;
+            const callback = redo ? this.callbacks.onRedo : this.callbacks.onUndo;
+            if (callback) {
+                callback();
+            }
         } else if (e.key === 'Backspace' && !e.target.value) {
             // Remove last chip on backspace when input is empty
             if (this.gameState.guesses.length > 0) {
@@ -166,7 +262,7 @@ export class UIManager {
         displaySuggestions.forEach((result, index) => {
             const item = document.createElement('div');
             item.className = 'autocomplete-item';
-            item.textContent = result.name;
+            renderSuggestion(item, result);
             item.setAttribute('role', 'option');
             item.setAttribute('data-code', result.code);
 
@@ -203,9 +299,26 @@ export class UIManager {
                 this.renderChips();
                 this.updateScores();
             }
+
+            if (result.spellingCorrected) {
+                this.showInputFeedback(t('input.spellingCorrected', { name: result.country.name }), true);
+            } else {
+                this.showInputFeedback(result.success ? null : result.error);
+            }
         }
     }
 
+    /**
+     * Show why a guess was not accepted (e.g. a route step that doesn't border the route)
+     * @param {string|null} message - Message to show, or null to clear it
+     * @param {boolean} notice - The guess was accepted, the message only points something out
+     */
+    showInputFeedback(message, notice = false) {
+        this.elements.inputFeedback.textContent = message || '';
+        this.elements.inputFeedback.classList.toggle('hidden', !message);
+        this.elements.inputFeedback.classList.toggle('notice', notice);
+    }
+
     /**
      * Remove a chip
      */
@@ -222,13 +335,18 @@ export class UIManager {
      */
     renderChips() {
         this.elements.chipsContainer.innerHTML = '';
+        // Players taking turns see every guess marked (and locked) right away
+        const takingTurns = this.gameState.isTakingTurns();
 
         this.gameState.guesses.forEach(guess => {
             const chip = document.createElement('div');
             chip.className = 'chip';
+            if (takingTurns && guess.player !== undefined) {
+                chip.title = this.gameState.hotSeat.players[guess.player].name;
+            }
 
             // Add state classes
-            if (this.gameState.submitted || this.gameState.revealed) {
+            if (this.gameState.submitted || this.gameState.revealed || takingTurns) {
                 if (guess.correct) {
                     if (guess.revealed) {
                         chip.classList.add('revealed'); // Missed/auto-revealed
@@ -244,15 +362,17 @@ export class UIManager {
             text.textContent = guess.name;
             chip.appendChild(text);
 
-            // Add remove button (if not locked)
-            const isLocked = this.gameState.revealed ||
-                            (this.gameState.submitted && guess.correct);
+            // Add remove button (if not locked). A route can only be shortened from its end,
+            // and the server of a room counts a guess as soon as it is made.
+            const isLocked = this.gameState.revealed || takingTurns || Boolean(this.gameState.room) ||
+                            (this.gameState.submitted && guess.correct) ||
+                            (this.gameState.getMode() === 'PATH' && guess.code !== this.gameState.getRouteEnd());
 
             if (!isLocked) {
                 const removeBtn = document.createElement('button');
                 removeBtn.className = 'chip-remove';
                 removeBtn.innerHTML = '×';
-                removeBtn.setAttribute('aria-label', `Remove ${guess.name}`);
+                removeBtn.setAttribute('aria-label', t('input.remove', { name: guess.name }));
                 removeBtn.onclick = () => this.removeChip(guess.code);
                 chip.appendChild(removeBtn);
             }
@@ -260,26 +380,94 @@ export class UIManager {
             this.elements.chipsContainer.appendChild(chip);
         });
 
+        // The choice grid shows the same picks
+        this.renderChoices();
+
         // Update submit button state
         this.updateButtons();
     }
 
+    /**
+     * Render the countries to pick from (multiple choice), marking the picks and,
+     * once the round is over, which of them were right and which neighbors were missed
+     */
+    renderChoices() {
+        const state = this.gameState.getState();
+        const grid = this.elements.choiceGrid;
+        grid.innerHTML = '';
+        if (state.choices.length === 0) return;
+
+        const finished = state.submitted || state.revealed;
+        const takingTurns = this.gameState.isTakingTurns(); // Picks are marked and locked right away
+        const picked = new Map(state.guesses.filter(g => !g.revealed).map(g => [g.code, g]));
+
+        state.choices.forEach(country => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'choice';
+            button.dataset.code = country.code;
+            button.textContent = country.name;
+            button.setAttribute('aria-pressed', String(picked.has(country.code)));
+            button.disabled = finished || ((takingTurns || Boolean(state.room)) && picked.has(country.code));
+
+            const guess = picked.get(country.code);
+            if (guess && (finished || takingTurns)) {
+                button.classList.add(guess.correct ? 'correct' : 'incorrect');
+            } else if (finished && this.gameState.neighbors.includes(country.code)) {
+                button.classList.add('missed');
+            }
+
+            grid.appendChild(button);
+        });
+    }
+
     /**
      * Update button states
      */
     updateButtons() {
         const state = this.gameState.getState();
         this.elements.submitBtn.disabled = !state.canSubmit;
+        // A path round ends by itself once the route is complete
+        this.elements.submitBtn.textContent = state.mode === 'PATH' ? t('actions.giveUp') : t('actions.submit');
         this.elements.input.disabled = state.revealed;
 
         // Show Next Round button after submission, hide Submit button
+        // (players taking turns pass instead of submitting)
+        const takingTurns = Boolean(state.hotSeat && state.hotSeat.takingTurns);
         if (state.submitted) {
             this.elements.submitBtn.classList.add('hidden');
             this.elements.nextRoundBtn.classList.remove('hidden');
         } else {
-            this.elements.submitBtn.classList.remove('hidden');
+            this.elements.submitBtn.classList.toggle('hidden', takingTurns);
             this.elements.nextRoundBtn.classList.add('hidden');
         }
+        this.elements.passBtn.classList.toggle('hidden', !takingTurns || state.submitted);
+
+        // Undo and redo show up once there is something to take back
+        const canRewrite = state.canUndo || state.canRedo;
+        this.elements.undoBtn.classList.toggle('hidden', !canRewrite);
+        this.elements.redoBtn.classList.toggle('hidden', !canRewrite);
+        this.elements.undoBtn.disabled = !state.canUndo;
+        this.elements.redoBtn.disabled = !state.canRedo;
+
+        // The last round of a challenge leads to its results instead,
+        // and in a hot-seat game the next player may take the same country
+        // In an online room only the host starts the next round
+        this.elements.nextRoundBtn.disabled = Boolean(state.room) && !state.room.isHost;
+        if (state.challenge && state.challenge.complete) {
+            this.elements.nextRoundBtn.textContent = t('actions.seeResults');
+        } else if (state.room && !state.room.isHost) {
+            this.elements.nextRoundBtn.textContent = t('actions.waitingForHost');
+        } else if (state.hotSeat && state.hotSeat.nextPlayer) {
+            this.elements.nextRoundBtn.textContent = t('actions.nextPlayer', { name: state.hotSeat.nextPlayer });
+        } else {
+            this.elements.nextRoundBtn.textContent = t('actions.nextRound');
+        }
+
+        // Clue button only exists in reverse mode, until the round is submitted
+        const showClueBtn = state.mode === 'REVERSE' && !state.submitted;
+        this.elements.clueBtn.classList.toggle('hidden', !showClueBtn);
+        this.elements.clueBtn.disabled = !state.canRevealClue;
     }
 
     /**
@@ -289,20 +477,23 @@ export class UIManager {
         const state = this.gameState.getState();
         this.elements.foundCount.textContent = state.progress.found;
         this.elements.score.textContent = state.score;
-        this.elements.roundNumber.textContent = state.round;
-
-        // Update score delta if we have gains or losses
-        if (state.submitted && (state.lastRoundGains > 0 || state.lastRoundLosses > 0)) {
-            let deltaHtml = '';
-            if (state.lastRoundGains > 0) {
-                deltaHtml += `<span class="positive">+${state.lastRoundGains}</span>`;
-            }
-            if (state.lastRoundLosses > 0) {
-                deltaHtml += `<span class="negative">-${state.lastRoundLosses}</span>`;
-            }
-            this.elements.scoreDelta.innerHTML = deltaHtml;
+        this.elements.roundNumber.textContent = state.challenge && state.challenge.totalRounds
+            ? `${state.round}/${state.challenge.totalRounds}`
+            : state.round;
+
+        this.renderScoreboard(state);
+
+        // Show the net result of the round, with the line-by-line breakdown below the question
+        // (players who took turns each get a line of their own, without a total)
+        if (state.submitted && state.lastRoundBreakdown.length > 0) {
+            const net = state.lastRoundGains - state.lastRoundLosses;
+            const netClass = net >= 0 ? 'positive' : 'negative';
+            this.elements.scoreDelta.innerHTML = `<span class="${netClass}">${formatPoints(net)}</span>`;
+            this.renderScoreBreakdown(state.lastRoundBreakdown, net, !(state.hotSeat && state.hotSeat.takingTurns));
         } else {
             this.elements.scoreDelta.innerHTML = '';
+            this.elements.scoreBreakdown.innerHTML = '';
+            this.elements.scoreBreakdown.classList.add('hidden');
         }
 
         // Show progress indicator after first submission
@@ -311,6 +502,92 @@ export class UIManager {
         }
     }
 
+    /**
+     * Show the other players: hot-seat players and their scores in place of the
+     * single score (with whose turn it is above the question), or the live
+     * leaderboard of an online room next to it
+     */
+    renderScoreboard(state) {
+        const { hotSeat, room, submitted } = state;
+        this.elements.scoreBox.classList.toggle('hidden', Boolean(hotSeat));
+        this.elements.scoreboard.classList.toggle('hidden', !hotSeat && !room);
+        this.elements.turnIndicator.classList.toggle('hidden', !hotSeat || submitted);
+        this.elements.scoreboard.innerHTML = '';
+
+        let players = [];
+        if (hotSeat) {
+            players = hotSeat.players.map(player => ({ ...player, current: player.current && !submitted }));
+            this.elements.turnIndicator.textContent = t('question.turn', { name: hotSeat.currentPlayer });
+        } else if (room) {
+            // Found neighbors of the running round, with a check mark once submitted
+            players = room.players.map(player => ({
+                ...player,
+                detail: player.total > 0 ? `${player.found}/${player.total}${player.done ? ' ✓' : ''}` : ''
+            }));
+        }
+
+        players.forEach(player => {
+            const item = document.createElement('li');
+            item.classList.toggle('current', Boolean(player.current));
+            item.classList.toggle('out', Boolean(player.out));
+
+            const name = document.createElement('span');
+            name.textContent = player.name;
+            item.appendChild(name);
+
+            if (player.detail) {
+                const detail = document.createElement('span');
+                detail.className = 'player-detail';
+                detail.textContent = player.detail;
+                item.appendChild(detail);
+            }
+
+            const score = document.createElement('span');
+            score.className = 'player-score';
+            score.textContent = player.score;
+            item.appendChild(score);
+
+            this.elements.scoreboard.appendChild(item);
+        });
+    }
+
+    /**
+     * Render where the points of the last round came from
+     * @param {Array} lines - Scoring lines: { label, points }
+     * @param {number} net - Net points of the round
+     * @param {boolean} showTotal - Whether to add the round total
+     */
+    renderScoreBreakdown(lines, net, showTotal = true) {
+        // Lines may come from a saved session or be player names, so escape them
+        const rows = lines.map(line => {
+            const pointsClass = line.points >= 0 ? 'positive' : 'negative';
+            return `<li><span>${escapeHtml(line.label)}</span><span class="${pointsClass}">${escapeHtml(formatPoints(line.points))}</span></li>`;
+        });
+        if (showTotal) {
+            rows.push(`<li class="score-breakdown-total"><span>${t('score.total')}</span><span>${formatPoints(net)}</span></li>`);
+        }
+
+        this.elements.scoreBreakdown.innerHTML = rows.join('');
+        this.elements.scoreBreakdown.classList.remove('hidden');
+    }
+
+    /**
+     * Update the clock in the header
+     * @param {number|null} secondsLeft - Remaining seconds, or null to hide the clock
+     */
+    updateTimer(secondsLeft) {
+        if (secondsLeft === null) {
+            this.elements.timerBox.classList.add('hidden');
+            return;
+        }
+
+        const isBlitz = this.gameState.getTimerMode() === 'BLITZ';
+        this.elements.timerBox.classList.remove('hidden');
+        this.elements.timerLabel.textContent = isBlitz ? t('header.blitz') : t('header.time');
+        this.elements.timer.textContent = formatTime(secondsLeft);
+        this.elements.timerBox.classList.toggle('urgent', secondsLeft > 0 && secondsLeft <= 10);
+    }
+
     /**
      * Show loading state
      */
@@ -336,18 +613,139 @@ export class UIManager {
      */
     updateQuestion() {
         const state = this.gameState.getState();
-        this.elements.targetCountry.textContent = state.targetCountry.name;
-        this.elements.neighborCount.textContent = state.neighborCount;
-        this.elements.totalCount.textContent = state.neighborCount;
+        const isReverse = state.mode === 'REVERSE';
+        const isPath = state.mode === 'PATH';
+
+        this.elements.neighborMeta.classList.toggle('hidden', isReverse || isPath);
+        this.elements.clueMeta.classList.toggle('hidden', !isReverse);
+        this.elements.clueList.classList.toggle('hidden', !isReverse);
+        this.elements.routeMeta.classList.toggle('hidden', !isPath);
+
+        if (isReverse) {
+            this.elements.questionPrompt.textContent = t('question.reverse');
+            // Keep the answer hidden until the round is over
+            this.elements.targetCountry.textContent = state.submitted ? state.targetCountry.name : '?';
+            this.renderClues(state.clues);
+            this.elements.clueCount.textContent = state.cluesShown;
+            this.elements.clueTotal.textContent = state.totalClues;
+            this.elements.cluePoints.textContent = state.cluePoints;
+        } else if (isPath) {
+            this.elements.questionPrompt.textContent = t('question.path');
+            this.elements.targetCountry.textContent = t('question.route', { start: state.targetCountry.name, end: state.pathEnd.name });
+            this.elements.routeLength.textContent = state.optimalLength;
+        } else {
+            this.elements.questionPrompt.textContent = state.seaNeighborCodes.length > 0
+                ? t('question.sea')
+                : t('question.classic');
+            this.elements.targetCountry.textContent = state.targetCountry.name;
+            this.elements.neighborCount.textContent = state.neighborCount;
+        }
+
+        this.elements.totalCount.textContent = state.progress.total;
         this.elements.foundCount.textContent = state.progress.found;
+
+        this.renderHints(state);
+        this.renderBorderFacts(state);
+        this.updateLegend(isPath, state.seaNeighborCodes.length > 0);
+    }
+
+    /**
+     * After a round, tell the player about the target's longest and shortest
+     * borders (when the data has border lengths, see borders.json)
+     */
+    renderBorderFacts(state) {
+        const facts = [];
+
+        if (state.submitted && state.mode !== 'PATH') {
+            const code = state.targetCountryCode;
+            const borders = getBorderLengths(code);
+            const countries = getCountries();
+            const describe = border => t('question.borderLength', {
+                country: countries[border.code].name,
+                length: formatNumber(border.length)
+            });
+
+            if (getNeighbors(code).length === 1 && borders.length === 1) {
+                facts.push(t('question.onlyBorder', { border: describe(borders[0]) }));
+            } else if (borders.length > 1) {
+                facts.push(t('question.longestBorder', { border: describe(borders[0]) }));
+                facts.push(t('question.shortestBorder', { border: describe(borders[borders.length - 1]) }));
+            }
+        }
+
+        this.elements.borderFacts.innerHTML = '';
+        this.elements.borderFacts.classList.toggle('hidden', facts.length === 0);
+        facts.forEach(fact => {
+            const item = document.createElement('li');
+            item.textContent = fact;
+            this.elements.borderFacts.appendChild(item);
+        });
+    }
+
+    /**
+     * Label the map legend for the current mode
+     * @param {boolean} withSea - Whether the round has neighbors across the sea
+     */
+    updateLegend(isPath, withSea) {
+        this.elements.legendTarget.textContent = isPath ? t('legend.ends') : t('legend.target');
+        this.elements.legendCorrect.textContent = isPath ? t('legend.route') : t('legend.correct');
+        this.elements.legendRevealed.textContent = isPath ? t('legend.shortestRoute') : t('legend.revealed');
+        this.elements.legendSea.classList.toggle('hidden', !withSea);
+    }
+
+    /**
+     * Render the hint buttons and the hints bought this round
+     * (the silhouette itself is drawn by a MapRenderer)
+     */
+    renderHints(state) {
+        const showBar = state.availableHints.length > 0 && !state.submitted;
+        this.elements.hintBar.classList.toggle('hidden', !showBar);
+        this.elements.hintButtons.innerHTML = '';
+
+        state.availableHints.forEach(option => {
+            const hint = localize('hint', option);
+            const button = document.createElement('button');
+            button.className = 'btn btn-hint';
+            button.dataset.hint = hint.id;
+            button.title = hint.description;
+            button.textContent = t('hints.button', { name: hint.name, cost: hint.cost });
+            button.disabled = !hint.available;
+            this.elements.hintButtons.appendChild(button);
+        });
+
+        const textHints = state.hints.filter(hint => hint.id !== 'SILHOUETTE');
+        this.elements.hintList.innerHTML = '';
+        this.elements.hintList.classList.toggle('hidden', textHints.length === 0);
+        textHints.forEach(hint => {
+            const item = document.createElement('li');
+            item.textContent = hint.text;
+            this.elements.hintList.appendChild(item);
+        });
+
+        this.elements.silhouette.classList.toggle('hidden', !state.hints.some(hint => hint.id === 'SILHOUETTE'));
+    }
+
+    /**
+     * Render the clue countries of a reverse round
+     */
+    renderClues(clues) {
+        this.elements.clueList.innerHTML = '';
+
+        clues.forEach(clue => {
+            const item = document.createElement('span');
+            item.className = 'clue';
+            item.textContent = clue.name;
+            this.elements.clueList.appendChild(item);
+        });
     }
 
     /**
      * Show map container
+     * @param {boolean} showLegend - Whether to show the result legend as well
      */
-    showMap() {
+    showMap(showLegend = true) {
         this.elements.mapContainer.classList.remove('hidden');
-        this.elements.mapLegend.classList.remove('hidden');
+        this.elements.mapLegend.classList.toggle('hidden', !showLegend);
     }
 
     /**
@@ -358,13 +756,34 @@ export class UIManager {
         this.elements.mapLegend.classList.add('hidden');
     }
 
+    /**
+     * Switch between typing, clicking on the map and picking from a grid as the way to guess, and
+     * between picking typed answers from suggestions and answering from memory
+     */
+    updateInputMode() {
+        const isMapClick = this.gameState.getMode() === 'MAP_CLICK';
+        this.elements.inputWrapper.classList.toggle('hidden', !this.gameState.takesTypedAnswers());
+        this.elements.mapHint.classList.toggle('hidden', !isMapClick || this.gameState.submitted);
+        this.elements.choiceGrid.classList.toggle('hidden', !getMode(this.gameState.getMode()).choices);
+
+        const fromMemory = this.gameState.isAnsweringFromMemory();
+        this.elements.input.placeholder = t(fromMemory ? 'input.memoryPlaceholder' : 'input.placeholder');
+        this.elements.input.setAttribute('aria-autocomplete', fromMemory ? 'none' : 'list');
+        this.elements.input.spellcheck = false; // The browser's spell checker would give names away
+        if (fromMemory) {
+            this.hideDropdown();
+        }
+    }
+
     /**
      * Reset UI for new round
      */
     resetForNewRound() {
         this.elements.input.value = '';
         this.hideDropdown();
+        this.showInputFeedback(null);
         this.hideMap();
+        this.updateInputMode();
         this.elements.progressIndicator.classList.remove('visible'); // Hide progress for new round
         this.renderChips();
         this.updateQuestion();
@@ -377,6 +796,7 @@ export class UIManager {
      * Initialize UI
      */
     init() {
+        this.updateInputMode();
         this.updateQuestion();
         this.updateScores();
         this.renderChips();
@@ -389,20 +809,64 @@ export class UIManager {
  * Settings modal manager
  */
 export class SettingsManager {
-    constructor(gameState, callbacks = {}) {
+    /**
+     * @param {GameState} gameState - Game state to read the current settings from
+     * @param {Object} callbacks - Setting change handlers, { onEditRegion, onRegionsChanged, onLanguageChange, onExportSession }, { onShow, onHide }
+     * @param {CustomRegionStore} regionStore - User-defined regions
+     */
+    constructor(gameState, callbacks = {}, regionStore = null) {
         this.gameState = gameState;
         this.callbacks = callbacks;
+        this.regionStore = regionStore;
+        this.confirmingDeleteId = null; // Custom region waiting for a second click to delete
+        this.hotSeatFormat = 'TURNS'; // Hot-seat setup, until a game is started
+        this.playerNames = Array(MIN_PLAYERS).fill('');
 
         // DOM elements
         this.elements = {
             settingsBtn: document.getElementById('settings-btn'),
             settingsModal: document.getElementById('settings-modal'),
             closeBtn: document.getElementById('close-settings-btn'),
-            regionOptions: document.getElementById('region-options')
+            languageOptions: document.getElementById('language-options'),
+            acceptEnglishOption: document.getElementById('accept-english-option'),
+            acceptEnglishInput: document.getElementById('accept-english-input'),
+            modeOptions: document.getElementById('mode-options'),
+            inputModeOptions: document.getElementById('input-mode-options'),
+            choiceDifficultyOptions: document.getElementById('choice-difficulty-options'),
+            regionOptions: document.getElementById('region-options'),
+            strategyOptions: document.getElementById('strategy-options'),
+            entitySection: document.getElementById('entity-section'),
+            entityOptions: document.getElementById('entity-options'),
+            timerOptions: document.getElementById('timer-options'),
+            scoringOptions: document.getElementById('scoring-options'),
+            hotSeatFormatOptions: document.getElementById('hotseat-format-options'),
+            playerList: document.getElementById('player-list'),
+            addPlayerBtn: document.getElementById('add-player-btn'),
+            startHotSeatBtn: document.getElementById('start-hotseat-btn'),
+            endHotSeatBtn: document.getElementById('end-hotseat-btn'),
+            hotSeatStatus: document.getElementById('hotseat-status'),
+            roomServerInput: document.getElementById('room-server-input'),
+            roomPlayerInput: document.getElementById('room-player-input'),
+            roomCodeInput: document.getElementById('room-code-input'),
+            joinRoomBtn: document.getElementById('join-room-btn'),
+            leaveRoomBtn: document.getElementById('leave-room-btn'),
+            roomStatus: document.getElementById('room-status'),
+            dailyBtn: document.getElementById('daily-btn'),
+            shareGameBtn: document.getElementById('share-game-btn'),
+            shareGameStatus: document.getElementById('share-game-status'),
+            exportSessionBtn: document.getElementById('export-session-btn'),
+            exportSessionStatus: document.getElementById('export-session-status'),
+            customRegionList: document.getElementById('custom-region-list'),
+            newRegionBtn: document.getElementById('new-region-btn'),
+            importRegionsBtn: document.getElementById('import-regions-btn'),
+            importRegionsInput: document.getElementById('import-regions-input'),
+            exportRegionsBtn: document.getElementById('export-regions-btn'),
+            customRegionStatus: document.getElementById('custom-region-status')
         };
 
         this.bindEvents();
-        this.renderRegionOptions();
+        this.elements.roomServerInput.value = DEFAULT_SERVER_URL;
+        this.render();
     }
 
     /**
@@ -432,30 +896,476 @@ export class SettingsManager {
                 this.hide();
             }
         });
+
+        // Language
+        this.elements.acceptEnglishInput.addEventListener('change', () => {
+            if (this.callbacks.onLanguageChange) {
+                this.callbacks.onLanguageChange(getCurrentLanguage(), this.elements.acceptEnglishInput.checked);
+            }
+        });
+
+        // Hot seat
+        this.elements.addPlayerBtn.addEventListener('click', () => {
+            if (this.playerNames.length < MAX_PLAYERS) {
+                this.playerNames.push('');
+                this.renderPlayerList();
+                this.elements.playerList.querySelector('li:last-child input').focus();
+            }
+        });
+
+        this.elements.playerList.addEventListener('input', (e) => {
+            const index = Number(e.target.dataset.player);
+            if (e.target.matches('input') && Number.isInteger(index)) {
+                this.playerNames[index] = e.target.value;
+            }
+        });
+
+        this.elements.playerList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-remove-player]');
+            if (button && this.playerNames.length > MIN_PLAYERS) {
+                this.playerNames.splice(Number(button.dataset.removePlayer), 1);
+                this.renderPlayerList();
+            }
+        });
+
+        this.elements.startHotSeatBtn.addEventListener('click', () => {
+            if (!this.callbacks.onStartHotSeat) return;
+
+            const result = this.callbacks.onStartHotSeat(this.hotSeatFormat, this.playerNames);
+            if (result.success) {
+                this.hide();
+            } else {
+                this.elements.hotSeatStatus.textContent = `${result.error}.`;
+                this.elements.hotSeatStatus.classList.remove('hidden');
+            }
+        });
+
+        this.elements.endHotSeatBtn.addEventListener('click', () => {
+            if (this.callbacks.onEndHotSeat) {
+                this.callbacks.onEndHotSeat();
+                this.hide();
+            }
+        });
+
+        // Online room
+        this.elements.joinRoomBtn.addEventListener('click', () => {
+            const name = this.elements.roomPlayerInput.value.trim();
+            const room = this.elements.roomCodeInput.value.trim();
+            if (!name || !room) {
+                this.showRoomStatus(t('settings.room.missing'));
+                return;
+            }
+
+            if (this.callbacks.onJoinRoom) {
+                this.showRoomStatus(t('settings.room.connecting', { url: this.elements.roomServerInput.value.trim() }));
+                this.callbacks.onJoinRoom(this.elements.roomServerInput.value.trim(), room, name);
+            }
+        });
+
+        this.elements.leaveRoomBtn.addEventListener('click', () => {
+            if (this.callbacks.onLeaveRoom) {
+                this.callbacks.onLeaveRoom();
+                this.renderRoomControls();
+                this.showRoomStatus(t('settings.room.left'));
+            }
+        });
+
+        // Challenges
+        this.elements.dailyBtn.addEventListener('click', () => {
+            if (this.callbacks.onStartDaily) {
+                this.callbacks.onStartDaily();
+                this.hide();
+            }
+        });
+
+        this.elements.shareGameBtn.addEventListener('click', async () => {
+            if (this.callbacks.onStartShareable) {
+                const url = this.callbacks.onStartShareable();
+                const copied = await copyToClipboard(url);
+                this.elements.shareGameStatus.textContent = copied
+                    ? t('settings.challenge.copied')
+                    : t('settings.challenge.notCopied');
+                this.elements.shareGameStatus.classList.remove('hidden');
+            }
+        });
+
+        // Session
+        this.elements.exportSessionBtn.addEventListener('click', async () => {
+            if (!this.callbacks.onExportSession) return;
+
+            const status = this.elements.exportSessionStatus;
+            const url = this.callbacks.onExportSession();
+            status.classList.remove('hidden');
+            if (!url) {
+                status.textContent = t('settings.session.unavailable');
+                return;
+            }
+
+            // Opens in a new tab: the same page with another hash wouldn't load it
+            const copied = await copyToClipboard(url);
+            const link = document.createElement('a');
+            link.href = url;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            link.textContent = t('settings.session.link');
+            status.textContent = copied
+                ? `${t('settings.session.copied')} `
+                : `${t('settings.session.notCopied')} `;
+            status.appendChild(link);
+        });
+
+        // Custom regions
+        this.elements.newRegionBtn.addEventListener('click', () => {
+            if (this.callbacks.onEditRegion) {
+                this.hide();
+                this.callbacks.onEditRegion(null);
+            }
+        });
+
+        this.elements.customRegionList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const regionId = button.dataset.region;
+            if (button.dataset.action === 'edit' && this.callbacks.onEditRegion) {
+                this.hide();
+                this.callbacks.onEditRegion(regionId);
+            } else if (button.dataset.action === 'delete') {
+                this.deleteRegion(regionId);
+            }
+        });
+
+        this.elements.exportRegionsBtn.addEventListener('click', () => {
+            downloadFile('regions.json', this.regionStore.exportJson());
+            this.showRegionStatus(t('settings.customRegions.exported', { count: this.regionStore.getAll().length }));
+        });
+
+        this.elements.importRegionsBtn.addEventListener('click', () => {
+            this.elements.importRegionsInput.click();
+        });
+
+        this.elements.importRegionsInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Allow importing the same file again
+            if (!file) return;
+
+            const result = this.regionStore.importJson(await file.text());
+            if (!result.success) {
+                this.showRegionStatus(t('settings.customRegions.importFailed', { error: result.error }));
+                return;
+            }
+
+            this.showRegionStatus(result.skipped > 0
+                ? t('settings.customRegions.importedSkipped', { imported: result.imported, skipped: result.skipped })
+                : t('settings.customRegions.imported', { count: result.imported }));
+            this.regionsChanged();
+        });
+    }
+
+    /**
+     * Delete a custom region (takes a second click to confirm)
+     */
+    deleteRegion(regionId) {
+        if (this.confirmingDeleteId !== regionId) {
+            this.confirmingDeleteId = regionId;
+            this.renderCustomRegions();
+            return;
+        }
+
+        this.confirmingDeleteId = null;
+        this.regionStore.deleteRegion(regionId);
+        this.regionsChanged();
+    }
+
+    /**
+     * Refresh the region lists after custom regions were added, changed or deleted
+     */
+    regionsChanged() {
+        if (this.callbacks.onRegionsChanged) {
+            this.callbacks.onRegionsChanged();
+        }
+        this.renderRegionOptions();
+        this.renderCustomRegions();
+    }
+
+    showRegionStatus(message) {
+        this.elements.customRegionStatus.textContent = message;
+        this.elements.customRegionStatus.classList.remove('hidden');
+    }
+
+    /**
+     * Render the language options, and whether English names are accepted
+     * (only asked for the other languages)
+     */
+    renderLanguageOptions() {
+        const languages = getAllLanguages().map(language => ({
+            id: language.id,
+            name: language.name,
+            description: t(`language.${language.id}`)
+        }));
+        const current = getCurrentLanguage();
+
+        this.renderOptions(this.elements.languageOptions, 'language', languages, current, (languageId) => {
+            if (this.callbacks.onLanguageChange) {
+                this.callbacks.onLanguageChange(languageId, this.elements.acceptEnglishInput.checked);
+            }
+        }, false);
+
+        this.elements.acceptEnglishOption.classList.toggle('hidden', current === 'en');
+        this.elements.acceptEnglishInput.checked = acceptsEnglishNames();
+    }
+
+    /**
+     * Render game mode selection options
+     */
+    renderModeOptions() {
+        // Land & Sea needs neighbors across the sea in the data
+        const modes = getAllModes()
+            .filter(mode => !mode.withSea || hasMaritimeData())
+            .map(mode => localize('mode', mode));
+        this.renderOptions(this.elements.modeOptions, 'mode', modes, this.gameState.getMode(), (modeId) => {
+            if (this.callbacks.onModeChange) {
+                this.callbacks.onModeChange(modeId);
+            }
+        });
+    }
+
+    /**
+     * Render answer input mode options
+     */
+    renderInputModeOptions() {
+        const inputModes = getAllInputModes().map(inputMode => localize('inputMode', inputMode));
+        this.renderOptions(this.elements.inputModeOptions, 'input-mode', inputModes, this.gameState.getInputMode(), (inputModeId) => {
+            if (this.callbacks.onInputModeChange) {
+                this.callbacks.onInputModeChange(inputModeId);
+            }
+        });
+    }
+
+    /**
+     * Render multiple-choice difficulty options
+     */
+    renderChoiceDifficultyOptions() {
+        const difficulties = getAllChoiceDifficulties().map(difficulty => localize('choices', difficulty));
+        this.renderOptions(this.elements.choiceDifficultyOptions, 'choices', difficulties, this.gameState.getChoiceDifficulty(), (difficultyId) => {
+            if (this.callbacks.onChoiceDifficultyChange) {
+                this.callbacks.onChoiceDifficultyChange(difficultyId);
+            }
+        });
     }
 
     /**
      * Render region selection options
      */
     renderRegionOptions() {
-        const regions = getAllRegions();
-        const currentRegion = this.gameState.getRegion();
+        const regions = getAllRegions().map(region => ({
+            ...localize('region', region, region.rule),
+            description: describeRegion(region)
+        }));
+        this.renderOptions(this.elements.regionOptions, 'region', regions, this.gameState.getRegion(), (regionId) => {
+            if (this.callbacks.onRegionChange) {
+                this.callbacks.onRegionChange(regionId);
+            }
+        });
+    }
 
-        this.elements.regionOptions.innerHTML = '';
+    /**
+     * Render inclusion level options (only when the data has more than UN members)
+     */
+    renderEntityOptions() {
+        const levels = getAvailableEntityLevels().map(level => localize('entities', level));
+        this.elements.entitySection.classList.toggle('hidden', levels.length < 2);
+        this.renderOptions(this.elements.entityOptions, 'entities', levels, this.gameState.getEntityLevel(), (levelId) => {
+            if (this.callbacks.onEntityLevelChange) {
+                this.callbacks.onEntityLevelChange(levelId);
+            }
+        });
+    }
+
+    /**
+     * Render the list of custom regions with their edit and delete buttons
+     */
+    renderCustomRegions() {
+        const list = this.elements.customRegionList;
+        const regions = this.regionStore ? this.regionStore.getAll() : [];
+        list.innerHTML = '';
+        this.elements.exportRegionsBtn.disabled = regions.length === 0;
+
+        if (regions.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'stats-empty';
+            empty.textContent = t('settings.customRegions.empty');
+            list.appendChild(empty);
+            return;
+        }
 
         regions.forEach(region => {
+            const item = document.createElement('li');
+
+            const label = document.createElement('span');
+            label.textContent = region.name;
+
+            const detail = document.createElement('span');
+            detail.className = 'stats-detail';
+            detail.textContent = t('settings.customRegions.count', { count: region.countries.length });
+
+            const editBtn = document.createElement('button');
+            editBtn.className = 'link-btn';
+            editBtn.dataset.action = 'edit';
+            editBtn.dataset.region = region.id;
+            editBtn.textContent = t('settings.customRegions.edit');
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'link-btn';
+            deleteBtn.dataset.action = 'delete';
+            deleteBtn.dataset.region = region.id;
+            deleteBtn.textContent = this.confirmingDeleteId === region.id
+                ? t('settings.customRegions.confirmDelete')
+                : t('settings.customRegions.delete');
+
+            item.append(label, detail, editBtn, deleteBtn);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Render timer mode options
+     */
+    renderTimerOptions() {
+        const timerModes = getAllTimerModes().map(timerMode => localize('timer', timerMode));
+        this.renderOptions(this.elements.timerOptions, 'timer', timerModes, this.gameState.getTimerMode(), (timerModeId) => {
+            if (this.callbacks.onTimerModeChange) {
+                this.callbacks.onTimerModeChange(timerModeId);
+            }
+        });
+    }
+
+    /**
+     * Render country selection strategy options
+     */
+    renderStrategyOptions() {
+        const strategies = getAllStrategies().map(strategy => localize('strategy', strategy));
+        this.renderOptions(this.elements.strategyOptions, 'strategy', strategies, this.gameState.getSelectionStrategy(), (strategyId) => {
+            if (this.callbacks.onStrategyChange) {
+                this.callbacks.onStrategyChange(strategyId);
+            }
+        });
+    }
+
+    /**
+     * Render scoring preset options
+     */
+    renderScoringOptions() {
+        const presets = getAllScoringPresets().map(preset => localize('scoring', preset));
+        this.renderOptions(this.elements.scoringOptions, 'scoring', presets, this.gameState.getScoringPreset(), (presetId) => {
+            if (this.callbacks.onScoringChange) {
+                this.callbacks.onScoringChange(presetId);
+            }
+        });
+    }
+
+    /**
+     * Render the hot-seat setup: format, player names and start/end buttons.
+     * A running hot-seat game fills in its own format and players.
+     */
+    renderHotSeatSetup() {
+        const hotSeat = this.gameState.hotSeat;
+        if (hotSeat) {
+            this.hotSeatFormat = hotSeat.format;
+            this.playerNames = hotSeat.players.map(player => player.name);
+        }
+
+        const formats = getAllHotSeatFormats().map(format => localize('hotseat', format));
+        this.renderOptions(this.elements.hotSeatFormatOptions, 'hotseat', formats, this.hotSeatFormat, (formatId) => {
+            this.hotSeatFormat = formatId;
+        }, false);
+        this.renderPlayerList();
+
+        this.elements.startHotSeatBtn.textContent = hotSeat ? t('settings.hotseat.restart') : t('settings.hotseat.start');
+        this.elements.endHotSeatBtn.classList.toggle('hidden', !hotSeat);
+    }
+
+    /**
+     * Show the join or leave button depending on whether the player is in a room
+     */
+    renderRoomControls() {
+        const room = this.gameState.room;
+        this.elements.joinRoomBtn.classList.toggle('hidden', Boolean(room));
+        this.elements.leaveRoomBtn.classList.toggle('hidden', !room);
+        [this.elements.roomServerInput, this.elements.roomPlayerInput, this.elements.roomCodeInput]
+            .forEach(input => { input.disabled = Boolean(room); });
+
+        if (room) {
+            this.showRoomStatus(t(this.gameState.isRoomHost() ? 'settings.room.joinedHost' : 'settings.room.joined', { code: room.code }));
+        }
+    }
+
+    showRoomStatus(message) {
+        this.elements.roomStatus.textContent = message;
+        this.elements.roomStatus.classList.remove('hidden');
+    }
+
+    /**
+     * Render a name input for every player
+     */
+    renderPlayerList() {
+        const list = this.elements.playerList;
+        list.innerHTML = '';
+
+        this.playerNames.forEach((name, index) => {
+            const item = document.createElement('li');
+            const row = document.createElement('div');
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'country-input';
+            input.maxLength = 20;
+            input.placeholder = t('settings.hotseat.player', { number: index + 1 });
+            input.value = name;
+            input.dataset.player = index;
+            input.setAttribute('aria-label', t('settings.hotseat.playerLabel', { number: index + 1 }));
+            row.appendChild(input);
+
+            if (this.playerNames.length > MIN_PLAYERS) {
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'link-btn';
+                removeBtn.dataset.removePlayer = index;
+                removeBtn.textContent = t('settings.hotseat.remove');
+                row.appendChild(removeBtn);
+            }
+
+            item.appendChild(row);
+            list.appendChild(item);
+        });
+
+        this.elements.addPlayerBtn.disabled = this.playerNames.length >= MAX_PLAYERS;
+    }
+
+    /**
+     * Render a radio group of { id, name, description } options
+     * @param {HTMLElement} container - Element to render into
+     * @param {string} groupName - Radio group name
+     * @param {Array} items - Options to render
+     * @param {string} currentId - ID of the selected option
+     * @param {Function} onSelect - Called with the chosen ID
+     * @param {boolean} closeOnSelect - Whether choosing an option closes the settings
+     */
+    renderOptions(container, groupName, items, currentId, onSelect, closeOnSelect = true) {
+        container.innerHTML = '';
+
+        items.forEach(item => {
             const option = document.createElement('label');
             option.className = 'region-option';
 
             const radio = document.createElement('input');
             radio.type = 'radio';
-            radio.name = 'region';
-            radio.value = region.id;
-            radio.checked = region.id === currentRegion;
+            radio.name = groupName;
+            radio.value = item.id;
+            radio.checked = item.id === currentId;
 
             radio.addEventListener('change', () => {
-                if (this.callbacks.onRegionChange) {
-                    this.callbacks.onRegionChange(region.id);
+                onSelect(item.id);
+                if (closeOnSelect) {
                     this.hide();
                 }
             });
@@ -465,11 +1375,11 @@ export class SettingsManager {
 
             const name = document.createElement('div');
             name.className = 'region-name';
-            name.textContent = region.name;
+            name.textContent = item.name;
 
             const description = document.createElement('div');
             description.className = 'region-description';
-            description.textContent = region.description;
+            description.textContent = item.description;
 
             content.appendChild(name);
             content.appendChild(description);
@@ -477,7 +1387,7 @@ export class SettingsManager {
             option.appendChild(radio);
             option.appendChild(content);
 
-            this.elements.regionOptions.appendChild(option);
+            container.appendChild(option);
         });
     }
 
@@ -486,14 +1396,513 @@ export class SettingsManager {
      */
     show() {
         this.elements.settingsModal.classList.remove('hidden');
-        // Refresh the selected option
+        // Refresh the selected options
+        this.render();
+
+        if (this.callbacks.onShow) {
+            this.callbacks.onShow();
+        }
+    }
+
+    /**
+     * Render every section with the current settings (and language)
+     */
+    render() {
+        this.renderLanguageOptions();
+        this.renderModeOptions();
+        this.renderInputModeOptions();
+        this.renderChoiceDifficultyOptions();
         this.renderRegionOptions();
+        this.renderEntityOptions();
+        this.renderCustomRegions();
+        this.renderTimerOptions();
+        this.renderStrategyOptions();
+        this.renderScoringOptions();
+        this.renderHotSeatSetup();
+        this.renderRoomControls();
     }
 
     /**
      * Hide settings modal
      */
     hide() {
+        if (this.elements.settingsModal.classList.contains('hidden')) return;
+
         this.elements.settingsModal.classList.add('hidden');
+        this.confirmingDeleteId = null;
+        this.elements.shareGameStatus.classList.add('hidden');
+        this.elements.exportSessionStatus.classList.add('hidden');
+        this.elements.customRegionStatus.classList.add('hidden');
+        this.elements.hotSeatStatus.classList.add('hidden');
+        this.elements.roomStatus.classList.add('hidden');
+
+        if (this.callbacks.onHide) {
+            this.callbacks.onHide();
+        }
+    }
+}
+
+/**
+ * Region editor modal: name a region and pick its countries by name or on the map
+ */
+export class RegionEditor {
+    /**
+     * @param {MapRenderer} mapRenderer - Renderer for the picker map
+     * @param {Object} callbacks - { onSave(region) -> { success, error }, onShow, onHide }
+     */
+    constructor(mapRenderer, callbacks = {}) {
+        this.mapRenderer = mapRenderer;
+        this.callbacks = callbacks;
+        this.regionId = null; // Region being edited, or null for a new one
+        this.selectedCodes = new Set();
+        this.suggestions = [];
+
+        // DOM elements
+        this.elements = {
+            modal: document.getElementById('region-editor-modal'),
+            title: document.getElementById('region-editor-title'),
+            closeBtn: document.getElementById('close-region-editor-btn'),
+            nameInput: document.getElementById('region-name-input'),
+            countryInput: document.getElementById('region-country-input'),
+            dropdown: document.getElementById('region-country-dropdown'),
+            chips: document.getElementById('region-country-chips'),
+            error: document.getElementById('region-editor-error'),
+            saveBtn: document.getElementById('save-region-btn'),
+            cancelBtn: document.getElementById('cancel-region-btn')
+        };
+
+        this.bindEvents();
+    }
+
+    /**
+     * Bind event handlers
+     */
+    bindEvents() {
+        this.elements.closeBtn.addEventListener('click', () => this.hide());
+        this.elements.cancelBtn.addEventListener('click', () => this.hide());
+        this.elements.saveBtn.addEventListener('click', () => this.save());
+
+        this.elements.modal.addEventListener('click', (e) => {
+            if (e.target === this.elements.modal) {
+                this.hide();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.elements.modal.classList.contains('hidden')) {
+                this.hide();
+            }
+        });
+
+        this.elements.countryInput.addEventListener('input', (e) => {
+            const value = e.target.value.trim();
+            this.showSuggestions(value ? searchCountries(value, [...this.selectedCodes]) : []);
+        });
+
+        this.elements.countryInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && this.suggestions.length > 0) {
+                e.preventDefault();
+                this.toggleCountry(this.suggestions[0].code);
+            } else if (e.key === 'Escape' && this.suggestions.length > 0) {
+                e.stopPropagation(); // Close the suggestions, not the editor
+                this.showSuggestions([]);
+            }
+        });
+
+        this.elements.chips.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-code]');
+            if (button) {
+                this.toggleCountry(button.dataset.code);
+            }
+        });
+    }
+
+    /**
+     * Show the suggestions for the typed country name
+     */
+    showSuggestions(suggestions) {
+        this.suggestions = suggestions.slice(0, 10);
+        this.elements.dropdown.innerHTML = '';
+
+        this.suggestions.forEach((result, index) => {
+            const item = document.createElement('div');
+            item.className = 'autocomplete-item';
+            item.classList.toggle('selected', index === 0);
+            renderSuggestion(item, result);
+            item.setAttribute('role', 'option');
+            item.addEventListener('click', () => this.toggleCountry(result.code));
+            this.elements.dropdown.appendChild(item);
+        });
+
+        const open = this.suggestions.length > 0;
+        this.elements.dropdown.classList.toggle('hidden', !open);
+        this.elements.countryInput.setAttribute('aria-expanded', String(open));
+    }
+
+    /**
+     * Add a country to the region, or remove it if it is already in
+     */
+    toggleCountry(code) {
+        const countries = getCountries();
+        if (!countries[code] && !this.selectedCodes.has(code)) return; // Map shapes without game data
+
+        if (this.selectedCodes.has(code)) {
+            this.selectedCodes.delete(code);
+        } else {
+            this.selectedCodes.add(code);
+        }
+
+        this.elements.countryInput.value = '';
+        this.showSuggestions([]);
+        this.renderChips();
+        this.mapRenderer.updateSelection(this.selectedCodes);
+    }
+
+    /**
+     * Render the picked countries, alphabetically
+     */
+    renderChips() {
+        const countries = getCountries();
+        this.elements.chips.innerHTML = '';
+
+        [...this.selectedCodes]
+            .map(code => ({ code, name: countries[code] ? countries[code].name : code })) // Territories the level leaves out
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(({ code, name }) => {
+                const chip = document.createElement('div');
+                chip.className = 'chip';
+
+                const text = document.createElement('span');
+                text.textContent = name;
+
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'chip-remove';
+                removeBtn.innerHTML = '×';
+                removeBtn.dataset.code = code;
+                removeBtn.setAttribute('aria-label', t('input.remove', { name }));
+
+                chip.append(text, removeBtn);
+                this.elements.chips.appendChild(chip);
+            });
+    }
+
+    /**
+     * Save the region; stays open and shows the problem if it isn't valid
+     */
+    save() {
+        if (!this.callbacks.onSave) return;
+
+        const result = this.callbacks.onSave({
+            id: this.regionId,
+            name: this.elements.nameInput.value,
+            countries: [...this.selectedCodes]
+        });
+
+        if (!result.success) {
+            this.elements.error.textContent = result.error;
+            this.elements.error.classList.remove('hidden');
+            return;
+        }
+
+        this.hide();
+    }
+
+    /**
+     * Show the editor
+     * @param {Object|null} region - Custom region to edit, or null for a new one
+     */
+    show(region = null) {
+        this.regionId = region ? region.id : null;
+        this.selectedCodes = new Set(region ? region.countries : []);
+        this.elements.title.textContent = region ? t('regionEditor.edit', { name: region.name }) : t('regionEditor.new');
+        this.elements.nameInput.value = region ? region.name : '';
+        this.elements.countryInput.value = '';
+        this.elements.error.classList.add('hidden');
+        this.showSuggestions([]);
+        this.renderChips();
+
+        this.elements.modal.classList.remove('hidden');
+
+        // Picker map (needs the modal to be visible for sizing)
+        this.mapRenderer.init();
+        this.mapRenderer.renderPicker(this.selectedCodes, (code) => this.toggleCountry(code));
+        this.elements.nameInput.focus();
+
+        if (this.callbacks.onShow) {
+            this.callbacks.onShow();
+        }
+    }
+
+    /**
+     * Hide the editor without saving
+     */
+    hide() {
+        if (this.elements.modal.classList.contains('hidden')) return;
+
+        this.elements.modal.classList.add('hidden');
+
+        if (this.callbacks.onHide) {
+            this.callbacks.onHide();
+        }
+    }
+}
+
+/**
+ * Let the browser download a text file
+ */
+function downloadFile(filename, text) {
+    const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Fill an autocomplete item: the country name, with the part that matched the
+ * query marked, and the alias that matched if it wasn't the name
+ */
+function renderSuggestion(item, result) {
+    const appendMarked = (parent, text, range) => {
+        if (!range) {
+            parent.append(text);
+            return;
+        }
+        const mark = document.createElement('mark');
+        mark.textContent = text.slice(range.start, range.end);
+        parent.append(text.slice(0, range.start), mark, text.slice(range.end));
+    };
+
+    if (result.matchType !== 'alias') {
+        appendMarked(item, result.name, result.highlight);
+        return;
+    }
+
+    item.append(result.name);
+    const alias = document.createElement('span');
+    alias.className = 'autocomplete-alias';
+    appendMarked(alias, result.matchedText, result.highlight);
+    item.append(' ', alias);
+}
+
+/**
+ * Escape text for use in HTML markup
+ */
+function escapeHtml(text) {
+    const element = document.createElement('span');
+    element.textContent = text;
+    return element.innerHTML;
+}
+
+/**
+ * Format points with an explicit sign (+2, -1, 0)
+ */
+function formatPoints(points) {
+    return points > 0 ? `+${points}` : `${points}`;
+}
+
+/**
+ * Copy text to the clipboard
+ * @returns {Promise<boolean>} Whether copying worked
+ */
+export async function copyToClipboard(text) {
+    try {
+        await navigator.clipboard.writeText(text);
+        return true;
+    } catch (error) {
+        console.warn('Could not copy to clipboard:', error);
+        return false;
+    }
+}
+
+/**
+ * Stats modal manager
+ */
+export class StatsManager {
+    /**
+     * @param {PlayerProfile} profile - Player profile to read statistics from
+     * @param {MapRenderer} mapRenderer - Renderer for the mastery map
+     * @param {Object} callbacks - { onShow, onHide }
+     */
+    constructor(profile, mapRenderer, callbacks = {}) {
+        this.profile = profile;
+        this.mapRenderer = mapRenderer;
+        this.callbacks = callbacks;
+        this.confirmingReset = false;
+
+        // DOM elements
+        this.elements = {
+            statsBtn: document.getElementById('stats-btn'),
+            statsModal: document.getElementById('stats-modal'),
+            closeBtn: document.getElementById('close-stats-btn'),
+            summary: document.getElementById('stats-summary'),
+            weakest: document.getElementById('stats-weakest'),
+            pairs: document.getElementById('stats-pairs'),
+            resetBtn: document.getElementById('reset-stats-btn')
+        };
+
+        this.bindEvents();
+    }
+
+    /**
+     * Bind event handlers
+     */
+    bindEvents() {
+        this.elements.statsBtn.addEventListener('click', () => {
+            this.show();
+        });
+
+        this.elements.closeBtn.addEventListener('click', () => {
+            this.hide();
+        });
+
+        this.elements.statsModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.statsModal) {
+                this.hide();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.elements.statsModal.classList.contains('hidden')) {
+                this.hide();
+            }
+        });
+
+        // Reset takes a second click to confirm (no native confirm() popups)
+        this.elements.resetBtn.addEventListener('click', () => {
+            if (!this.confirmingReset) {
+                this.confirmingReset = true;
+                this.elements.resetBtn.textContent = t('stats.confirmReset');
+                return;
+            }
+
+            this.profile.clear();
+            this.resetConfirmation();
+            this.render();
+        });
+    }
+
+    /**
+     * Render all statistics
+     */
+    render() {
+        const countries = getCountries();
+        const nameOf = (code) => (countries[code] && countries[code].name) || code;
+
+        // Totals
+        const totals = this.profile.getTotals();
+        const spelling = this.profile.getSpelling();
+        const percent = (share) => share === null ? '–' : `${Math.round(share * 100)}%`;
+        this.elements.summary.innerHTML = '';
+        [
+            [t('stats.rounds'), totals.rounds],
+            [t('stats.perfect'), totals.perfect],
+            [t('stats.accuracy'), percent(totals.accuracy)],
+            [t('stats.hints'), totals.hints],
+            [t('stats.spelling'), percent(spelling.accuracy)]
+        ].forEach(([label, value]) => {
+            const box = document.createElement('div');
+            box.className = 'score-box';
+
+            const labelEl = document.createElement('span');
+            labelEl.className = 'score-label';
+            labelEl.textContent = label;
+
+            const valueEl = document.createElement('div');
+            valueEl.className = 'score-value';
+            valueEl.textContent = value;
+
+            box.appendChild(labelEl);
+            box.appendChild(valueEl);
+            this.elements.summary.appendChild(box);
+        });
+
+        // Weakest countries
+        this.renderList(
+            this.elements.weakest,
+            this.profile.getWeakestCountries().map(entry => ({
+                label: nameOf(entry.code),
+                detail: t('stats.weakest.detail', { percent: Math.round(entry.mastery * 100), count: entry.rounds })
+            })),
+            t('stats.weakest.empty')
+        );
+
+        // Most missed border pairs
+        this.renderList(
+            this.elements.pairs,
+            this.profile.getWeakestPairs().map(entry => ({
+                label: entry.codes.map(nameOf).join(' – '),
+                detail: t('stats.pairs.detail', { percent: Math.round(entry.accuracy * 100), count: entry.asked })
+            })),
+            t('stats.pairs.empty')
+        );
+
+        // Mastery map (needs the modal to be visible for sizing)
+        this.mapRenderer.init();
+        this.mapRenderer.renderMastery(this.profile.getMasteryByCountry());
+    }
+
+    /**
+     * Render a list of { label, detail } entries, or a placeholder if empty
+     */
+    renderList(listElement, entries, emptyText) {
+        listElement.innerHTML = '';
+
+        if (entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'stats-empty';
+            empty.textContent = emptyText;
+            listElement.appendChild(empty);
+            return;
+        }
+
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+
+            const label = document.createElement('span');
+            label.textContent = entry.label;
+
+            const detail = document.createElement('span');
+            detail.className = 'stats-detail';
+            detail.textContent = entry.detail;
+
+            item.appendChild(label);
+            item.appendChild(detail);
+            listElement.appendChild(item);
+        });
+    }
+
+    resetConfirmation() {
+        this.confirmingReset = false;
+        this.elements.resetBtn.textContent = t('stats.reset');
+    }
+
+    /**
+     * Show stats modal
+     */
+    show() {
+        this.elements.statsModal.classList.remove('hidden');
+        this.render();
+
+        if (this.callbacks.onShow) {
+            this.callbacks.onShow();
+        }
+    }
+
+    /**
+     * Hide stats modal
+     */
+    hide() {
+        if (this.elements.statsModal.classList.contains('hidden')) return;
+
+        this.elements.statsModal.classList.add('hidden');
+        this.resetConfirmation();
+
+        if (this.callbacks.onHide) {
+            this.callbacks.onHide();
+        }
     }
 }